@@ -0,0 +1,23 @@
+import AuditEvent from "./models/AuditEvent.js";
+
+// What a user sees of their own entries in "Recent activity"
+export const USER_ACTIVITY_FIELDS = 'event details ip userAgent created_at';
+
+// Add an entry to the audit log with `req`'s IP and user agent. `user` is who
+// it happened to; `email` helps find entries when there is no user (failed
+// logins). Never throws - a failed audit write must not fail the request.
+export const recordAuditEvent = async (req, event, { user, email, actor, details } = {}) => {
+  try {
+    await AuditEvent.create({
+      user: user?._id || user,
+      email: (email || user?.email)?.toLowerCase(),
+      event,
+      actor,
+      ip: req?.ip,
+      userAgent: req?.get('user-agent'),
+      details
+    });
+  } catch (error) {
+    console.error(`Error recording audit event ${event}:`, error);
+  }
+};
@@ -0,0 +1,69 @@
+import sharp from "sharp";
+import { getStorage, newFileKey, removeFiles } from "./storage/index.js";
+
+// Square thumbnails generated for every profile picture, by edge length in px
+export const AVATAR_SIZES = {
+  small: 64,
+  medium: 200,
+  large: 512
+};
+export const DEFAULT_AVATAR_SIZE = 'medium';
+
+// Formats we accept, judged by the file contents rather than the client's mimetype
+const AVATAR_INPUT_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+export class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// A processed avatar is stored as one file per size next to its base key:
+// "avatars/123-456" -> "avatars/123-456-small.webp", ...
+// Keys with an extension are single files saved before thumbnails existed.
+const isProcessedAvatar = (key) => !/\.[a-z0-9]+$/i.test(key);
+
+export const avatarVariantKey = (key, size) => {
+  if (!isProcessedAvatar(key)) return key;
+  return `${key}-${AVATAR_SIZES[size] ? size : DEFAULT_AVATAR_SIZE}.webp`;
+};
+
+// Every stored file belonging to an avatar, for deleting it
+export const avatarKeys = (key) => {
+  if (!key) return [];
+  if (!isProcessedAvatar(key)) return [key];
+  return Object.keys(AVATAR_SIZES).map(size => avatarVariantKey(key, size));
+};
+
+// Check the upload really is an image, then auto-rotate it, drop its metadata
+// (EXIF, GPS) and center-crop it into each thumbnail size. Resolves with the
+// new base key.
+export const saveAvatar = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new ImageError('Profile picture must be a JPEG, PNG, WebP or GIF image');
+  }
+  if (!AVATAR_INPUT_FORMATS.includes(metadata.format)) {
+    throw new ImageError('Profile picture must be a JPEG, PNG, WebP or GIF image');
+  }
+
+  const key = newFileKey('profilePicture', '');
+  const variants = await Promise.all(Object.entries(AVATAR_SIZES).map(async ([size, edge]) => ({
+    key: avatarVariantKey(key, size),
+    body: await sharp(buffer)
+      .rotate()
+      .resize(edge, edge, { fit: 'cover', position: 'centre' })
+      .webp({ quality: 82 })
+      .toBuffer()
+  })));
+
+  await Promise.all(variants.map(variant =>
+    getStorage().put(variant.key, variant.body, { contentType: 'image/webp' })
+  ));
+  return key;
+};
+
+export const removeAvatar = (key) => removeFiles(avatarKeys(key));
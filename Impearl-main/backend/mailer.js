@@ -0,0 +1,29 @@
+import nodemailer from "nodemailer";
+
+let transport;
+
+// SMTP settings come from .env. The defaults point at a local SMTP catcher
+// (e.g. MailHog or Mailpit on port 1025) so development never sends real mail.
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transport;
+};
+
+export const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Impearl <no-reply@impearl.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
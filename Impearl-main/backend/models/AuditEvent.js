@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// Security-relevant things that happen to accounts (see audit.js)
+export const AUDIT_EVENTS = [
+  'register',
+  'login',
+  'login_failed',
+  'logout',
+  'sessions_revoked',
+  'session_reuse_detected',
+  'password_reset_requested',
+  'password_reset',
+  'email_verified',
+  'profile_updated',
+  'profile_picture_changed',
+  'role_added',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'recovery_codes_regenerated',
+  'sso_linked',
+  'data_exported',
+  'account_deletion_requested',
+  'account_deletion_cancelled',
+  'account_suspended',
+  'account_unsuspended'
+];
+
+// One entry in the audit log. Entries are never edited or deleted - not even
+// when the account is, so the history of what happened to it survives.
+const auditEventSchema = new mongoose.Schema({
+  user: {                  // Missing for failed logins on emails with no account
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: String,           // Email the event was about, as given at the time
+  event: {
+    type: String,
+    enum: AUDIT_EVENTS,
+    required: true
+  },
+  actor: {                 // Who did it, when not the user themselves (e.g. an admin)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditEventSchema.index({ user: 1, created_at: -1 });
+auditEventSchema.index({ event: 1, created_at: -1 });
+auditEventSchema.index({ email: 1, created_at: -1 });
+auditEventSchema.index({ ip: 1, created_at: -1 });
+
+// Append-only: refuse any query that would change or remove entries
+const refuseChange = function () {
+  throw new Error('Audit events are append-only');
+};
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  refuseChange
+);
+auditEventSchema.pre('save', function () {
+  if (!this.isNew) refuseChange();
+});
+
+export default mongoose.model("AuditEvent", auditEventSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const conversationSchema = new mongoose.Schema({
+  // Always one client and one freelancer
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+  lastMessage: {
+    body: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sent_at: Date
+  },
+  // Timestamps
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationSchema.index({ participants: 1, updated_at: -1 });
+
+// Whether a user is one of the two participants
+conversationSchema.methods.hasParticipant = function(userId) {
+  return this.participants.some(participant => (participant._id || participant).equals(userId));
+};
+
+// The participant who isn't the given user
+conversationSchema.methods.otherParticipant = function(userId) {
+  return this.participants.find(participant => !(participant._id || participant).equals(userId));
+};
+
+// Update the updated_at timestamp before saving
+conversationSchema.pre('save', function(next) {
+  this.updated_at = Date.now();
+  next();
+});
+
+export default mongoose.model("Conversation", conversationSchema);
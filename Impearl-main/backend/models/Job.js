@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+const jobSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  budget: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  budgetType: {
+    type: String,
+    enum: ['fixed', 'hourly'],
+    default: 'fixed'
+  },
+  skills: String,          // Skills the client is looking for
+  deadline: Date,          // Optional delivery deadline
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'closed'],
+    default: 'open'
+  },
+  // Set once a proposal is accepted; locks the job against new bids
+  hiredFreelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedProposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal'
+  },
+  closed_at: Date,
+  // Timestamps
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updated_at timestamp before saving
+jobSchema.pre('save', function(next) {
+  this.updated_at = Date.now();
+  next();
+});
+
+export default mongoose.model("Job", jobSchema);
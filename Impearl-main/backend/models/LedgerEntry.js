@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// One balance movement for one user. Entries are never deleted and their
+// amounts never change - a mistake is undone with a reversing entry. A user's
+// balance in each account is the sum of its entries.
+const ledgerEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  account: {
+    type: String,
+    enum: ['escrow', 'available'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['escrow_deposit', 'escrow_release', 'escrow_refund', 'earning', 'withdrawal', 'withdrawal_reversal'],
+    required: true
+  },
+  amount: {
+    type: Number,          // Positive credits, negative debits
+    required: true
+  },
+  description: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone'
+  },
+  provider: String,        // Payment provider that moved the money, if any
+  providerReference: String,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ledgerEntrySchema.index({ user: 1, created_at: -1 });
+
+export default mongoose.model("LedgerEntry", ledgerEntrySchema);
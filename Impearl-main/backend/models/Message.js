@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { signedFileUrl } from "../storage/index.js";
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: String,
+  attachment: String,      // Optional storage key of an uploaded file
+  read_at: Date,           // Set when the recipient reads the message
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageSchema.index({ conversation: 1, created_at: -1 });
+messageSchema.index({ recipient: 1, read_at: 1 });
+
+// The attachment is private - send a short-lived link instead of the storage key
+messageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.attachment) ret.attachment = signedFileUrl(ret.attachment);
+    return ret;
+  }
+});
+
+export default mongoose.model("Message", messageSchema);
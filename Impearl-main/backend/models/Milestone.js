@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import { signedFileUrl } from "../storage/index.js";
+
+const milestoneSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  dueDate: Date,
+  // pending -> funded -> submitted -> released, or funded -> refunding -> refunded
+  status: {
+    type: String,
+    enum: ['pending', 'funded', 'submitted', 'released', 'refunding', 'refunded'],
+    default: 'pending'
+  },
+  // Freelancer's latest work submission
+  submission: {
+    note: String,
+    attachment: String,
+    submitted_at: Date
+  },
+  // Payment provider references
+  chargeId: String,
+  refundId: String,
+  // When a submitted milestone releases itself if the client doesn't act
+  autoReleaseAt: Date,
+  funded_at: Date,
+  released_at: Date,
+  // Timestamps
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+milestoneSchema.index({ status: 1, autoReleaseAt: 1 });
+
+// Submitted work is private - send a short-lived link instead of the storage key
+milestoneSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.submission?.attachment) ret.submission.attachment = signedFileUrl(ret.submission.attachment);
+    return ret;
+  }
+});
+
+// Update the updated_at timestamp before saving
+milestoneSchema.pre('save', function(next) {
+  this.updated_at = Date.now();
+  next();
+});
+
+export default mongoose.model("Milestone", milestoneSchema);
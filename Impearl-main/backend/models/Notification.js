@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Groups of events a user can switch on or off per channel
+export const NOTIFICATION_CATEGORIES = ['proposals', 'orders', 'payments', 'messages'];
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: NOTIFICATION_CATEGORIES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: String,
+  link: String,            // Frontend path to open when clicked
+  read_at: Date,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, created_at: -1 });
+notificationSchema.index({ user: 1, read_at: 1 });
+
+export default mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+
+// Allowed status changes and which party may make each one
+export const ORDER_TRANSITIONS = {
+  pending: {
+    active: ['freelancer'],
+    cancelled: ['client', 'freelancer']
+  },
+  active: {
+    delivered: ['freelancer'],
+    cancelled: ['client', 'freelancer']
+  },
+  delivered: {
+    completed: ['client'],
+    revision_requested: ['client']
+  },
+  revision_requested: {
+    delivered: ['freelancer']
+  },
+  // Held while a completing or cancelled order's escrow is being settled;
+  // only the status route moves orders in and out of it
+  closing: {},
+  completed: {},
+  cancelled: {}
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  proposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  dueDate: Date,           // Derived from the proposal's delivery estimate
+  status: {
+    type: String,
+    enum: Object.keys(ORDER_TRANSITIONS),
+    default: 'pending'
+  },
+  history: [statusChangeSchema],
+  completed_at: Date,      // Starts the review window (see reviews.js)
+  // Timestamps
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Which side of the order a user is on, or null if they aren't part of it
+orderSchema.methods.roleOf = function(userId) {
+  // Works whether or not client/freelancer have been populated
+  const idOf = (ref) => (ref && ref._id) || ref;
+  if (idOf(this.client).equals(userId)) return 'client';
+  if (idOf(this.freelancer).equals(userId)) return 'freelancer';
+  return null;
+};
+
+// Statuses the given role may move this order to from its current status
+orderSchema.methods.availableTransitions = function(role) {
+  const transitions = ORDER_TRANSITIONS[this.status] || {};
+  return Object.keys(transitions).filter(status => transitions[status].includes(role));
+};
+
+// Update the updated_at timestamp before saving
+orderSchema.pre('save', function(next) {
+  this.updated_at = Date.now();
+  next();
+});
+
+export default mongoose.model("Order", orderSchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,          // SHA-256 of the emailed token, never the token itself
+    required: true,
+    unique: true
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  used_at: Date,           // Set once the token has reset a password
+  requestedByIp: String,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+passwordResetTokenSchema.index({ user: 1 });
+// Let MongoDB clean up expired tokens
+passwordResetTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("PasswordResetToken", passwordResetTokenSchema);
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import { signedFileUrl } from "../storage/index.js";
+
+export const MAX_PORTFOLIO_LINKS = 5;
+export const MAX_PORTFOLIO_ATTACHMENTS = 6;
+
+// Only http(s) links - anything else could run script when clicked
+const isWebLink = (link) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(link).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const portfolioItemSchema = new mongoose.Schema({
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  links: {
+    type: [{
+      type: String,
+      trim: true,
+      validate: { validator: isWebLink, message: 'Links must start with http:// or https://' }
+    }],
+    validate: {
+      validator: (links) => links.length <= MAX_PORTFOLIO_LINKS,
+      message: `A project can have at most ${MAX_PORTFOLIO_LINKS} links`
+    }
+  },
+  attachments: {
+    type: [{
+      path: { type: String, required: true },
+      originalName: String,
+      mimeType: String
+    }],
+    validate: {
+      validator: (attachments) => attachments.length <= MAX_PORTFOLIO_ATTACHMENTS,
+      message: `A project can have at most ${MAX_PORTFOLIO_ATTACHMENTS} attachments`
+    }
+  },
+  // Display order on the dashboard and public profile, lowest first
+  position: {
+    type: Number,
+    default: 0
+  },
+  // Timestamps
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+portfolioItemSchema.index({ freelancer: 1, position: 1 });
+
+// Attachments go out as short-lived links rather than storage keys
+portfolioItemSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.attachments = (ret.attachments || []).map(({ path, ...attachment }) => ({
+      ...attachment,
+      url: signedFileUrl(path)
+    }));
+    return ret;
+  }
+});
+
+// Update the updated_at timestamp before saving
+portfolioItemSchema.pre('save', function(next) {
+  this.updated_at = Date.now();
+  next();
+});
+
+export default mongoose.model("PortfolioItem", portfolioItemSchema);
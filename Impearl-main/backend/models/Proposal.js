@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import { signedFileUrl } from "../storage/index.js";
+
+const proposalSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  coverLetter: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  deliveryDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  attachment: String,      // Optional storage key of a supporting file
+  status: {
+    type: String,
+    enum: ['submitted', 'shortlisted', 'rejected', 'accepted'],
+    default: 'submitted'
+  },
+  // Timestamps
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A freelancer can only bid once per job
+proposalSchema.index({ job: 1, freelancer: 1 }, { unique: true });
+
+// The attachment is private - send a short-lived link instead of the storage key
+proposalSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.attachment) ret.attachment = signedFileUrl(ret.attachment);
+    return ret;
+  }
+});
+
+// Update the updated_at timestamp before saving
+proposalSchema.pre('save', function(next) {
+  this.updated_at = Date.now();
+  next();
+});
+
+export default mongoose.model("Proposal", proposalSchema);
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// One rate limit counter (see ratelimit/mongoStore.js). Counts requests or
+// failures for `key` until `expires_at`, when the window starts over.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB clean up finished windows
+rateLimitCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RateLimitCounter", rateLimitCounterSchema);
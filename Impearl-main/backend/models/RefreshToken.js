@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// A rotating refresh token. Every token issued from one login shares a
+// `family`; if an already-rotated token is presented again the whole family
+// is revoked, since that means the token was stolen and replayed.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,          // SHA-256 of the token, never the token itself
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  activeRole: String,      // Role the session acts as; carried over on rotation
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: Date,
+  revokedReason: String,   // 'rotated', 'logout', 'reuse', ...
+  replacedBy: String,      // tokenHash of the token this one was rotated into
+  createdByIp: String,
+  userAgent: String,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Which side of the order wrote it
+  reviewerRole: {
+    type: String,
+    enum: ['client', 'freelancer'],
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: { validator: Number.isInteger, message: 'Rating must be a whole number of stars' }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Double-blind: hidden from the other party until both have reviewed or
+  // the review window closes (see reviews.js)
+  revealed_at: Date,
+  // The freelancer being reviewed may answer publicly, once
+  reply: {
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    created_at: Date
+  },
+  // Timestamps
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One review per party per order
+reviewSchema.index({ order: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, revealed_at: -1 });
+
+// Update the updated_at timestamp before saving
+reviewSchema.pre('save', function(next) {
+  this.updated_at = Date.now();
+  next();
+});
+
+export default mongoose.model("Review", reviewSchema);
@@ -1,4 +1,33 @@
 import mongoose from "mongoose";
+import { publicFileUrl, signedFileUrl } from "../storage/index.js";
+import { EXPERIENCE_LEVELS, COMPANY_SIZES, MAX_SKILLS } from "@impearl/shared/schemas";
+
+// Roles an account can hold. One email can be both a client and a freelancer;
+// each session acts as one of its roles at a time (see generateToken).
+export const USER_ROLES = ['client', 'freelancer', 'admin'];
+
+// Signup options live with the form schemas the frontend shares
+export { EXPERIENCE_LEVELS, COMPANY_SIZES };
+
+// Turn "Web Development, react ,React" or an array into ['web development', 'react']
+export const normalizeSkills = (skills) => {
+  if (skills === undefined || skills === null) return [];
+  const list = Array.isArray(skills) ? skills : String(skills).split(',');
+  const tags = list
+    .map(skill => String(skill).trim().toLowerCase().replace(/\s+/g, ' '))
+    .filter(skill => skill.length > 0 && skill.length <= 50);
+  return [...new Set(tags)].slice(0, MAX_SKILLS);
+};
+
+// Freelancer profile fields that can be hidden from the public profile page.
+// Name is always shown; email and the stored resume path never are.
+export const PUBLIC_PROFILE_FIELDS = ['profilePicture', 'bio', 'skills', 'experience', 'resume'];
+
+// Which channels a notification category goes out on
+const channelPreferences = (emailByDefault) => ({
+  inApp: { type: Boolean, default: true },
+  email: { type: Boolean, default: emailByDefault }
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,23 +44,88 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  userType: {
-    type: String,
-    enum: ['client', 'freelancer'],
-    required: true
+  roles: {
+    type: [{ type: String, enum: USER_ROLES }],
+    validate: {
+      validator: (roles) => roles.length > 0 && new Set(roles).size === roles.length,
+      message: 'An account needs at least one role, each listed once'
+    }
+  },
+  // Suspended accounts can't log in or refresh their session
+  suspended: {
+    type: Boolean,
+    default: false
+  },
+  suspended_at: Date,
+  suspendedReason: String,
+  emailVerified: {
+    type: Boolean,
+    default: false
   },
+  email_verification_sent_at: Date,  // Last time a verification email went out (for throttling)
+  // Set while a requested account deletion is in its grace period (see userData.js)
+  deletion_requested_at: Date,
+  deletion_scheduled_at: Date,
   // Client-specific fields
   businessName: String,
   businessType: String,
-  companySize: String,
+  companySize: {
+    type: String,
+    enum: COMPANY_SIZES
+  },
   address: String,
   // Freelancer-specific fields
-  profilePicture: String,  // URL or path to profile picture
-  resume: String,          // URL or path to resume
-  skills: String,          // Skills/expertise
-  experience: String,      // Years of experience
+  profilePicture: String,  // Storage key of the profile picture (public)
+  resume: String,          // Storage key of the resume (private)
+  skills: {               // Normalized skill tags (see normalizeSkills)
+    type: [String],
+    set: normalizeSkills
+  },
+  experience: {            // Years of experience bucket
+    type: String,
+    enum: EXPERIENCE_LEVELS
+  },
   // Common optional fields
   bio: String,             // User bio/description
+  // Aggregate of revealed reviews about this user (see reviews.js)
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // What appears on the public /freelancers/:id page (see PUBLIC_PROFILE_FIELDS)
+  profileVisibility: {
+    profilePicture: { type: Boolean, default: true },
+    bio: { type: Boolean, default: true },
+    skills: { type: Boolean, default: true },
+    experience: { type: Boolean, default: true },
+    resume: { type: Boolean, default: false }
+  },
+  // Notification settings, keyed by category (see models/Notification.js)
+  notificationPreferences: {
+    proposals: channelPreferences(true),
+    orders: channelPreferences(true),
+    payments: channelPreferences(true),
+    messages: channelPreferences(false)
+  },
+  // Identity at the OpenID Connect provider this account signs in with (see oidc.js)
+  sso: {
+    issuer: String,
+    subject: String,
+    linked_at: Date
+  },
+  // Optional TOTP two-factor login (see twoFactor.js)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String,          // Encrypted TOTP secret
+    pendingSecret: String,   // Encrypted secret awaiting its first code during setup
+    recoveryCodes: [String], // SHA-256 of each unused recovery code
+    lastUsedStep: Number,    // Time step of the last accepted code, so it can't be replayed
+    enabled_at: Date
+  },
   // Timestamps
   created_at: {
     type: Date,
@@ -43,6 +137,23 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// Full-text search for the freelancer directory
+userSchema.index(
+  { name: 'text', skills: 'text', bio: 'text' },
+  { weights: { skills: 5, name: 3, bio: 1 }, name: 'freelancer_search' }
+);
+userSchema.index({ roles: 1, skills: 1 });
+userSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { unique: true, sparse: true });
+
+// Files are stored as storage keys - send links instead (see storage/index.js)
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.profilePicture) ret.profilePicture = publicFileUrl(ret.profilePicture);
+    if (ret.resume) ret.resume = signedFileUrl(ret.resume);
+    return ret;
+  }
+});
+
 // Update the updated_at timestamp before saving
 userSchema.pre('save', function(next) {
   this.updated_at = Date.now();
@@ -0,0 +1,37 @@
+import Notification from "./models/Notification.js";
+import User from "./models/User.js";
+import { sendMail } from "./mailer.js";
+import { sendToUser } from "./realtime.js";
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+export const countUnreadNotifications = (userId) => Notification.countDocuments({ user: userId, read_at: null });
+
+// Tell a user about something that happened. Respects their per-category
+// preferences for the in-app feed and for email. Never throws - a failed
+// notification must not fail the request that triggered it.
+export const notify = async (userId, { category, title, body, link }) => {
+  try {
+    const user = await User.findById(userId).select('email name notificationPreferences');
+    if (!user) return;
+
+    const preferences = user.notificationPreferences?.[category] || {};
+
+    if (preferences.inApp !== false) {
+      const notification = await Notification.create({ user: userId, category, title, body, link });
+      sendToUser(userId, 'notification:new', { notification });
+      sendToUser(userId, 'notification:count', { count: await countUnreadNotifications(userId) });
+    }
+
+    if (preferences.email) {
+      const url = link ? `${FRONTEND_URL}${link}` : FRONTEND_URL;
+      await sendMail({
+        to: user.email,
+        subject: title,
+        text: `Hi ${user.name},\n\n${body || title}\n\n${url}\n\nYou can change which emails you receive in your notification settings.`
+      });
+    }
+  } catch (error) {
+    console.error('Error sending notification:', error);
+  }
+};
@@ -0,0 +1,120 @@
+import * as client from "openid-client";
+
+/*
+ * Single sign-on through any OpenID Connect provider, using the authorization
+ * code flow with PKCE. Everything comes from .env:
+ *
+ *   OIDC_ISSUER            provider URL (its /.well-known/openid-configuration is read)
+ *   OIDC_CLIENT_ID         this app's client ID at the provider
+ *   OIDC_CLIENT_SECRET     leave out for public clients (PKCE only)
+ *   OIDC_REDIRECT_URI      defaults to <PUBLIC_API_URL>/api/auth/oidc/callback
+ *   OIDC_SCOPES            defaults to "openid email profile"
+ *   OIDC_PROVIDER_NAME     shown on the login button
+ *   OIDC_ALLOW_HTTP=true   allow a plain-http issuer, e.g. a local mock provider
+ *
+ * SSO is off unless OIDC_ISSUER and OIDC_CLIENT_ID are set.
+ */
+
+export const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'Single Sign-On';
+
+const API_BASE_URL = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const REDIRECT_URI = process.env.OIDC_REDIRECT_URI || `${API_BASE_URL}/api/auth/oidc/callback`;
+const SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+
+// Where the login's state, nonce and PKCE verifier wait for the callback
+export const OIDC_LOGIN_COOKIE = 'oidcLogin';
+export const OIDC_LOGIN_MINUTES = 10;
+
+export const oidcLoginCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.COOKIE_SECURE === 'true',
+  // The callback arrives as a cross-site redirect from the provider
+  sameSite: 'lax',
+  path: '/api/auth/oidc',
+  maxAge: OIDC_LOGIN_MINUTES * 60 * 1000
+});
+
+export const isOidcEnabled = () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+
+// Problems with a login that the user should be told about
+export class OidcError extends Error {}
+
+let configPromise = null;
+
+// The provider's metadata, discovered on first use. A failed discovery is
+// retried on the next login rather than remembered.
+const getConfig = () => {
+  if (!configPromise) {
+    const allowHttp = process.env.OIDC_ALLOW_HTTP === 'true';
+    configPromise = client.discovery(
+      new URL(process.env.OIDC_ISSUER),
+      process.env.OIDC_CLIENT_ID,
+      process.env.OIDC_CLIENT_SECRET,
+      process.env.OIDC_CLIENT_SECRET ? undefined : client.None(),
+      allowHttp ? { execute: [client.allowInsecureRequests] } : undefined
+    ).catch(err => {
+      configPromise = null;
+      throw err;
+    });
+  }
+  return configPromise;
+};
+
+// Start a login. Resolves with the provider URL to send the browser to and
+// the checks completeOidcLogin needs back once it returns.
+export const beginOidcLogin = async () => {
+  const config = await getConfig();
+  const checks = {
+    codeVerifier: client.randomPKCECodeVerifier(),
+    state: client.randomState(),
+    nonce: client.randomNonce()
+  };
+
+  const url = client.buildAuthorizationUrl(config, {
+    redirect_uri: REDIRECT_URI,
+    scope: SCOPES,
+    code_challenge: await client.calculatePKCECodeChallenge(checks.codeVerifier),
+    code_challenge_method: 'S256',
+    state: checks.state,
+    nonce: checks.nonce
+  });
+
+  return { url: url.href, checks };
+};
+
+// Finish a login from the callback's query string. Resolves with who the
+// provider says signed in: { issuer, subject, email, emailVerified, name }.
+export const completeOidcLogin = async (query, checks) => {
+  const config = await getConfig();
+
+  const params = new URLSearchParams(query);
+  if (params.has('error')) {
+    throw new OidcError(params.get('error') === 'access_denied'
+      ? 'Sign-in was cancelled'
+      : 'Your identity provider could not sign you in');
+  }
+
+  const callbackUrl = new URL(REDIRECT_URI);
+  callbackUrl.search = params.toString();
+
+  const tokens = await client.authorizationCodeGrant(config, callbackUrl, {
+    pkceCodeVerifier: checks.codeVerifier,
+    expectedState: checks.state,
+    expectedNonce: checks.nonce,
+    idTokenExpected: true
+  });
+
+  let claims = tokens.claims();
+  // Some providers only hand out the email and name from the userinfo endpoint
+  if (!claims.email) {
+    claims = { ...claims, ...await client.fetchUserInfo(config, tokens.access_token, claims.sub) };
+  }
+
+  return {
+    issuer: claims.iss,
+    subject: claims.sub,
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+  };
+};
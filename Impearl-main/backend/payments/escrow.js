@@ -0,0 +1,299 @@
+import mongoose from "mongoose";
+import Milestone from "../models/Milestone.js";
+import Order from "../models/Order.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import { getPaymentProvider } from "./index.js";
+import { notify } from "../notifications.js";
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'usd';
+
+// How long a client has to review submitted work before it auto-releases
+export const REVIEW_WINDOW_DAYS = Number(process.env.ESCROW_REVIEW_DAYS) || 7;
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Errors the routes should pass straight back to the caller
+export const escrowError = (message, status = 400) => {
+  const error = new Error(message);
+  error.name = 'EscrowError';
+  error.status = status;
+  return error;
+};
+
+// Move a milestone from one status to another, failing if someone else got there first
+const transitionMilestone = async (milestone, from, update) => {
+  const updated = await Milestone.findOneAndUpdate(
+    { _id: milestone._id, status: from },
+    { ...update, updated_at: Date.now() },
+    { new: true }
+  );
+  if (!updated) {
+    throw escrowError('Milestone was changed by someone else, please refresh', 409);
+  }
+  return updated;
+};
+
+// Client pays a milestone into escrow
+export const fundMilestone = async (milestone, order, paymentMethod) => {
+  if (milestone.status !== 'pending') {
+    throw escrowError('Only unfunded milestones can be funded');
+  }
+
+  let charge;
+  try {
+    charge = await getPaymentProvider().charge({
+      amount: toCents(milestone.amount),
+      currency: CURRENCY,
+      customer: order.client.toString(),
+      description: `Escrow for "${milestone.title}" (order ${order._id})`,
+      paymentMethod
+    });
+  } catch (error) {
+    throw escrowError(`Payment failed: ${error.message}`, 402);
+  }
+
+  let funded;
+  try {
+    funded = await transitionMilestone(milestone, 'pending', {
+      status: 'funded',
+      chargeId: charge.id,
+      funded_at: Date.now()
+    });
+  } catch (error) {
+    // Someone else funded it in the meantime - don't keep the duplicate charge
+    await getPaymentProvider().refund({ chargeId: charge.id, amount: charge.amount });
+    throw error;
+  }
+
+  await LedgerEntry.create({
+    user: order.client,
+    account: 'escrow',
+    type: 'escrow_deposit',
+    amount: milestone.amount,
+    description: `Funded milestone "${milestone.title}"`,
+    order: order._id,
+    milestone: milestone._id,
+    provider: getPaymentProvider().name,
+    providerReference: charge.id
+  });
+
+  return funded;
+};
+
+// Freelancer hands in work for a funded milestone, starting the review window
+export const submitMilestone = async (milestone, { note, attachment }) => {
+  if (milestone.status !== 'funded') {
+    throw escrowError('Only funded milestones can be submitted');
+  }
+
+  return transitionMilestone(milestone, 'funded', {
+    status: 'submitted',
+    submission: { note, attachment, submitted_at: Date.now() },
+    autoReleaseAt: new Date(Date.now() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+  });
+};
+
+// Client sends submitted work back; the money stays in escrow
+export const requestMilestoneChanges = async (milestone) => {
+  if (milestone.status !== 'submitted') {
+    throw escrowError('Only submitted milestones can be sent back');
+  }
+
+  return transitionMilestone(milestone, 'submitted', {
+    status: 'funded',
+    $unset: { autoReleaseAt: 1 }
+  });
+};
+
+// Pay the freelancer out of escrow
+export const releaseMilestone = async (milestone, order, reason = 'Released') => {
+  if (!['funded', 'submitted'].includes(milestone.status)) {
+    throw escrowError('Only funded milestones can be released');
+  }
+
+  const released = await transitionMilestone(milestone, milestone.status, {
+    status: 'released',
+    released_at: Date.now(),
+    $unset: { autoReleaseAt: 1 }
+  });
+
+  await LedgerEntry.insertMany([
+    {
+      user: order.client,
+      account: 'escrow',
+      type: 'escrow_release',
+      amount: -milestone.amount,
+      description: `${reason} milestone "${milestone.title}"`,
+      order: order._id,
+      milestone: milestone._id
+    },
+    {
+      user: order.freelancer,
+      account: 'available',
+      type: 'earning',
+      amount: milestone.amount,
+      description: `Payment for milestone "${milestone.title}"`,
+      order: order._id,
+      milestone: milestone._id
+    }
+  ]);
+
+  return released;
+};
+
+// Return escrowed money to the client. The milestone is claimed before the
+// provider is asked, so a release or another refund racing this one can't
+// move the same money too; a failed refund puts it back as it was.
+export const refundMilestone = async (milestone, order) => {
+  if (!['funded', 'submitted'].includes(milestone.status)) {
+    throw escrowError('Only funded milestones can be refunded');
+  }
+
+  const previousStatus = milestone.status;
+  await transitionMilestone(milestone, previousStatus, { status: 'refunding' });
+
+  let refund;
+  try {
+    refund = await getPaymentProvider().refund({
+      chargeId: milestone.chargeId,
+      amount: toCents(milestone.amount)
+    });
+  } catch (error) {
+    await transitionMilestone(milestone, 'refunding', { status: previousStatus });
+    throw escrowError(`Refund failed: ${error.message}`, 502);
+  }
+
+  const refunded = await transitionMilestone(milestone, 'refunding', {
+    status: 'refunded',
+    refundId: refund.id,
+    $unset: { autoReleaseAt: 1 }
+  });
+
+  await LedgerEntry.create({
+    user: order.client,
+    account: 'escrow',
+    type: 'escrow_refund',
+    amount: -milestone.amount,
+    description: `Refunded milestone "${milestone.title}"`,
+    order: order._id,
+    milestone: milestone._id,
+    provider: getPaymentProvider().name,
+    providerReference: refund.id
+  });
+
+  return refunded;
+};
+
+// Settle what an order still holds in escrow, before it is completed or
+// cancelled: completing releases it all, cancelling refunds it. Work the
+// freelancer has submitted is only refunded when they cancel themselves -
+// a client has to approve it or send it back first.
+export const settleOrderEscrow = async (order, status, role) => {
+  const held = await Milestone.find({ order: order._id, status: { $in: ['funded', 'submitted'] } });
+
+  if (status === 'cancelled' && role === 'client' && held.some(milestone => milestone.status === 'submitted')) {
+    throw escrowError('Approve or request changes on submitted milestones before cancelling the order', 409);
+  }
+
+  for (const milestone of held) {
+    if (status === 'completed') {
+      await releaseMilestone(milestone, order, 'Order completed, released');
+    } else {
+      await refundMilestone(milestone, order);
+    }
+  }
+};
+
+// Current balance of each account for a user, summed from their ledger
+export const getBalances = async (userId) => {
+  const totals = await LedgerEntry.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$account', total: { $sum: '$amount' } } }
+  ]);
+
+  const balances = { available: 0, escrow: 0 };
+  totals.forEach(({ _id, total }) => {
+    balances[_id] = Math.round(total * 100) / 100;
+  });
+  return balances;
+};
+
+// Freelancer withdraws their available balance through the provider
+export const withdraw = async (userId, amount) => {
+  const { available } = await getBalances(userId);
+  if (!(amount > 0) || toCents(amount) > toCents(available)) {
+    throw escrowError('Withdrawal amount exceeds your available balance');
+  }
+
+  // Debit the balance before paying out, so two withdrawals at once cannot both
+  // spend the same money. If that overdraws the balance - another withdrawal got
+  // there first - or the payout fails, a reversing entry puts the money back.
+  const provider = getPaymentProvider();
+  const debit = await LedgerEntry.create({
+    user: userId,
+    account: 'available',
+    type: 'withdrawal',
+    amount: -amount,
+    description: 'Withdrawal',
+    provider: provider.name
+  });
+
+  const reverse = (description) => LedgerEntry.create({
+    user: userId,
+    account: 'available',
+    type: 'withdrawal_reversal',
+    amount,
+    description,
+    provider: provider.name,
+    providerReference: debit._id.toString()
+  });
+
+  const balances = await getBalances(userId);
+  if (toCents(balances.available) < 0) {
+    await reverse('Withdrawal cancelled, not enough available balance');
+    throw escrowError('Withdrawal amount exceeds your available balance');
+  }
+
+  let payout;
+  try {
+    payout = await provider.payout({
+      amount: toCents(amount),
+      currency: CURRENCY,
+      recipient: userId.toString(),
+      description: 'Impearl earnings withdrawal'
+    });
+  } catch (error) {
+    await reverse('Withdrawal failed, returned to your balance');
+    throw escrowError(`Payout failed: ${error.message}`, 502);
+  }
+
+  // The payout's id is only known now; the amount itself is never touched
+  debit.providerReference = payout.id;
+  await LedgerEntry.updateOne({ _id: debit._id }, { providerReference: payout.id });
+  return debit;
+};
+
+// Release every submitted milestone whose review window has passed
+export const releaseDueMilestones = async () => {
+  const due = await Milestone.find({ status: 'submitted', autoReleaseAt: { $lte: new Date() } });
+
+  for (const milestone of due) {
+    try {
+      const order = await Order.findById(milestone.order);
+      await releaseMilestone(milestone, order, 'Auto-released');
+
+      const notice = {
+        category: 'payments',
+        title: `Payment for "${milestone.title}" was released automatically`,
+        body: 'The review window ended without any action from the client.',
+        link: '/orders'
+      };
+      notify(order.client, notice);
+      notify(order.freelancer, notice);
+    } catch (error) {
+      console.error(`Error auto-releasing milestone ${milestone._id}:`, error);
+    }
+  }
+
+  return due.length;
+};
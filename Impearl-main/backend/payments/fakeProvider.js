@@ -0,0 +1,59 @@
+import crypto from "crypto";
+
+// Payment method that the fake provider always declines, for testing failures
+export const FAKE_DECLINED_METHOD = 'fake_declined';
+
+// In-memory stand-in for a real payment gateway. Every call succeeds (except
+// charges against FAKE_DECLINED_METHOD) and is recorded so it can be inspected.
+export const createFakeProvider = () => {
+  const charges = new Map();
+  const refunds = new Map();
+  const payouts = new Map();
+
+  const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+  return {
+    name: 'fake',
+
+    async charge({ amount, currency, customer, description, paymentMethod }) {
+      if (paymentMethod === FAKE_DECLINED_METHOD) {
+        throw new Error('Your card was declined');
+      }
+      const charge = { id: newId('fake_ch'), amount, currency, customer, description, refunded: 0, status: 'succeeded' };
+      charges.set(charge.id, charge);
+      return charge;
+    },
+
+    async refund({ chargeId, amount }) {
+      const charge = charges.get(chargeId);
+      // Charges made before a restart are no longer in memory; refund those as asked
+      if (!charge && !String(chargeId).startsWith('fake_ch_')) {
+        throw new Error(`Unknown charge ${chargeId}`);
+      }
+      if (charge && charge.refunded + amount > charge.amount) {
+        throw new Error('Refund exceeds the original charge');
+      }
+      if (charge) {
+        charge.refunded += amount;
+      }
+      const refund = { id: newId('fake_re'), chargeId, amount, status: 'succeeded' };
+      refunds.set(refund.id, refund);
+      return refund;
+    },
+
+    async payout({ amount, currency, recipient, description }) {
+      const payout = { id: newId('fake_po'), amount, currency, recipient, description, status: 'paid' };
+      payouts.set(payout.id, payout);
+      return payout;
+    },
+
+    // Test helper - not part of the provider interface
+    inspect() {
+      return {
+        charges: [...charges.values()],
+        refunds: [...refunds.values()],
+        payouts: [...payouts.values()]
+      };
+    }
+  };
+};
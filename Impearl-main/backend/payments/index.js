@@ -0,0 +1,42 @@
+import { createFakeProvider } from "./fakeProvider.js";
+
+/*
+ * Payment providers all expose the same async interface. Amounts are integer
+ * cents; each method resolves with an object carrying the provider's `id` for
+ * the transaction, or rejects if the gateway refuses it.
+ *
+ *   name                                                     provider key
+ *   charge({ amount, currency, customer, description, paymentMethod })
+ *   refund({ chargeId, amount })
+ *   payout({ amount, currency, recipient, description })
+ *
+ * To add a real gateway, write a factory returning that shape and register it
+ * below, then select it with PAYMENT_PROVIDER in .env. The fake provider is
+ * the default everywhere except NODE_ENV=production.
+ */
+const providerFactories = {
+  fake: createFakeProvider
+};
+
+let provider;
+
+export const getPaymentProvider = () => {
+  if (!provider) {
+    // The fake provider moves no real money, so production has to pick one
+    const name = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? undefined : 'fake');
+    if (!name) {
+      throw new Error('Set PAYMENT_PROVIDER in .env to take payments in production');
+    }
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown payment provider "${name}"`);
+    }
+    provider = factory();
+  }
+  return provider;
+};
+
+// Swap the active provider (used by tests)
+export const setPaymentProvider = (newProvider) => {
+  provider = newProvider;
+};
@@ -0,0 +1,209 @@
+import { createMemoryStore } from "./memoryStore.js";
+import { createMongoStore } from "./mongoStore.js";
+
+/*
+ * Rate limit stores all expose the same async interface. A counter counts
+ * hits on a key in a fixed window that opens with its first hit; `resetAt`
+ * is when that window ends (ms timestamp).
+ *
+ *   increment(key, windowMs)    count a hit, resolves { count, resetAt }
+ *   get(key)                    { count, resetAt } while the window is open, else null
+ *   reset(key)                  forget the counter
+ *
+ * Select a store with RATE_LIMIT_STORE in .env: "memory" for one server,
+ * "mongo" when several servers must share their counts.
+ */
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store;
+
+export const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store "${name}"`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+// Swap the active store (used by tests)
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+const minutes = (name, fallback) => (Number(process.env[name]) || fallback) * 60 * 1000;
+
+// Requests one IP (or other key, see rateLimit) may make to each group of
+// routes per window
+export const RATE_LIMITS = {
+  login: {
+    limit: Number(process.env.LOGIN_RATE_LIMIT) || 30,
+    windowMs: minutes('LOGIN_RATE_WINDOW_MINUTES', 15)
+  },
+  register: {
+    limit: Number(process.env.REGISTER_RATE_LIMIT) || 10,
+    windowMs: minutes('REGISTER_RATE_WINDOW_MINUTES', 60)
+  },
+  // Reading an uploaded resume is open to anyone and costly to serve
+  resume: {
+    limit: Number(process.env.RESUME_RATE_LIMIT) || 10,
+    windowMs: minutes('RESUME_RATE_WINDOW_MINUTES', 60)
+  },
+  // Each request sends an email, so these are limited per IP and, so one
+  // inbox can't be flooded, per address
+  passwordReset: {
+    limit: Number(process.env.PASSWORD_RESET_RATE_LIMIT) || 10,
+    windowMs: minutes('PASSWORD_RESET_RATE_WINDOW_MINUTES', 60)
+  },
+  passwordResetEmail: {
+    limit: Number(process.env.PASSWORD_RESET_EMAIL_RATE_LIMIT) || 3,
+    windowMs: minutes('PASSWORD_RESET_RATE_WINDOW_MINUTES', 60)
+  }
+};
+
+// Failed logins on one account, counted per failure window. From
+// `delayAfter` failures on, each attempt has to wait longer than the last
+// (1s, 2s, 4s... up to `maxDelaySeconds`); `lockoutFailures` locks the
+// account for `lockoutMs`, even against the right password. Attempts are
+// counted as they start (see startLoginAttempt).
+export const LOGIN_PROTECTION = {
+  failureWindowMs: minutes('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+  delayAfter: Number(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3,
+  maxDelaySeconds: Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 30,
+  lockoutFailures: Number(process.env.LOGIN_LOCKOUT_FAILURES) || 10,
+  lockoutMs: minutes('LOGIN_LOCKOUT_MINUTES', 15)
+};
+
+const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+// 45 -> "45 seconds", 600 -> "10 minutes"
+const describeWait = (seconds) => {
+  const [amount, unit] = seconds < 60 ? [seconds, 'second'] : [Math.ceil(seconds / 60), 'minute'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+// Answer with a 429 saying how long to wait, in the header and the body
+export const sendTooManyRequests = (res, { retryAfter, message, code = 'RATE_LIMITED' }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: message || `Too many attempts. Please try again in ${describeWait(retryAfter)}.`,
+    code,
+    retryAfter
+  });
+};
+
+// Middleware applying one RATE_LIMITS group per client IP, or per whatever
+// `key(req)` returns. If the store can't be reached the request goes through
+// rather than locking everyone out.
+export const rateLimit = (name, { key = (req) => `ip:${req.ip}` } = {}) => {
+  const { limit, windowMs } = RATE_LIMITS[name];
+
+  return async (req, res, next) => {
+    let counter;
+    try {
+      counter = await getRateLimitStore().increment(`${name}:${key(req)}`, windowMs);
+    } catch (err) {
+      console.error(`Rate limit error (${name}):`, err);
+      return next();
+    }
+
+    if (counter.count > limit) {
+      return sendTooManyRequests(res, { retryAfter: secondsUntil(counter.resetAt) });
+    }
+    next();
+  };
+};
+
+// Accounts are tracked by email, registered or not, so the answers don't
+// reveal which addresses have an account
+const loginKey = (kind, email) => `login:${kind}:${email.toLowerCase()}`;
+
+// Whether `email` may try to log in now. Resolves null, or the 429 details
+// (for sendTooManyRequests) while it is locked or waiting out a delay.
+export const checkLoginAllowed = async (email) => {
+  const lock = await getRateLimitStore().get(loginKey('lock', email));
+  if (lock) {
+    const retryAfter = secondsUntil(lock.resetAt);
+    return {
+      retryAfter,
+      code: 'ACCOUNT_LOCKED',
+      message: `Too many failed login attempts. This account is locked for ${describeWait(retryAfter)}.`
+    };
+  }
+
+  const delay = await getRateLimitStore().get(loginKey('delay', email));
+  if (delay) {
+    const retryAfter = secondsUntil(delay.resetAt);
+    return {
+      retryAfter,
+      code: 'LOGIN_DELAYED',
+      message: `Too many failed login attempts. Please wait ${describeWait(retryAfter)} before trying again.`
+    };
+  }
+
+  return null;
+};
+
+const lockAccount = async (email) => {
+  const rateLimitStore = getRateLimitStore();
+  await rateLimitStore.increment(loginKey('lock', email), LOGIN_PROTECTION.lockoutMs);
+  await rateLimitStore.reset(loginKey('failures', email));
+  await rateLimitStore.reset(loginKey('delay', email));
+};
+
+// Start a login attempt on `email` before its password or code is checked.
+// The attempt counts as a failure straight away - clearLoginFailures takes it
+// back once the login succeeds - so parallel guesses can't all get past the
+// limits before the first of them fails. Resolves null if the attempt may go
+// ahead, or the 429 details like checkLoginAllowed.
+export const startLoginAttempt = async (email) => {
+  const wait = await checkLoginAllowed(email);
+  if (wait) {
+    return wait;
+  }
+
+  const rateLimitStore = getRateLimitStore();
+  const { failureWindowMs, delayAfter, maxDelaySeconds, lockoutFailures } = LOGIN_PROTECTION;
+  const { count } = await rateLimitStore.increment(loginKey('failures', email), failureWindowMs);
+
+  if (count > lockoutFailures) {
+    await lockAccount(email);
+    return checkLoginAllowed(email);
+  }
+
+  // From `delayAfter` attempts on, each one makes the next wait. Only the
+  // attempt that starts the wait goes ahead; any racing it wait as well.
+  if (count >= delayAfter) {
+    const delaySeconds = Math.min(2 ** (count - delayAfter), maxDelaySeconds);
+    const delay = await rateLimitStore.increment(loginKey('delay', email), delaySeconds * 1000);
+    if (delay.count > 1) {
+      return checkLoginAllowed(email);
+    }
+  }
+
+  return null;
+};
+
+// Finish a failed attempt on `email`, locking the account if it was the last
+// one allowed. Resolves like checkLoginAllowed for the next try.
+export const recordLoginFailure = async (email) => {
+  const failures = await getRateLimitStore().get(loginKey('failures', email));
+  if (failures && failures.count >= LOGIN_PROTECTION.lockoutFailures) {
+    await lockAccount(email);
+  }
+
+  return checkLoginAllowed(email);
+};
+
+// A successful login forgets the account's earlier failures, and its own attempt
+export const clearLoginFailures = async (email) => {
+  await getRateLimitStore().reset(loginKey('failures', email));
+  await getRateLimitStore().reset(loginKey('delay', email));
+};
@@ -0,0 +1,43 @@
+// Counters kept in this process's memory. Fine for a single server; with
+// several, each one counts separately - use the mongo store instead.
+export const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const counters = new Map();
+
+  const live = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  // Drop expired counters now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const counter = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+
+    async get(key) {
+      const counter = live(key);
+      return counter ? { ...counter } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
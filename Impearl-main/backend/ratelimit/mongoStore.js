@@ -0,0 +1,46 @@
+import RateLimitCounter from "../models/RateLimitCounter.js";
+
+// Counters kept in MongoDB, so every server behind a load balancer shares them
+export const createMongoStore = () => {
+  // Start a new window if the old one is over, otherwise count one more - in
+  // a single update so concurrent requests can't lose a hit
+  const bump = (key, windowMs) => {
+    const now = new Date();
+    const open = { $gt: ['$expires_at', now] };
+    return RateLimitCounter.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [open, { $add: ['$count', 1] }, 1] },
+          expires_at: { $cond: [open, '$expires_at', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+  };
+
+  return {
+    name: 'mongo',
+
+    async increment(key, windowMs) {
+      let counter;
+      try {
+        counter = await bump(key, windowMs);
+      } catch (err) {
+        // Two first hits raced to create the counter; the loser counts onto it
+        if (err.code !== 11000) throw err;
+        counter = await bump(key, windowMs);
+      }
+      return { count: counter.count, resetAt: counter.expires_at.getTime() };
+    },
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key, expires_at: { $gt: new Date() } });
+      return counter ? { count: counter.count, resetAt: counter.expires_at.getTime() } : null;
+    },
+
+    async reset(key) {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+};
@@ -0,0 +1,75 @@
+import { WebSocketServer } from "ws";
+import jwt from "jsonwebtoken";
+
+// Open sockets for each signed-in user (a user may have several tabs open)
+const socketsByUser = new Map();
+
+// Attach the WebSocket endpoint to the HTTP server. Browsers can't set an
+// Authorization header on a WebSocket, so the JWT comes in as ?token=...
+export const initRealtime = (server, jwtSecret) => {
+  const wss = new WebSocketServer({ server, path: '/ws' });
+
+  wss.on('connection', (socket, req) => {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+
+    let user;
+    try {
+      user = jwt.verify(token, jwtSecret);
+    } catch (err) {
+      user = null;
+    }
+    // Only access tokens (see generateToken), not 2FA challenges or email links
+    if (user?.type !== 'access') {
+      socket.close(4001, 'Invalid or expired token');
+      return;
+    }
+
+    const userId = user.userId.toString();
+    if (!socketsByUser.has(userId)) {
+      socketsByUser.set(userId, new Set());
+    }
+    socketsByUser.get(userId).add(socket);
+
+    socket.on('close', () => {
+      const sockets = socketsByUser.get(userId);
+      if (!sockets) return;
+      sockets.delete(socket);
+      if (sockets.size === 0) {
+        socketsByUser.delete(userId);
+      }
+    });
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('error', (err) => console.error('WebSocket error:', err));
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (socket.isAlive === false) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, 30 * 1000);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+// Push an event to every open socket belonging to a user
+export const sendToUser = (userId, type, payload) => {
+  const sockets = socketsByUser.get(userId.toString());
+  if (!sockets) return;
+
+  const message = JSON.stringify({ type, ...payload });
+  sockets.forEach((socket) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(message);
+    }
+  });
+};
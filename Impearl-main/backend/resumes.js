@@ -0,0 +1,295 @@
+import { extractText } from "unpdf";
+import mammoth from "mammoth";
+import WordExtractor from "word-extractor";
+import { EXPERIENCE_LEVELS } from "./models/User.js";
+
+/*
+ * Reads uploaded resumes and suggests profile fields from them. Everything
+ * runs in-process - resumes are never sent to another service.
+ */
+
+// Only this much extracted text is looked at
+const MAX_TEXT_LENGTH = 100000;
+const MAX_SUGGESTED_SKILLS = 15;
+const MAX_BIO_LENGTH = 600;
+
+export class ResumeError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Skills we look for, with other ways resumes commonly write them. Short
+// aliases like "ui" or "ml" only match in capitals so ordinary words don't count.
+const KNOWN_SKILLS = {
+  'javascript': ['js', 'ecmascript', 'es6'],
+  'typescript': ['ts'],
+  'react': ['react.js', 'reactjs'],
+  'react native': [],
+  'angular': ['angularjs', 'angular.js'],
+  'vue': ['vue.js', 'vuejs'],
+  'next.js': ['nextjs'],
+  'node.js': ['node', 'nodejs'],
+  'express': ['express.js', 'expressjs'],
+  'html': ['html5'],
+  'css': ['css3'],
+  'sass': ['scss'],
+  'tailwind css': ['tailwind'],
+  'python': [],
+  'django': [],
+  'flask': [],
+  'java': [],
+  'spring': ['spring boot'],
+  'kotlin': [],
+  'swift': [],
+  'objective-c': [],
+  'c++': ['cpp'],
+  'c#': ['csharp'],
+  '.net': ['dotnet', 'asp.net'],
+  'golang': ['go lang'],
+  'rust': [],
+  'ruby': [],
+  'ruby on rails': ['rails'],
+  'php': [],
+  'laravel': [],
+  'wordpress': [],
+  'shopify': [],
+  'sql': [],
+  'mysql': [],
+  'postgresql': ['postgres'],
+  'mongodb': ['mongo'],
+  'redis': [],
+  'graphql': [],
+  'rest api': ['restful'],
+  'aws': ['amazon web services'],
+  'azure': [],
+  'google cloud': ['gcp'],
+  'docker': [],
+  'kubernetes': ['k8s'],
+  'terraform': [],
+  'ci/cd': [],
+  'git': [],
+  'linux': [],
+  'machine learning': ['ml'],
+  'deep learning': [],
+  'data analysis': ['data analytics'],
+  'data science': [],
+  'tensorflow': [],
+  'pytorch': [],
+  'pandas': [],
+  'excel': ['microsoft excel'],
+  'power bi': [],
+  'tableau': [],
+  'flutter': [],
+  'android': [],
+  'ios': [],
+  'unity': [],
+  'figma': [],
+  'sketch': [],
+  'adobe xd': [],
+  'photoshop': ['adobe photoshop'],
+  'illustrator': ['adobe illustrator'],
+  'indesign': ['adobe indesign'],
+  'after effects': ['adobe after effects'],
+  'premiere pro': ['adobe premiere'],
+  'ui design': ['ui'],
+  'ux design': ['ux', 'user experience'],
+  'graphic design': [],
+  'web design': [],
+  'web development': [],
+  'logo design': [],
+  'video editing': [],
+  'animation': [],
+  '3d modeling': ['blender'],
+  'copywriting': [],
+  'content writing': [],
+  'technical writing': [],
+  'translation': [],
+  'proofreading': [],
+  'seo': ['search engine optimization'],
+  'social media marketing': ['social media'],
+  'digital marketing': [],
+  'email marketing': [],
+  'project management': [],
+  'agile': ['scrum'],
+  'bookkeeping': [],
+  'accounting': [],
+  'customer support': ['customer service'],
+  'virtual assistant': [],
+  'data entry': []
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isShortAlias = (alias) => /^[a-z]{1,3}$/.test(alias);
+
+// Boundaries allow symbols like "c++" and ".net" but don't match "java"
+// inside "javascript" or "react" inside "react native"
+const termsPattern = (terms, flags) => new RegExp(
+  `(?:^|[^a-z0-9+#.\\-])(?:${terms.map(escapeRegex).join('|')})(?![a-z0-9+#]|\\.[a-z0-9]|\\s+native)`,
+  flags
+);
+
+const skillPatterns = Object.entries(KNOWN_SKILLS).map(([skill, aliases]) => {
+  const shortAliases = aliases.filter(isShortAlias).map(alias => alias.toUpperCase());
+  return {
+    skill,
+    patterns: [
+      termsPattern([skill, ...aliases.filter(alias => !isShortAlias(alias))], 'gi'),
+      ...(shortAliases.length > 0 ? [termsPattern(shortAliases, 'g')] : [])
+    ]
+  };
+});
+
+// Pick a text extractor from the file's first bytes rather than its mimetype
+const extractors = [
+  {
+    matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === '%PDF',
+    extract: async (buffer) => {
+      const { text } = await extractText(new Uint8Array(buffer), { mergePages: true });
+      return text;
+    }
+  },
+  {
+    // DOCX files are zip archives
+    matches: (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])),
+    extract: async (buffer) => (await mammoth.extractRawText({ buffer })).value
+  },
+  {
+    // Older Word documents use the OLE compound file format
+    matches: (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0])),
+    extract: async (buffer) => (await new WordExtractor().extract(buffer)).getBody()
+  }
+];
+
+export const extractResumeText = async (buffer) => {
+  const extractor = extractors.find(candidate => candidate.matches(buffer));
+  if (!extractor) {
+    throw new ResumeError('Resume must be a PDF, DOC or DOCX file');
+  }
+
+  let text;
+  try {
+    text = await extractor.extract(buffer);
+  } catch {
+    throw new ResumeError("We couldn't read this resume");
+  }
+  text = (text || '').replace(/\r\n?/g, '\n').slice(0, MAX_TEXT_LENGTH);
+  if (!text.trim()) {
+    throw new ResumeError("We couldn't find any text in this resume");
+  }
+  return text;
+};
+
+// Known skills mentioned in the text, most mentioned first
+export const suggestSkills = (text) => skillPatterns
+  .map(({ skill, patterns }) => ({
+    skill,
+    count: patterns.reduce((total, pattern) => total + (text.match(pattern) || []).length, 0)
+  }))
+  .filter(({ count }) => count > 0)
+  .sort((a, b) => b.count - a.count)
+  .slice(0, MAX_SUGGESTED_SKILLS)
+  .map(({ skill }) => skill);
+
+// Section headings, each on a line of its own
+const SUMMARY_HEADINGS = /^(?:professional\s+)?(?:summary|profile|about(?:\s+me)?|objective|career\s+objective|overview)\s*:?$/i;
+const OTHER_HEADINGS = /^(?:work\s+|professional\s+)?(?:experience|employment(?:\s+history)?|education|skills|technical\s+skills|projects|certifications?|languages|references|awards|interests|contact)\s*:?$/i;
+const EDUCATION_HEADING = /^education\s*:?$/i;
+
+// Years of experience, from "5+ years of experience" statements or the
+// date ranges of past roles ("2016 - 2019", "Mar 2020 - Present")
+export const suggestYears = (text) => {
+  const stated = [...text.matchAll(/(\d{1,2})\s*\+?\s*(?:years?|yrs?)\b(?:\s+of)?(?:\s+\w+){0,3}?\s+experience/gi)]
+    .map(match => Number(match[1]))
+    .filter(years => years > 0 && years <= 50);
+
+  // School dates aren't work experience
+  const lines = text.split('\n');
+  const educationAt = lines.findIndex(line => EDUCATION_HEADING.test(line.trim()));
+  const educationEnd = educationAt === -1
+    ? -1
+    : lines.findIndex((line, i) => i > educationAt && OTHER_HEADINGS.test(line.trim()));
+  const workText = educationAt === -1
+    ? text
+    : [...lines.slice(0, educationAt), ...(educationEnd === -1 ? [] : lines.slice(educationEnd))].join('\n');
+
+  const thisYear = new Date().getFullYear();
+  const ranges = [...workText.matchAll(/\b((?:19|20)\d{2})\s*(?:-|–|—|to)\s*(?:[a-z]{3,9}\.?\s+)?((?:19|20)\d{2}|present|current|now|today)\b/gi)]
+    .map(match => {
+      const start = Number(match[1]);
+      const end = /^\d+$/.test(match[2]) ? Number(match[2]) : thisYear;
+      return [start, end];
+    })
+    .filter(([start, end]) => start <= end && end <= thisYear)
+    .sort((a, b) => a[0] - b[0]);
+
+  // Overlapping roles only count once
+  let worked = 0;
+  let coveredUntil = -Infinity;
+  for (const [start, end] of ranges) {
+    const from = Math.max(start, coveredUntil);
+    if (end > from) {
+      worked += end - from;
+      coveredUntil = end;
+    }
+  }
+
+  const years = Math.max(0, ...stated, worked);
+  return years > 0 ? years : null;
+};
+
+// EXPERIENCE_LEVELS bucket for a number of years
+export const experienceLevelFor = (years) => {
+  if (years === null) return null;
+  if (years < 1) return EXPERIENCE_LEVELS[0];
+  if (years < 3) return EXPERIENCE_LEVELS[1];
+  if (years < 5) return EXPERIENCE_LEVELS[2];
+  if (years < 10) return EXPERIENCE_LEVELS[3];
+  return EXPERIENCE_LEVELS[4];
+};
+
+// Cut to the last full sentence that fits
+const trimBio = (text) => {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= MAX_BIO_LENGTH) return clean;
+  const cut = clean.slice(0, MAX_BIO_LENGTH);
+  const lastStop = cut.lastIndexOf('. ');
+  return lastStop > 100 ? cut.slice(0, lastStop + 1) : `${cut.trim()}…`;
+};
+
+// A draft bio: the resume's summary section if it has one, otherwise its
+// first paragraph that reads like prose
+export const suggestBio = (text) => {
+  const lines = text.split('\n').map(line => line.trim());
+
+  const headingAt = lines.findIndex(line => SUMMARY_HEADINGS.test(line));
+  if (headingAt !== -1) {
+    const section = [];
+    for (const line of lines.slice(headingAt + 1)) {
+      if (OTHER_HEADINGS.test(line)) break;
+      section.push(line);
+    }
+    const summary = section.join(' ').trim();
+    if (summary) return trimBio(summary);
+  }
+
+  const paragraph = text.split(/\n\s*\n/)
+    .map(block => block.replace(/\s+/g, ' ').trim())
+    .find(block => block.length >= 80 && /[a-z]{3,}\s+[a-z]{3,}.*\./i.test(block) && !/@|https?:\/\//.test(block));
+  return paragraph ? trimBio(paragraph) : '';
+};
+
+// Suggested skills, experience level and bio for a resume file
+export const suggestProfileFromResume = async (buffer) => {
+  const text = await extractResumeText(buffer);
+  const years = suggestYears(text);
+
+  return {
+    skills: suggestSkills(text),
+    years,
+    experience: experienceLevelFor(years),
+    bio: suggestBio(text)
+  };
+};
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import Review from "./models/Review.js";
+import Order from "./models/Order.js";
+import User from "./models/User.js";
+import { notify } from "./notifications.js";
+
+// How long after completion both parties have to leave a review. Reviews stay
+// hidden until both are in or this window closes, so neither side can
+// retaliate after reading the other's.
+export const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+// When the order was completed - older orders only have it in their history
+const completedAt = (order) =>
+  order.completed_at
+  || order.history?.find(change => change.to === 'completed')?.at
+  || order.updated_at;
+
+export const reviewDeadline = (order) =>
+  new Date(new Date(completedAt(order)).getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// Recompute a user's stored rating from their revealed reviews
+export const refreshRating = async (userId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { reviewee: new mongoose.Types.ObjectId(userId), revealed_at: { $ne: null } } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await User.findByIdAndUpdate(userId, {
+    ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+    ratingCount: stats ? stats.count : 0
+  });
+};
+
+// Make an order's reviews visible and update both parties' ratings
+export const revealReviews = async (orderId) => {
+  const hidden = await Review.find({ order: orderId, revealed_at: null });
+  if (hidden.length === 0) return;
+
+  await Review.updateMany({ _id: { $in: hidden.map(review => review._id) } }, { revealed_at: Date.now() });
+
+  for (const review of hidden) {
+    await refreshRating(review.reviewee);
+    notify(review.reviewee, {
+      category: 'orders',
+      title: 'A review of your work is now visible',
+      body: `You received ${review.rating} star${review.rating === 1 ? '' : 's'}.`,
+      link: '/orders'
+    });
+  }
+};
+
+// Called after a review is left: once both parties have reviewed, show the
+// reviews to each other. Resolves with whether they were revealed.
+export const revealIfBothReviewed = async (orderId) => {
+  const reviewers = await Review.distinct('reviewer', { order: orderId });
+  if (reviewers.length < 2) return false;
+
+  await revealReviews(orderId);
+  return true;
+};
+
+// Reveal the reviews of every order whose review window has closed
+export const revealDueReviews = async () => {
+  const orderIds = await Review.distinct('order', { revealed_at: null });
+  const orders = await Order.find({ _id: { $in: orderIds } });
+
+  for (const order of orders) {
+    if (reviewDeadline(order) <= new Date()) {
+      await revealReviews(order._id);
+    }
+  }
+};
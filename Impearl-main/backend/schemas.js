@@ -0,0 +1,200 @@
+// Request schemas for the API routes (see validation.js). Signup and profile
+// rules come from the frontend's shared schemas so the forms check the same
+// things before submitting.
+import { field } from "@impearl/shared/validation";
+import {
+  nameField,
+  emailField,
+  passwordField,
+  bioField,
+  EXPERIENCE_LEVELS,
+  clientProfileSchema,
+  freelancerProfileSchema
+} from "@impearl/shared/schemas";
+import { USER_ROLES } from "./models/User.js";
+import { ORDER_TRANSITIONS } from "./models/Order.js";
+import { MAX_PORTFOLIO_LINKS, MAX_PORTFOLIO_ATTACHMENTS } from "./models/PortfolioItem.js";
+import { AVATAR_SIZES } from "./images.js";
+import { AUDIT_EVENTS } from "./models/AuditEvent.js";
+
+export {
+  clientSignupSchema,
+  freelancerSignupSchema,
+  clientProfileSchema,
+  freelancerProfileSchema,
+  roleProfileSchemas,
+  addRoleSchema
+} from "@impearl/shared/schemas";
+
+// Shared by the paged list endpoints; routes still clamp `limit` to their own maximum
+const page = field.number({ integer: true, min: 1 });
+const limit = field.number({ integer: true, min: 1 });
+const before = field.date();
+
+export const loginSchema = {
+  email: emailField,
+  // Only presence - older accounts may predate the current length rules
+  password: field.string({ required: true, trim: false }),
+  userType: field.oneOf(USER_ROLES, { label: 'Role' })
+};
+
+export const logoutSchema = {
+  all: field.boolean()
+};
+
+export const forgotPasswordSchema = {
+  email: emailField
+};
+
+export const resetPasswordSchema = {
+  token: field.string({ required: true }),
+  password: passwordField
+};
+
+export const verifyEmailSchema = {
+  token: field.string({ required: true })
+};
+
+// Every field PATCH /api/me knows; the route then limits them to the caller's roles
+export const profileUpdateSchema = {
+  name: nameField,
+  bio: bioField,
+  ...clientProfileSchema,
+  ...freelancerProfileSchema
+};
+
+export const switchRoleSchema = {
+  role: field.oneOf(USER_ROLES, { required: true })
+};
+
+export const deletionSchema = {
+  password: field.string({ required: true, trim: false })
+};
+
+export const jobSchema = {
+  title: field.string({ required: true, maxLength: 150 }),
+  description: field.string({ required: true, maxLength: 5000 }),
+  budget: field.number({ required: true, min: 0 }),
+  budgetType: field.oneOf(['fixed', 'hourly'], { label: 'Budget type' }),
+  skills: field.string({ maxLength: 500 }),
+  deadline: field.date()
+};
+
+export const proposalSchema = {
+  coverLetter: field.string({ required: true, maxLength: 5000 }),
+  price: field.number({ required: true, min: 0 }),
+  deliveryDays: field.number({ required: true, integer: true, min: 1, max: 365, label: 'Delivery estimate' })
+};
+
+export const orderStatusSchema = {
+  status: field.oneOf(Object.keys(ORDER_TRANSITIONS), { required: true }),
+  note: field.string({ maxLength: 1000 })
+};
+
+export const reviewSchema = {
+  rating: field.number({ required: true, integer: true, min: 1, max: 5 }),
+  comment: field.string({ maxLength: 2000 })
+};
+
+export const reviewReplySchema = {
+  body: field.string({ required: true, maxLength: 2000, label: 'Reply' })
+};
+
+export const milestoneSchema = {
+  title: field.string({ required: true, maxLength: 150 }),
+  amount: field.number({ required: true, min: 0.01 }),
+  dueDate: field.date({ label: 'Due date' })
+};
+
+export const milestoneSubmitSchema = {
+  note: field.string({ maxLength: 2000 })
+};
+
+export const milestoneActionSchema = {
+  note: field.string({ maxLength: 2000 }),
+  paymentMethod: field.string({ maxLength: 100, label: 'Payment method' })
+};
+
+export const withdrawSchema = {
+  amount: field.number({ required: true, min: 0.01 })
+};
+
+export const conversationSchema = {
+  userId: field.objectId({ required: true, label: 'User' })
+};
+
+export const messageSchema = {
+  body: field.string({ maxLength: 5000, label: 'Message' })
+};
+
+export const notificationPreferencesSchema = {
+  preferences: field.object({ required: true })
+};
+
+export const visibilitySchema = {
+  visibility: field.object({ required: true, label: 'Visibility settings' })
+};
+
+export const portfolioItemSchema = {
+  title: field.string({ required: true, maxLength: 100 }),
+  description: field.string({ maxLength: 2000 }),
+  links: field.list(field.url(), { maxItems: MAX_PORTFOLIO_LINKS }),
+  removeAttachments: field.list(field.objectId(), { maxItems: MAX_PORTFOLIO_ATTACHMENTS, label: 'Attachments to remove' })
+};
+
+export const portfolioOrderSchema = {
+  order: field.list(field.objectId(), { required: true, label: 'Order' })
+};
+
+export const adminActionSchema = {
+  reason: field.string({ maxLength: 500 })
+};
+
+export const twoFactorLoginSchema = {
+  challengeToken: field.string({ required: true }),
+  code: field.string({ required: true, maxLength: 20 })
+};
+
+export const twoFactorCodeSchema = {
+  code: field.string({ required: true, maxLength: 20 })
+};
+
+export const oidcStartQuery = {
+  userType: field.oneOf(USER_ROLES, { label: 'Role' })
+};
+
+export const pageQuery = { page, limit };
+export const limitQuery = { limit };
+export const timelineQuery = { limit, before };
+
+export const freelancerSearchQuery = {
+  page,
+  limit,
+  q: field.string({ maxLength: 200, label: 'Search' }),
+  sort: field.oneOf(['relevance', 'newest', 'experience']),
+  skills: field.string({ maxLength: 1000 }),
+  experience: field.list(field.oneOf(EXPERIENCE_LEVELS), { split: true })
+};
+
+export const adminUsersQuery = {
+  page,
+  limit,
+  q: field.string({ maxLength: 200, label: 'Search' }),
+  userType: field.oneOf(USER_ROLES, { label: 'Role' }),
+  suspended: field.boolean()
+};
+
+export const adminAuditQuery = {
+  page,
+  limit,
+  user: field.objectId({ label: 'User' }),
+  email: field.string({ maxLength: 200 }),
+  event: field.oneOf(AUDIT_EVENTS),
+  ip: field.string({ maxLength: 100, label: 'IP address' }),
+  from: field.date(),
+  to: field.date()
+};
+
+export const fileQuery = {
+  size: field.oneOf(Object.keys(AVATAR_SIZES))
+};
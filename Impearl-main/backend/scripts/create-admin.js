@@ -0,0 +1,41 @@
+// Create an admin account. Admins can't sign up through the app.
+//
+//   npm run create-admin -- <email> <password> [name]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import bcrypt from "bcrypt";
+import User from "../models/User.js";
+
+dotenv.config();
+
+const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+if (!email || !password) {
+  console.error("Usage: npm run create-admin -- <email> <password> [name]");
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const existingUser = await User.findOne({ email: email.toLowerCase() });
+  if (existingUser) {
+    console.error(`❌ ${email} is already registered (${existingUser.roles.join(', ')})`);
+    process.exitCode = 1;
+  } else {
+    const saltRounds = 10;
+    await User.create({
+      name,
+      email: email.toLowerCase(),
+      password: await bcrypt.hash(password, saltRounds),
+      roles: ['admin'],
+      emailVerified: true
+    });
+    console.log(`✅ Admin account created for ${email}`);
+  }
+} catch (err) {
+  console.error("❌ Could not create admin:", err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,40 @@
+// Re-process profile pictures stored before thumbnails existed (single files
+// like "avatars/123-456.png") into the sized, metadata-free versions, and
+// delete the originals. Run migrate-uploads first. Safe to run more than once.
+//
+//   npm run migrate-avatars
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import { getStorage, readFile } from "../storage/index.js";
+import { saveAvatar, avatarKeys } from "../images.js";
+
+dotenv.config();
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Processed avatars are stored without an extension
+  const users = await User.collection
+    .find({ profilePicture: /^avatars\/.+\.[a-z0-9]+$/i }, { projection: { profilePicture: 1 } })
+    .toArray();
+
+  let converted = 0;
+  for (const user of users) {
+    try {
+      const original = await readFile(user.profilePicture);
+      const key = await saveAvatar(original);
+      await User.collection.updateOne({ _id: user._id }, { $set: { profilePicture: key } });
+      await Promise.all(avatarKeys(user.profilePicture).map(old => getStorage().delete(old)));
+      converted++;
+    } catch (err) {
+      console.error(`⚠️  Could not process avatar for user ${user._id} (${user.profilePicture}):`, err.message);
+    }
+  }
+  console.log(`✅ Processed ${converted} of ${users.length} profile picture(s)`);
+} catch (err) {
+  console.error("❌ Avatar migration failed:", err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,28 @@
+// Move accounts from the single `userType` field to the `roles` list that lets
+// one email be both a client and a freelancer. Safe to run more than once.
+//
+//   npm run migrate-roles
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+
+dotenv.config();
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Go through the raw collection - the schema no longer knows `userType`
+  const result = await User.collection.updateMany(
+    { userType: { $exists: true }, roles: { $exists: false } },
+    [{ $set: { roles: ['$userType'] } }, { $unset: 'userType' }]
+  );
+  console.log(`✅ Converted ${result.modifiedCount} account(s) to roles`);
+
+  await User.syncIndexes();
+  console.log("✅ User indexes are up to date");
+} catch (err) {
+  console.error("❌ Roles migration failed:", err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
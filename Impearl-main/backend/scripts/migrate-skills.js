@@ -0,0 +1,36 @@
+// Convert free-text `skills` strings ("React, Node") into normalized tag
+// arrays and build the search indexes. Safe to run more than once.
+//
+//   npm run migrate-skills
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User, { normalizeSkills } from "../models/User.js";
+
+dotenv.config();
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Go through the raw collection - the schema would cast the old strings on read
+  const legacyUsers = await User.collection
+    .find({ skills: { $type: 'string' } }, { projection: { skills: 1 } })
+    .toArray();
+
+  if (legacyUsers.length > 0) {
+    await User.collection.bulkWrite(legacyUsers.map(user => ({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { skills: normalizeSkills(user.skills) } }
+      }
+    })));
+  }
+  console.log(`✅ Converted skills for ${legacyUsers.length} user(s)`);
+
+  await User.syncIndexes();
+  console.log("✅ User indexes are up to date");
+} catch (err) {
+  console.error("❌ Skills migration failed:", err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,33 @@
+// Rename the account timestamps that were camelCase to the snake_case `*_at`
+// names the rest of the User schema uses. Safe to run more than once.
+//
+//   npm run migrate-timestamps
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+
+dotenv.config();
+
+const RENAMED_FIELDS = {
+  emailVerificationSentAt: 'email_verification_sent_at',
+  deletionRequestedAt: 'deletion_requested_at',
+  deletionScheduledFor: 'deletion_scheduled_at'
+};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Go through the raw collection - the schema no longer knows the old names
+  for (const [from, to] of Object.entries(RENAMED_FIELDS)) {
+    const result = await User.collection.updateMany(
+      { [from]: { $exists: true } },
+      { $rename: { [from]: to } }
+    );
+    console.log(`✅ ${from} -> ${to}: renamed on ${result.modifiedCount} account(s)`);
+  }
+} catch (err) {
+  console.error("❌ Timestamp migration failed:", err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
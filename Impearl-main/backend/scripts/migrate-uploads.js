@@ -0,0 +1,85 @@
+// Move files saved by the old disk upload code (paths like
+// "uploads/resume-123.pdf") into the configured storage driver and point the
+// database at the new keys. Safe to run more than once.
+//
+//   npm run migrate-uploads
+import fs from "fs";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import Proposal from "../models/Proposal.js";
+import Message from "../models/Message.js";
+import Milestone from "../models/Milestone.js";
+import PortfolioItem from "../models/PortfolioItem.js";
+import { getStorage, newFileKey, contentTypeFor, UPLOAD_FOLDERS } from "../storage/index.js";
+
+dotenv.config();
+
+const STORAGE_FOLDERS = Object.values(UPLOAD_FOLDERS);
+const isLegacyPath = (value) => Boolean(value) && !STORAGE_FOLDERS.includes(value.split('/')[0]);
+
+// Copy one legacy file into storage and return its new key
+const moveFile = async (legacyPath, fieldname) => {
+  const contentType = contentTypeFor(legacyPath);
+  const key = newFileKey(fieldname, contentType);
+  await getStorage().put(key, await fs.promises.readFile(legacyPath), { contentType });
+  await fs.promises.unlink(legacyPath);
+  return key;
+};
+
+// Migrate one string field on every document of a model
+const migrateField = async (Model, field, fieldname) => {
+  let moved = 0;
+  const docs = await Model.collection
+    .find({ [field]: { $type: 'string' } }, { projection: { [field]: 1 } })
+    .toArray();
+
+  for (const doc of docs) {
+    const value = field.split('.').reduce((obj, part) => obj?.[part], doc);
+    if (!isLegacyPath(value)) continue;
+
+    try {
+      const key = await moveFile(value, fieldname);
+      await Model.collection.updateOne({ _id: doc._id }, { $set: { [field]: key } });
+      moved++;
+    } catch (err) {
+      console.error(`⚠️  Could not migrate ${Model.modelName} ${doc._id} ${field} (${value}):`, err.message);
+    }
+  }
+  console.log(`✅ ${Model.modelName}.${field}: moved ${moved} file(s)`);
+};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  await migrateField(User, 'profilePicture', 'profilePicture');
+  await migrateField(User, 'resume', 'resume');
+  await migrateField(Proposal, 'attachment', 'attachment');
+  await migrateField(Message, 'attachment', 'attachment');
+  await migrateField(Milestone, 'submission.attachment', 'attachment');
+
+  // Portfolio attachments are an array of { path, ... }
+  let moved = 0;
+  for (const item of await PortfolioItem.collection.find({ 'attachments.0': { $exists: true } }).toArray()) {
+    const attachments = [];
+    for (const attachment of item.attachments) {
+      if (isLegacyPath(attachment.path)) {
+        try {
+          attachments.push({ ...attachment, path: await moveFile(attachment.path, 'portfolioFiles') });
+          moved++;
+          continue;
+        } catch (err) {
+          console.error(`⚠️  Could not migrate portfolio file ${attachment.path}:`, err.message);
+        }
+      }
+      attachments.push(attachment);
+    }
+    await PortfolioItem.collection.updateOne({ _id: item._id }, { $set: { attachments } });
+  }
+  console.log(`✅ PortfolioItem.attachments: moved ${moved} file(s)`);
+} catch (err) {
+  console.error("❌ Upload migration failed:", err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -5,9 +5,119 @@ import dotenv from "dotenv";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import multer from "multer";
+import crypto from "crypto";
+import cookieParser from "cookie-parser";
 import path from "path";
 import { fileURLToPath } from "url";
-import User from "./models/User.js";
+import User, { EXPERIENCE_LEVELS, PUBLIC_PROFILE_FIELDS, normalizeSkills } from "./models/User.js";
+import Job from "./models/Job.js";
+import Proposal from "./models/Proposal.js";
+import Order from "./models/Order.js";
+import Milestone from "./models/Milestone.js";
+import LedgerEntry from "./models/LedgerEntry.js";
+import Conversation from "./models/Conversation.js";
+import Message from "./models/Message.js";
+import {
+  fundMilestone,
+  submitMilestone,
+  requestMilestoneChanges,
+  releaseMilestone,
+  settleOrderEscrow,
+  getBalances,
+  withdraw,
+  releaseDueMilestones
+} from "./payments/escrow.js";
+import { initRealtime, sendToUser } from "./realtime.js";
+import Notification, { NOTIFICATION_CATEGORIES } from "./models/Notification.js";
+import { notify, countUnreadNotifications } from "./notifications.js";
+import { startSession, rotateSession, setSessionRole, endSession, revokeAllSessions } from "./sessions.js";
+import AuditEvent from "./models/AuditEvent.js";
+import { recordAuditEvent, USER_ACTIVITY_FIELDS } from "./audit.js";
+import PasswordResetToken from "./models/PasswordResetToken.js";
+import { sendMail } from "./mailer.js";
+import PortfolioItem, { MAX_PORTFOLIO_ATTACHMENTS } from "./models/PortfolioItem.js";
+import Review from "./models/Review.js";
+import { reviewDeadline, revealIfBothReviewed, revealDueReviews } from "./reviews.js";
+import { ACCOUNT_DELETION_GRACE_DAYS, countOpenOrders, streamExport, purgeDueAccounts } from "./userData.js";
+import { saveAvatar, removeAvatar, avatarKeys, avatarVariantKey, ImageError } from "./images.js";
+import { suggestProfileFromResume, ResumeError } from "./resumes.js";
+import { validateRequest, hasErrors, sendValidationError } from "./validation.js";
+import {
+  clientSignupSchema,
+  freelancerSignupSchema,
+  loginSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  profileUpdateSchema,
+  switchRoleSchema,
+  addRoleSchema,
+  roleProfileSchemas,
+  deletionSchema,
+  jobSchema,
+  proposalSchema,
+  orderStatusSchema,
+  reviewSchema,
+  reviewReplySchema,
+  milestoneSchema,
+  milestoneSubmitSchema,
+  milestoneActionSchema,
+  withdrawSchema,
+  conversationSchema,
+  messageSchema,
+  notificationPreferencesSchema,
+  visibilitySchema,
+  portfolioItemSchema,
+  portfolioOrderSchema,
+  adminActionSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  oidcStartQuery,
+  adminAuditQuery,
+  pageQuery,
+  limitQuery,
+  timelineQuery,
+  freelancerSearchQuery,
+  adminUsersQuery,
+  fileQuery
+} from "./schemas.js";
+import {
+  rateLimit,
+  sendTooManyRequests,
+  startLoginAttempt,
+  recordLoginFailure,
+  clearLoginFailures
+} from "./ratelimit/index.js";
+import {
+  OIDC_PROVIDER_NAME,
+  OIDC_LOGIN_COOKIE,
+  OIDC_LOGIN_MINUTES,
+  oidcLoginCookieOptions,
+  isOidcEnabled,
+  beginOidcLogin,
+  completeOidcLogin,
+  OidcError
+} from "./oidc.js";
+import {
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  verifyTwoFactorCode
+} from "./twoFactor.js";
+import {
+  getStorage,
+  createUploadEngine,
+  removeFiles,
+  readFile,
+  isPublicKey,
+  isValidFileKey,
+  IMAGE_TYPES,
+  publicFileUrl,
+  signedFileUrl,
+  verifyFileSignature
+} from "./storage/index.js";
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -16,15 +126,29 @@ const __dirname = path.dirname(__filename);
 dotenv.config();
 const app = express();
 
+// Behind a reverse proxy or load balancer, req.ip (which rate limits key on)
+// has to come from X-Forwarded-For. Set TRUST_PROXY to the number of proxies
+// in front of the API, or to their addresses.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // JWT Secret (add this to your .env file)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
-
-// Helper function to generate JWT token
-const generateToken = (userId, userType) => {
+// How long a password-checked login waits for its second factor
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+
+// Helper function to generate JWT token. Access tokens are short-lived; the
+// refresh cookie issued alongside them (see sessions.js) is used to get new ones.
+// `userType` is the role this session is acting as; `roles` is every role the
+// account holds (a dual-role user can switch between client and freelancer).
+// `type` sets them apart from the other tokens signed with JWT_SECRET (2FA
+// challenges, email links), which must never open an API route.
+const generateToken = (userId, userType, roles = [userType]) => {
   return jwt.sign(
-    { userId, userType },
+    { userId, userType, roles, type: 'access' },
     JWT_SECRET,
-    { expiresIn: '7d' } // Token expires in 7 days
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
   );
 };
 
@@ -41,10 +165,12 @@ const authenticateToken = (req, res, next) => {
   }
 
   jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
+    if (err || user.type !== 'access') {
       return res.status(403).json({
         success: false,
-        message: 'Invalid or expired token'
+        message: 'Invalid or expired token',
+        // Lets the frontend know a refresh is worth trying
+        code: err?.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
       });
     }
     req.user = user; // Add user info to request
@@ -52,27 +178,142 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Store files in 'uploads' folder
-    cb(null, 'uploads/');
-  },
-  filename: function (req, file, cb) {
-    // Create unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+// Middleware to restrict a route to certain account types. Use after authenticateToken.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.userType)) {
+    const role = roles[0].charAt(0).toUpperCase() + roles[0].slice(1);
+    return res.status(403).json({
+      success: false,
+      message: roles.length === 1
+        ? `Access denied. ${role} account required.`
+        : 'Access denied'
+    });
   }
-});
+  next();
+};
+
+// How long an emailed verification link stays valid, and how often it can be resent
+const EMAIL_VERIFICATION_TTL = '24h';
+// Verification links are only good at /api/email/verify - authenticateToken
+// refuses them like any other token that isn't an access token
+const EMAIL_VERIFICATION_AUDIENCE = 'verify-email';
+const VERIFICATION_RESEND_SECONDS = Number(process.env.VERIFICATION_RESEND_SECONDS) || 60;
+
+// Email a signed link that proves the user owns their address
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { userId: user._id, email: user.email, purpose: 'verify-email' },
+    JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL, audience: EMAIL_VERIFICATION_AUDIENCE }
+  );
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+
+  await User.findByIdAndUpdate(user._id, { email_verification_sent_at: Date.now() });
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Impearl email address',
+    text: `Hi ${user.name},\n\nWelcome to Impearl! Please confirm your email address by opening this link within 24 hours:\n\n${verifyUrl}\n\nIf you didn't create an account, you can ignore this email.`
+  });
+};
+
+// Middleware to block actions until the user has verified their email
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('emailVerified');
+
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address first',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking email verification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Middleware asking users with 2FA on to confirm sensitive actions with a
+// fresh code (or a recovery code) in the X-Two-Factor-Code header. Wrong
+// codes count as failed logins, so they can't be guessed from a stolen session.
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return next();
+    }
+
+    const code = req.get('X-Two-Factor-Code');
+    if (!code) {
+      return res.status(403).json({
+        success: false,
+        message: 'Enter a code from your authenticator app to continue',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const wait = await startLoginAttempt(user.email);
+    if (wait) {
+      return sendTooManyRequests(res, wait);
+    }
+
+    if (!verifyTwoFactorCode(user, code)) {
+      recordAuditEvent(req, 'login_failed', { user, details: { reason: 'two_factor', action: `${req.method} ${req.path}` } });
+      const nextWait = await recordLoginFailure(user.email);
+      if (nextWait) {
+        return sendTooManyRequests(res, { ...nextWait, message: `Invalid code. ${nextWait.message}` });
+      }
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid code',
+        code: 'TWO_FACTOR_INVALID'
+      });
+    }
+
+    // Marks the code (or recovery code) as used
+    await user.save();
+    await clearLoginFailures(user.email);
+    next();
+  } catch (error) {
+    console.error('Error checking two-factor code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// An upload of a type its field doesn't accept, answered with a 400 by the
+// upload error handler at the end of this file
+class FileTypeError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
 
 // File filter to validate file types
 const fileFilter = (req, file, cb) => {
   if (file.fieldname === 'profilePicture') {
-    // Accept only images
+    // Quick check on the declared type - saveAvatar looks at the real contents
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed for profile picture!'), false);
+      cb(new FileTypeError('Only image files are allowed for profile picture!'), false);
     }
   } else if (file.fieldname === 'resume') {
     // Accept only PDF and DOC files
@@ -80,21 +321,72 @@ const fileFilter = (req, file, cb) => {
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF, DOC, and DOCX files are allowed for resume!'), false);
+      cb(new FileTypeError('Only PDF, DOC, and DOCX files are allowed for resume!'), false);
+    }
+  } else if (file.fieldname === 'attachment') {
+    // Accept images and PDF/DOC files
+    const allowedTypes = [...IMAGE_TYPES, 'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new FileTypeError('Only image, PDF, DOC, and DOCX files are allowed as attachments!'), false);
+    }
+  } else if (file.fieldname === 'portfolioFiles') {
+    // Accept images and PDF files
+    if (IMAGE_TYPES.includes(file.mimetype) || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new FileTypeError('Only image and PDF files are allowed in a portfolio!'), false);
     }
   } else {
     cb(null, true);
   }
 };
 
+// Uploads go straight to the configured storage driver (see storage/index.js).
+// Profile pictures are turned into thumbnails first (see images.js).
 const upload = multer({ 
-  storage: storage,
+  storage: createUploadEngine({
+    processors: {
+      profilePicture: { save: saveAvatar, remove: removeAvatar }
+    }
+  }),
   fileFilter: fileFilter,
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit
   }
 });
 
+// Resumes read for profile suggestions are only held in memory, never stored
+const resumeReader = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Every stored key behind an upload field's value - avatars are kept in several sizes
+const storedKeys = (field, key) => field === 'profilePicture' ? avatarKeys(key) : [key];
+
+// Every stored file multer saved for this request
+const uploadedKeys = (req) => [req.file, ...Object.values(req.files || {}).flat()]
+  .filter(Boolean)
+  .flatMap(file => storedKeys(file.fieldname, file.path));
+
+// Check a request against schemas.js before its handler runs (see
+// validation.js); a rejected request's uploads are removed
+const validated = (schemas, options) => validateRequest(schemas, {
+  ...options,
+  onInvalid: (req) => removeFiles(uploadedKeys(req))
+});
+
+// Names for the uploads a profile can require, for field errors
+const PROFILE_FILE_LABELS = {
+  profilePicture: 'Profile picture',
+  resume: 'Resume'
+};
+
 // CORS configuration - allow your frontend domain
 const allowedOrigins = [
   'http://localhost:3000', // Local development
@@ -117,40 +409,42 @@ app.use(cors({
 }));
 
 app.use(express.json());
-
-// Serve uploaded files statically
-app.use('/uploads', express.static('uploads'));
+app.use(cookieParser());
 
 mongoose.connect(process.env.MONGO_URI)
   .then(() => console.log("✅ Connected to MongoDB"))
   .catch(err => console.error("❌ MongoDB connection error:", err));
 
-app.get("/", (req, res) => res.send("Backend running!"));
+// Periodically release escrowed milestones whose review window has expired
+setInterval(() => {
+  releaseDueMilestones().catch(err => console.error("Escrow auto-release error:", err));
+}, Number(process.env.ESCROW_SWEEP_INTERVAL_MS) || 60 * 1000);
 
-app.get("/users", async (req, res) => {
-  const users = await User.find();
-  res.json(users);
-});
+// Periodically reveal reviews whose double-blind window has closed
+setInterval(() => {
+  revealDueReviews().catch(err => console.error("Review reveal error:", err));
+}, Number(process.env.REVIEW_SWEEP_INTERVAL_MS) || 5 * 60 * 1000);
+
+// Periodically delete accounts whose deletion grace period has ended
+setInterval(() => {
+  purgeDueAccounts().catch(err => console.error("Account purge error:", err));
+}, Number(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000);
+
+app.get("/", (req, res) => res.send("Backend running!"));
 
 // Client Registration Endpoint
-app.post("/api/register/client", async (req, res) => {
+app.post("/api/register/client", rateLimit('register'), validated({ body: clientSignupSchema }), async (req, res) => {
   try {
-    const { name, email, password, businessName, businessType, companySize, address, userType } = req.body;
-
-    // Validate required fields
-    if (!name || !email || !password || !businessName || !businessType || !companySize || !address) {
-      return res.status(400).json({
-        success: false,
-        message: "All fields are required"
-      });
-    }
+    const { name, email, password, businessName, businessType, companySize, address } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: "Email already registered"
+        message: existingUser.roles.includes('client')
+          ? "Email already registered"
+          : "Email already registered. Log in and add a client profile from Account Settings."
       });
     }
 
@@ -163,7 +457,7 @@ app.post("/api/register/client", async (req, res) => {
       name,
       email: email.toLowerCase(),
       password: hashedPassword,
-      userType: userType || 'client',
+      roles: ['client'],
       businessName,
       businessType,
       companySize,
@@ -172,9 +466,14 @@ app.post("/api/register/client", async (req, res) => {
 
     // Save to database
     await newUser.save();
+    recordAuditEvent(req, 'register', { user: newUser, details: { role: 'client' } });
+
+    // Generate JWT token and start a refreshable session
+    const token = generateToken(newUser._id, 'client', newUser.roles);
+    await startSession(req, res, newUser._id, 'client');
 
-    // Generate JWT token
-    const token = generateToken(newUser._id, newUser.userType);
+    // Account starts unverified until the emailed link is opened
+    sendVerificationEmail(newUser).catch(err => console.error("Error sending verification email:", err));
 
     // Return success response (don't send password back)
     res.status(201).json({
@@ -185,7 +484,9 @@ app.post("/api/register/client", async (req, res) => {
         id: newUser._id,
         name: newUser.name,
         email: newUser.email,
-        userType: newUser.userType,
+        userType: 'client',
+        roles: newUser.roles,
+        emailVerified: newUser.emailVerified,
         businessName: newUser.businessName
       }
     });
@@ -200,27 +501,21 @@ app.post("/api/register/client", async (req, res) => {
 });
 
 // Freelancer Registration Endpoint
-app.post("/api/register/freelancer", upload.fields([
+app.post("/api/register/freelancer", rateLimit('register'), upload.fields([
   { name: 'profilePicture', maxCount: 1 },
   { name: 'resume', maxCount: 1 }
-]), async (req, res) => {
+]), validated({ body: freelancerSignupSchema }), async (req, res) => {
   try {
-    const { name, email, password, skills, experience, userType } = req.body;
-
-    // Validate required fields
-    if (!name || !email || !password || !skills || !experience) {
-      return res.status(400).json({
-        success: false,
-        message: "All fields are required"
-      });
-    }
+    const { name, email, password, skills, experience, bio } = req.body;
 
     // Check if files were uploaded
-    if (!req.files || !req.files.profilePicture || !req.files.resume) {
-      return res.status(400).json({
-        success: false,
-        message: "Profile picture and resume are required"
-      });
+    const missingFiles = {};
+    for (const field of ['profilePicture', 'resume']) {
+      if (!req.files?.[field]) missingFiles[field] = `${PROFILE_FILE_LABELS[field]} is required`;
+    }
+    if (hasErrors(missingFiles)) {
+      removeFiles(uploadedKeys(req));
+      return sendValidationError(res, missingFiles);
     }
 
     // Check if user already exists
@@ -228,7 +523,9 @@ app.post("/api/register/freelancer", upload.fields([
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: "Email already registered"
+        message: existingUser.roles.includes('freelancer')
+          ? "Email already registered"
+          : "Email already registered. Log in and add a freelancer profile from Account Settings."
       });
     }
 
@@ -245,18 +542,24 @@ app.post("/api/register/freelancer", upload.fields([
       name,
       email: email.toLowerCase(),
       password: hashedPassword,
-      userType: userType || 'freelancer',
+      roles: ['freelancer'],
       profilePicture: profilePicturePath,
       resume: resumePath,
       skills,
-      experience
+      experience,
+      bio
     });
 
     // Save to database
     await newUser.save();
+    recordAuditEvent(req, 'register', { user: newUser, details: { role: 'freelancer' } });
+
+    // Generate JWT token and start a refreshable session
+    const token = generateToken(newUser._id, 'freelancer', newUser.roles);
+    await startSession(req, res, newUser._id, 'freelancer');
 
-    // Generate JWT token
-    const token = generateToken(newUser._id, newUser.userType);
+    // Account starts unverified until the emailed link is opened
+    sendVerificationEmail(newUser).catch(err => console.error("Error sending verification email:", err));
 
     // Return success response (don't send password back)
     res.status(201).json({
@@ -267,11 +570,14 @@ app.post("/api/register/freelancer", upload.fields([
         id: newUser._id,
         name: newUser.name,
         email: newUser.email,
-        userType: newUser.userType,
-        profilePicture: profilePicturePath,
-        resume: resumePath,
+        userType: 'freelancer',
+        roles: newUser.roles,
+        emailVerified: newUser.emailVerified,
+        profilePicture: publicFileUrl(profilePicturePath),
+        resume: signedFileUrl(resumePath),
         skills: newUser.skills,
-        experience: newUser.experience
+        experience: newUser.experience,
+        bio: newUser.bio
       }
     });
 
@@ -284,76 +590,95 @@ app.post("/api/register/freelancer", upload.fields([
   }
 });
 
+// Short-lived proof that a login passed its first step, for POST /api/login/2fa
+const twoFactorChallenge = (user, activeRole) => jwt.sign(
+  { userId: user._id, activeRole, purpose: 'login-2fa' },
+  JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+);
+
 // Login Endpoint
-app.post("/api/login", async (req, res) => {
+app.post("/api/login", rateLimit('login'), validated({ body: loginSchema }), async (req, res) => {
   try {
     const { email, password, userType } = req.body;
 
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Email and password are required"
-      });
+    // Count the attempt before checking the password. An account with recent
+    // failures has to wait, or is locked for a while.
+    const wait = await startLoginAttempt(email);
+    if (wait) {
+      recordAuditEvent(req, 'login_failed', { email, details: { reason: wait.code === 'ACCOUNT_LOCKED' ? 'locked' : 'delayed' } });
+      return sendTooManyRequests(res, wait);
     }
 
-    // Find user by email
-    const user = await User.findOne({ email: email.toLowerCase() });
-    
-    if (!user) {
+    // Log and count the failure, and say so if the next attempt must wait
+    const rejectLogin = async (user, reason) => {
+      recordAuditEvent(req, 'login_failed', { user, email, details: { reason } });
+      const nextWait = await recordLoginFailure(email);
+      if (nextWait) {
+        return sendTooManyRequests(res, { ...nextWait, message: `Invalid email or password. ${nextWait.message}` });
+      }
       return res.status(401).json({
         success: false,
         message: "Invalid email or password"
       });
-    }
+    };
 
-    // Check if userType matches (optional - for better UX)
-    if (userType && user.userType !== userType) {
-      return res.status(401).json({
-        success: false,
-        message: `This account is not registered as a ${userType}`
-      });
+    // Find user by email
+    const user = await User.findOne({ email: email.toLowerCase() });
+    
+    if (!user) {
+      return rejectLogin(null, 'unknown_email');
     }
 
     // Compare password with hashed password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     
     if (!isPasswordValid) {
-      return res.status(401).json({
+      return rejectLogin(user, 'wrong_password');
+    }
+
+    if (user.suspended) {
+      recordAuditEvent(req, 'login_failed', { user, details: { reason: 'suspended' } });
+      return res.status(403).json({
         success: false,
-        message: "Invalid email or password"
+        message: "This account has been suspended. Please contact support."
       });
     }
 
-    // Login successful - return user data (without password)
-    const userData = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      userType: user.userType
-    };
-
-    // Add user-type specific fields
-    if (user.userType === 'client') {
-      userData.businessName = user.businessName;
-      userData.businessType = user.businessType;
-      userData.companySize = user.companySize;
-      userData.address = user.address;
-    } else if (user.userType === 'freelancer') {
-      userData.profilePicture = user.profilePicture;
-      userData.resume = user.resume;
-      userData.skills = user.skills;
-      userData.experience = user.experience;
+    // Sign in as the role the login page asked for (if any), otherwise the
+    // account's first role
+    if (userType && !user.roles.includes(userType)) {
+      return res.status(401).json({
+        success: false,
+        message: `This account has no ${userType} profile yet. Log in without choosing a role and add one from Account Settings.`
+      });
+    }
+    const activeRole = userType || user.roles[0];
+
+    // With 2FA on, the password only earns a short-lived challenge for the
+    // second step. Earlier failures stay counted until that step passes too.
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: twoFactorChallenge(user, activeRole)
+      });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id, user.userType);
+    await clearLoginFailures(email);
+
+    // Generate JWT token and start a refreshable session
+    const token = generateToken(user._id, activeRole, user.roles);
+    await startSession(req, res, user._id, activeRole);
+    recordAuditEvent(req, 'login', { user, details: { method: 'password', role: activeRole } });
 
+    // Login successful - return user data (without password)
     res.status(200).json({
       success: true,
       message: "Login successful",
       token: token,
-      user: userData
+      user: formatMe(user, activeRole)
     });
 
   } catch (error) {
@@ -365,84 +690,273 @@ app.post("/api/login", async (req, res) => {
   }
 });
 
-// Client Profile Endpoint
-app.get("/api/client/profile", authenticateToken, async (req, res) => {
+// Login, second step for accounts with 2FA: the challenge from /api/login
+// plus a code from the authenticator app or one of the recovery codes
+app.post("/api/login/2fa", rateLimit('login'), validated({ body: twoFactorLoginSchema }), async (req, res) => {
   try {
-    // Verify user is a client
-    if (req.user.userType !== 'client') {
+    const { challengeToken, code } = req.body;
+
+    const expired = () => res.status(401).json({
+      success: false,
+      message: "Your login has expired. Please enter your password again.",
+      code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+    });
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, JWT_SECRET);
+    } catch {
+      return expired();
+    }
+    if (challenge.purpose !== 'login-2fa') {
+      return expired();
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return expired();
+    }
+
+    if (user.suspended) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Client account required.'
+        message: "This account has been suspended. Please contact support."
       });
     }
 
-    // Fetch user data
-    const user = await User.findById(req.user.userId).select('-password');
-    
-    if (!user) {
-      return res.status(404).json({
+    // Wrong codes count towards the same delays and lockout as wrong passwords
+    const wait = await startLoginAttempt(user.email);
+    if (wait) {
+      return sendTooManyRequests(res, wait);
+    }
+
+    const method = verifyTwoFactorCode(user, code);
+    if (!method) {
+      recordAuditEvent(req, 'login_failed', { user, details: { reason: 'two_factor' } });
+      const nextWait = await recordLoginFailure(user.email);
+      if (nextWait) {
+        return sendTooManyRequests(res, { ...nextWait, message: `Invalid code. ${nextWait.message}` });
+      }
+      return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: "Invalid code"
       });
     }
 
+    await user.save();
+    await clearLoginFailures(user.email);
+
+    // The role may have gone since the challenge was issued
+    const activeRole = user.roles.includes(challenge.activeRole) ? challenge.activeRole : user.roles[0];
+    const token = generateToken(user._id, activeRole, user.roles);
+    await startSession(req, res, user._id, activeRole);
+    recordAuditEvent(req, 'login', {
+      user,
+      details: { method: method === 'recovery' ? 'recovery_code' : 'two_factor', role: activeRole }
+    });
+
     res.status(200).json({
       success: true,
-      user: {
-        name: user.name,
-        email: user.email,
-        businessName: user.businessName,
-        businessType: user.businessType,
-        companySize: user.companySize,
-        address: user.address,
-        bio: user.bio,
-        profilePicture: user.profilePicture
-      }
+      message: method === 'recovery'
+        ? `Login successful. You have ${user.twoFactor.recoveryCodes.length} recovery codes left.`
+        : "Login successful",
+      token: token,
+      user: formatMe(user, activeRole)
     });
+
   } catch (error) {
-    console.error('Error fetching client profile:', error);
+    console.error("Two-factor login error:", error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: "Server error during login"
     });
   }
 });
 
-// Freelancer Profile Endpoint
-app.get("/api/freelancer/profile", authenticateToken, async (req, res) => {
+// Whether single sign-on is set up, for the login page's button
+app.get("/api/auth/oidc", (req, res) => {
+  res.status(200).json({
+    success: true,
+    enabled: isOidcEnabled(),
+    name: OIDC_PROVIDER_NAME
+  });
+});
+
+// SSO answers go back to the login page, which shows `ssoError` or finishes
+// the login (`sso=success` has set the refresh cookie; `challenge` still
+// needs a two-factor code)
+const ssoRedirect = (res, params) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+  res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/login_page?${query}`);
+};
+
+// Single Sign-On: send the browser to the identity provider. `userType` picks
+// the role to sign in as, and which account to create for a new email.
+app.get("/api/auth/oidc/start", rateLimit('login'), validated({ query: oidcStartQuery }), async (req, res) => {
+  const { userType } = req.query;
+
+  if (!isOidcEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not set up'
+    });
+  }
+
   try {
-    // Verify user is a freelancer
-    if (req.user.userType !== 'freelancer') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Freelancer account required.'
-      });
+    const { url, checks } = await beginOidcLogin();
+    res.cookie(
+      OIDC_LOGIN_COOKIE,
+      jwt.sign({ ...checks, userType, purpose: 'oidc-login' }, JWT_SECRET, { expiresIn: `${OIDC_LOGIN_MINUTES}m` }),
+      oidcLoginCookieOptions()
+    );
+    res.redirect(url);
+  } catch (error) {
+    console.error('Error starting single sign-on:', error);
+    ssoRedirect(res, { type: userType, ssoError: `${OIDC_PROVIDER_NAME} is not available right now. Please try again later.` });
+  }
+});
+
+// A password nobody knows, for accounts that sign in through SSO. One can be
+// set later with "Forgot your password?".
+const randomPasswordHash = () => {
+  const saltRounds = 10;
+  return bcrypt.hash(crypto.randomBytes(32).toString('hex'), saltRounds);
+};
+
+// Single Sign-On: the provider sends the browser back here. Accounts are
+// matched by their linked identity, then by verified email (linking them);
+// an unknown email gets a new account in the role picked on the login page.
+app.get("/api/auth/oidc/callback", async (req, res) => {
+  let login;
+  try {
+    login = jwt.verify(req.cookies?.[OIDC_LOGIN_COOKIE], JWT_SECRET);
+  } catch {
+    login = null;
+  }
+  res.clearCookie(OIDC_LOGIN_COOKIE, { ...oidcLoginCookieOptions(), maxAge: undefined });
+
+  if (!login || login.purpose !== 'oidc-login') {
+    return ssoRedirect(res, { ssoError: 'Your sign-in took too long. Please try again.' });
+  }
+  const { userType } = login;
+  const fail = (message) => ssoRedirect(res, { type: userType, ssoError: message });
+
+  try {
+    let identity;
+    try {
+      identity = await completeOidcLogin(req.originalUrl.split('?')[1] || '', login);
+    } catch (error) {
+      if (error instanceof OidcError) {
+        return fail(error.message);
+      }
+      console.error('Single sign-on error:', error);
+      return fail(`Signing in with ${OIDC_PROVIDER_NAME} failed. Please try again.`);
     }
 
-    // Fetch user data
-    const user = await User.findById(req.user.userId).select('-password');
-    
+    // Linking by email is only safe when the provider vouches for it
+    if (!identity.email || !identity.emailVerified) {
+      return fail(`${OIDC_PROVIDER_NAME} did not confirm your email address, so it can't be used to sign in here.`);
+    }
+
+    let user = await User.findOne({ 'sso.issuer': identity.issuer, 'sso.subject': identity.subject });
+
     if (!user) {
-      return res.status(404).json({
+      user = await User.findOne({ email: identity.email });
+
+      if (user?.sso?.subject) {
+        return fail(`This account is linked to a different ${OIDC_PROVIDER_NAME} identity.`);
+      }
+
+      if (user) {
+        // Nobody proved they own an unverified account's email, so it may have
+        // been registered ahead of its owner. The provider has now proved it:
+        // drop the password, 2FA and sessions anyone else could have set up.
+        const takenOver = !user.emailVerified;
+        if (takenOver) {
+          user.password = await randomPasswordHash();
+          user.twoFactor = { enabled: false };
+        }
+        user.sso = { issuer: identity.issuer, subject: identity.subject, linked_at: Date.now() };
+        user.emailVerified = true;
+        await user.save();
+        if (takenOver) {
+          await revokeAllSessions(user._id, 'sso_linked');
+        }
+        recordAuditEvent(req, 'sso_linked', { user, details: { issuer: identity.issuer, wasVerified: !takenOver } });
+      } else {
+        if (userType !== 'client' && userType !== 'freelancer') {
+          return fail(`No account uses ${identity.email} yet. Choose client or freelancer on the login page to create one.`);
+        }
+
+        user = await User.create({
+          name: identity.name || identity.email.split('@')[0],
+          email: identity.email,
+          password: await randomPasswordHash(),
+          roles: [userType],
+          emailVerified: true,
+          sso: { issuer: identity.issuer, subject: identity.subject, linked_at: Date.now() }
+        });
+        recordAuditEvent(req, 'register', { user, details: { role: userType, method: 'sso' } });
+      }
+    }
+
+    if (user.suspended) {
+      recordAuditEvent(req, 'login_failed', { user, details: { reason: 'suspended', method: 'sso' } });
+      return fail('This account has been suspended. Please contact support.');
+    }
+
+    if (userType && !user.roles.includes(userType)) {
+      return fail(`This account has no ${userType} profile yet. Log in without choosing a role and add one from Account Settings.`);
+    }
+    const activeRole = userType || user.roles[0];
+
+    // Accounts with 2FA still need their code
+    if (user.twoFactor?.enabled) {
+      return ssoRedirect(res, { type: userType, challenge: twoFactorChallenge(user, activeRole) });
+    }
+
+    await startSession(req, res, user._id, activeRole);
+    recordAuditEvent(req, 'login', { user, details: { method: 'sso', role: activeRole } });
+    ssoRedirect(res, { type: userType, sso: 'success' });
+  } catch (error) {
+    console.error('Single sign-on error:', error);
+    fail('Server error during login');
+  }
+});
+
+// Refresh Access Token (rotates the refresh cookie)
+app.post("/api/refresh", async (req, res) => {
+  try {
+    const record = await rotateSession(req, res);
+    const user = await User.findById(record.user).select('roles suspended');
+
+    if (!user || user.suspended) {
+      return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: user ? 'This account has been suspended' : 'User not found',
+        code: 'INVALID_REFRESH_TOKEN'
       });
     }
 
+    // Keep acting as the session's role while the account still has it
+    const activeRole = user.roles.includes(record.activeRole) ? record.activeRole : user.roles[0];
+
     res.status(200).json({
       success: true,
-      user: {
-        name: user.name,
-        email: user.email,
-        skills: user.skills,
-        experience: user.experience,
-        bio: user.bio,
-        profilePicture: user.profilePicture,
-        resume: user.resume
-      }
+      token: generateToken(user._id, activeRole, user.roles)
     });
   } catch (error) {
-    console.error('Error fetching freelancer profile:', error);
+    if (error.name === 'SessionError') {
+      if (error.code === 'REFRESH_TOKEN_REUSED') {
+        recordAuditEvent(req, 'session_reuse_detected', { user: error.userId });
+      }
+      return res.status(error.code === 'REFRESH_RACE' ? 409 : 401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -450,63 +964,2653 @@ app.get("/api/freelancer/profile", authenticateToken, async (req, res) => {
   }
 });
 
-// Update Client Bio
-app.post("/api/client/update-bio", authenticateToken, async (req, res) => {
+// Logout - revokes the current session, or every session with { all: true }
+app.post("/api/logout", validated({ body: logoutSchema }), async (req, res) => {
   try {
-    if (req.user.userType !== 'client') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
-
-    const { bio } = req.body;
+    const record = await endSession(req, res);
 
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      { bio: bio },
-      { new: true }
-    ).select('-password');
+    if (record && req.body.all) {
+      await revokeAllSessions(record.user, 'logout');
+      recordAuditEvent(req, 'sessions_revoked', { user: record.user, details: { reason: 'logout' } });
+    } else if (record) {
+      recordAuditEvent(req, 'logout', { user: record.user });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Bio updated successfully',
-      bio: user.bio
+      message: 'Logged out'
     });
   } catch (error) {
-    console.error('Error updating bio:', error);
+    console.error('Logout error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Server error during logout'
     });
   }
 });
 
-// Update Freelancer Bio
-app.post("/api/freelancer/update-bio", authenticateToken, async (req, res) => {
-  try {
-    if (req.user.userType !== 'freelancer') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
+// How long an emailed password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Reset emails are also limited per address, once validation has normalised it
+const passwordResetEmailLimit = rateLimit('passwordResetEmail', { key: (req) => `email:${req.body.email}` });
+
+// Forgot Password - emails a one-time reset link
+app.post("/api/password/forgot", rateLimit('passwordReset'), validated({ body: forgotPasswordSchema }), passwordResetEmailLimit, async (req, res) => {
+  const { email } = req.body;
+
+  // Same response whether or not the email is registered
+  res.status(200).json({
+    success: true,
+    message: "If an account exists for that email, a password reset link has been sent."
+  });
+
+  try {
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) return;
+
+    // Only the most recent link should work
+    await PasswordResetToken.deleteMany({ user: user._id, used_at: null });
+
+    recordAuditEvent(req, 'password_reset_requested', { user });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: hashResetToken(token),
+      expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+      requestedByIp: req.ip
+    });
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Impearl password',
+      text: `Hi ${user.name},\n\nSomeone asked to reset the password for your Impearl account. If it was you, open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes:\n\n${resetUrl}\n\nIf you didn't ask for this, you can ignore this email - your password won't change.`
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+  }
+});
+
+// Reset Password - consumes the emailed token
+app.post("/api/password/reset", validated({ body: resetPasswordSchema }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Mark the token used in the same step that finds it, so it works only once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashResetToken(token), used_at: null, expires_at: { $gt: new Date() } },
+      { used_at: new Date() }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: "This reset link is invalid or has expired"
+      });
+    }
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    await User.findByIdAndUpdate(resetToken.user, {
+      password: hashedPassword,
+      updated_at: Date.now()
+    });
+
+    // Sign out everywhere - whoever knew the old password may still be logged in
+    await revokeAllSessions(resetToken.user, 'password_reset');
+    await PasswordResetToken.deleteMany({ user: resetToken.user, used_at: null });
+    recordAuditEvent(req, 'password_reset', { user: resetToken.user });
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully. Please log in with your new password."
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during password reset"
+    });
+  }
+});
+
+// Verify Email - consumes the signed link from the verification email
+app.post("/api/email/verify", validated({ body: verifyEmailSchema }), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET, { audience: EMAIL_VERIFICATION_AUDIENCE });
+    } catch (err) {
+      payload = null;
+    }
+
+    if (!payload || payload.purpose !== 'verify-email') {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(payload.userId);
+
+    // The link only counts for the address it was sent to
+    if (!user || user.email !== payload.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+      recordAuditEvent(req, 'email_verified', { user });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Resend Verification Email (throttled)
+app.post("/api/email/resend-verification", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sinceLastSend = user.email_verification_sent_at
+      ? (Date.now() - user.email_verification_sent_at.getTime()) / 1000
+      : Infinity;
+
+    if (sinceLastSend < VERIFICATION_RESEND_SECONDS) {
+      const retryAfter = Math.ceil(VERIFICATION_RESEND_SECONDS - sinceLastSend);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Client Profile Endpoint
+app.get("/api/client/profile", authenticateToken, requireRole('client'), async (req, res) => {
+  try {
+    // Fetch user data
+    const user = await User.findById(req.user.userId).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        businessName: user.businessName,
+        businessType: user.businessType,
+        companySize: user.companySize,
+        address: user.address,
+        bio: user.bio,
+        emailVerified: user.emailVerified,
+        deletion_scheduled_at: user.deletion_scheduled_at,
+        profilePicture: publicFileUrl(user.profilePicture)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching client profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Freelancer Profile Endpoint
+app.get("/api/freelancer/profile", authenticateToken, requireRole('freelancer'), async (req, res) => {
+  try {
+    // Fetch user data
+    const user = await User.findById(req.user.userId).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        skills: user.skills,
+        experience: user.experience,
+        bio: user.bio,
+        emailVerified: user.emailVerified,
+        deletion_scheduled_at: user.deletion_scheduled_at,
+        profilePicture: publicFileUrl(user.profilePicture),
+        resume: signedFileUrl(user.resume),
+        profileVisibility: user.profileVisibility
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching freelancer profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Profile fields each role may change through PATCH /api/me
+const EDITABLE_PROFILE_FIELDS = {
+  client: ['name', 'bio', 'businessName', 'businessType', 'companySize', 'address'],
+  freelancer: ['name', 'bio', 'skills', 'experience'],
+  admin: ['name']
+};
+const EDITABLE_PROFILE_FILES = {
+  client: ['profilePicture'],
+  freelancer: ['profilePicture', 'resume'],
+  admin: []
+};
+
+// Every editable field/file across the roles a user holds
+const editableFor = (table, roles) => [...new Set(roles.flatMap(role => table[role] || []))];
+
+// The signed-in user's own profile, with the fields for every role they hold.
+// `userType` is the role the current session is acting as.
+const formatMe = (user, activeRole) => {
+  const me = {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    userType: activeRole,
+    roles: user.roles,
+    emailVerified: user.emailVerified,
+    deletion_scheduled_at: user.deletion_scheduled_at,
+    twoFactor: {
+      enabled: Boolean(user.twoFactor?.enabled),
+      recoveryCodesLeft: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0
+    },
+    bio: user.bio,
+    profilePicture: publicFileUrl(user.profilePicture)
+  };
+
+  if (user.roles.includes('client')) {
+    Object.assign(me, {
+      businessName: user.businessName,
+      businessType: user.businessType,
+      companySize: user.companySize,
+      address: user.address
+    });
+  }
+  if (user.roles.includes('freelancer')) {
+    Object.assign(me, {
+      skills: user.skills,
+      experience: user.experience,
+      resume: signedFileUrl(user.resume),
+      profileVisibility: user.profileVisibility
+    });
+  }
+
+  return me;
+};
+
+// Get My Profile
+app.get("/api/me", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: formatMe(user, req.user.userType)
+    });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update My Profile - any editable field for the caller's role, plus
+// profilePicture/resume uploads (multipart) which replace the old files
+app.patch("/api/me", authenticateToken, requireTwoFactor, upload.fields([
+  { name: 'profilePicture', maxCount: 1 },
+  { name: 'resume', maxCount: 1 }
+]), validated({ body: profileUpdateSchema }, { partial: true, strict: true }), async (req, res) => {
+  const uploaded = Object.values(req.files || {}).flat();
+
+  // Drop this request's uploads and answer with a 400
+  const reject = (message) => {
+    removeFiles(uploaded.flatMap(file => storedKeys(file.fieldname, file.path)));
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  };
+
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      removeFiles(uploaded.flatMap(file => storedKeys(file.fieldname, file.path)));
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const fields = req.body;
+    const allowedFields = editableFor(EDITABLE_PROFILE_FIELDS, user.roles);
+    const allowedFiles = editableFor(EDITABLE_PROFILE_FILES, user.roles);
+
+    const notAllowed = {};
+    for (const field of [...Object.keys(fields), ...Object.keys(req.files || {})]) {
+      if (!allowedFields.includes(field) && !allowedFiles.includes(field)) {
+        notAllowed[field] = "This can't be changed on your account";
+      }
+    }
+    if (hasErrors(notAllowed)) {
+      removeFiles(uploaded.flatMap(file => storedKeys(file.fieldname, file.path)));
+      return sendValidationError(res, notAllowed);
+    }
+
+    if (Object.keys(fields).length === 0 && uploaded.length === 0) {
+      return reject('Nothing to update');
+    }
+
+    // Already trimmed and checked by profileUpdateSchema
+    Object.assign(user, fields);
+    const changedFields = Object.keys(fields).filter(field => user.isModified(field));
+
+    // Old files are removed once the new ones are saved
+    const replacedFiles = [];
+    for (const field of allowedFiles) {
+      if (req.files?.[field]) {
+        if (user[field]) replacedFiles.push(...storedKeys(field, user[field]));
+        user[field] = req.files[field][0].path;
+      }
+    }
+
+    await user.save();
+    removeFiles(replacedFiles);
+
+    if (req.files?.profilePicture) {
+      recordAuditEvent(req, 'profile_picture_changed', { user });
+    }
+    if (req.files?.resume) {
+      changedFields.push('resume');
+    }
+    if (changedFields.length > 0) {
+      recordAuditEvent(req, 'profile_updated', { user, details: { fields: changedFields } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated',
+      user: formatMe(user, req.user.userType)
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    if (error.name === 'ValidationError') {
+      return reject(error.message);
+    }
+    removeFiles(uploaded.flatMap(file => storedKeys(file.fieldname, file.path)));
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Files each role needs before an account can act as it, like its signup
+// form asks for (the profile fields are in roleProfileSchemas)
+const ROLE_PROFILE_FILES = {
+  client: [],
+  freelancer: ['profilePicture', 'resume']
+};
+
+// Switch Role - act as another role the account holds. Answers with a new
+// access token, and refreshes of this session keep the new role.
+app.post("/api/me/role", authenticateToken, validated({ body: switchRoleSchema }), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.roles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `This account has no ${role} profile`
+      });
+    }
+
+    await setSessionRole(req, role);
+
+    res.status(200).json({
+      success: true,
+      message: `Switched to ${role}`,
+      token: generateToken(user._id, role, user.roles),
+      user: formatMe(user, role)
+    });
+  } catch (error) {
+    console.error('Error switching role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Add Role - give the account a client or freelancer profile next to the one
+// it has, then switch to it. Multipart, so a new freelancer profile can bring
+// its resume and picture.
+app.post("/api/me/roles", authenticateToken, upload.fields([
+  { name: 'profilePicture', maxCount: 1 },
+  { name: 'resume', maxCount: 1 }
+]), validated({ body: (req) => addRoleSchema(req.body.role) }), async (req, res) => {
+  const uploaded = Object.values(req.files || {}).flat();
+
+  // Drop this request's uploads and answer with an error
+  const reject = (status, message) => {
+    removeFiles(uploaded.flatMap(file => storedKeys(file.fieldname, file.path)));
+    return res.status(status).json({
+      success: false,
+      message
+    });
+  };
+
+  // Drop this request's uploads and answer with field errors
+  const rejectInvalid = (errors) => {
+    removeFiles(uploaded.flatMap(file => storedKeys(file.fieldname, file.path)));
+    return sendValidationError(res, errors);
+  };
+
+  try {
+    const { role } = req.body;
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return reject(404, 'User not found');
+    }
+    if (user.roles.includes(role)) {
+      return reject(400, `You already have a ${role} profile`);
+    }
+    if (user.roles.includes('admin')) {
+      return reject(400, "Admin accounts can't add a client or freelancer profile");
+    }
+
+    const notAllowed = Object.keys(req.files || {}).filter(field => !EDITABLE_PROFILE_FILES[role].includes(field));
+    if (notAllowed.length > 0) {
+      return reject(400, `These files can't be added to a ${role} profile: ${notAllowed.join(', ')}`);
+    }
+
+    const missingFiles = {};
+    for (const field of ROLE_PROFILE_FILES[role]) {
+      if (!req.files?.[field] && !user[field]) missingFiles[field] = `${PROFILE_FILE_LABELS[field]} is required`;
+    }
+    if (hasErrors(missingFiles)) {
+      return rejectInvalid(missingFiles);
+    }
+
+    for (const field of Object.keys(roleProfileSchemas[role])) {
+      user[field] = req.body[field];
+    }
+
+    // Old files are removed once the new ones are saved
+    const replacedFiles = [];
+    for (const field of EDITABLE_PROFILE_FILES[role]) {
+      if (req.files?.[field]) {
+        if (user[field]) replacedFiles.push(...storedKeys(field, user[field]));
+        user[field] = req.files[field][0].path;
+      }
+    }
+
+    user.roles.push(role);
+    await user.save();
+    removeFiles(replacedFiles);
+    await setSessionRole(req, role);
+    recordAuditEvent(req, 'role_added', { user, details: { role } });
+
+    res.status(201).json({
+      success: true,
+      message: `${role === 'client' ? 'Client' : 'Freelancer'} profile added`,
+      token: generateToken(user._id, role, user.roles),
+      user: formatMe(user, role)
+    });
+  } catch (error) {
+    console.error('Error adding role:', error);
+    if (error.name === 'ValidationError') {
+      return reject(400, error.message);
+    }
+    reject(500, 'Server error');
+  }
+});
+
+// Send resume reading problems back to the caller, anything else is a server error
+const sendResumeError = (res, error) => {
+  if (error instanceof ResumeError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error('Error reading resume:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Suggest Profile From Resume - skills, experience and a draft bio read from
+// an uploaded resume. Used at signup, before there is an account.
+app.post("/api/resume/suggestions", rateLimit('resume'), resumeReader.single('resume'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a resume'
+      });
+    }
+
+    const suggestions = await suggestProfileFromResume(req.file.buffer);
+    res.status(200).json({
+      success: true,
+      suggestions
+    });
+  } catch (error) {
+    sendResumeError(res, error);
+  }
+});
+
+// Suggest Profile From My Resume - same suggestions for the resume already on file
+app.get("/api/me/resume/suggestions", authenticateToken, requireRole('freelancer'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('resume');
+
+    if (!user?.resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload a resume first'
+      });
+    }
+
+    const suggestions = await suggestProfileFromResume(await readFile(user.resume));
+    res.status(200).json({
+      success: true,
+      suggestions
+    });
+  } catch (error) {
+    sendResumeError(res, error);
+  }
+});
+
+// Download My Data - zip of data.json plus the files I uploaded
+app.get("/api/me/export", authenticateToken, requireTwoFactor, async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="impearl-export-${date}.zip"`);
+
+    recordAuditEvent(req, 'data_exported', { user: req.user.userId });
+    await streamExport(req.user.userId, res);
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    // Once the zip has started streaming the only option is to cut it off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Request Account Deletion - takes effect after a grace period
+app.post("/api/me/deletion", authenticateToken, requireTwoFactor, validated({ body: deletionSchema }), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // 400 rather than 401 so the client doesn't treat it as an expired session
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    if (await countOpenOrders(user._id) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Please complete or cancel your active orders before deleting your account'
+      });
+    }
+
+    if (!user.deletion_scheduled_at) {
+      user.deletion_requested_at = Date.now();
+      user.deletion_scheduled_at = Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+      await user.save();
+      recordAuditEvent(req, 'account_deletion_requested', { user, details: { scheduledFor: user.deletion_scheduled_at } });
+
+      sendMail({
+        to: user.email,
+        subject: 'Your Impearl account is scheduled for deletion',
+        text: `Hi ${user.name},\n\nYour account and all of your data will be permanently deleted on ${user.deletion_scheduled_at.toDateString()}.\n\nChanged your mind? Log in and cancel the deletion from your account settings before then:\n${process.env.FRONTEND_URL || 'http://localhost:3000'}/settings/account`
+      }).catch(err => console.error("Error sending deletion email:", err));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletion_scheduled_at.toDateString()}`,
+      deletion_scheduled_at: user.deletion_scheduled_at
+    });
+  } catch (error) {
+    console.error('Error scheduling account deletion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Cancel Account Deletion
+app.delete("/api/me/deletion", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.userId, deletion_scheduled_at: { $ne: null } },
+      { $unset: { deletion_requested_at: '', deletion_scheduled_at: '' }, updated_at: Date.now() }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not scheduled for deletion'
+      });
+    }
+    recordAuditEvent(req, 'account_deletion_cancelled', { user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// My Recent Activity - logins, security and profile changes from the audit log
+app.get("/api/me/activity", authenticateToken, validated({ query: timelineQuery }), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = { user: req.user.userId };
+    if (req.query.before) {
+      filter.created_at = { $lt: new Date(req.query.before) };
+    }
+
+    const events = await AuditEvent.find(filter)
+      .select(USER_ACTIVITY_FIELDS)
+      .sort({ created_at: -1 })
+      .limit(limit + 1);
+
+    res.status(200).json({
+      success: true,
+      events: events.slice(0, limit),
+      hasMore: events.length > limit
+    });
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Start setting up 2FA - returns the secret and a QR code for the
+// authenticator app. Nothing changes until /api/2fa/enable confirms a code.
+app.post("/api/2fa/setup", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    const setup = await beginTwoFactorSetup(user);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      ...setup
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Turn 2FA on with a code from the newly set up app. The recovery codes are
+// only ever shown in this response.
+app.post("/api/2fa/enable", authenticateToken, validated({ body: twoFactorCodeSchema }), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    const recoveryCodes = confirmTwoFactorSetup(user, req.body.code);
+    if (!recoveryCodes) {
+      return sendValidationError(res, {
+        code: "That code didn't match. Check your phone's clock and try the current code."
+      });
+    }
+    await user.save();
+    recordAuditEvent(req, 'two_factor_enabled', { user });
+
+    sendMail({
+      to: user.email,
+      subject: 'Two-factor authentication is on',
+      text: `Hi ${user.name},\n\nTwo-factor authentication is now on for your Impearl account. Logging in will ask for a code from your authenticator app.\n\nIf this wasn't you, reset your password and contact support right away.`
+    }).catch(err => console.error("Error sending two-factor email:", err));
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      recoveryCodes,
+      user: formatMe(user, req.user.userType)
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Replace the recovery codes, e.g. when they run low or may have leaked
+app.post("/api/2fa/recovery-codes", authenticateToken, requireTwoFactor, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not on'
+      });
+    }
+
+    const recoveryCodes = regenerateRecoveryCodes(user);
+    await user.save();
+    recordAuditEvent(req, 'recovery_codes_regenerated', { user });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes created. The old ones no longer work.',
+      recoveryCodes,
+      user: formatMe(user, req.user.userType)
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Turn 2FA off
+app.delete("/api/2fa", authenticateToken, requireTwoFactor, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not on'
+      });
+    }
+
+    disableTwoFactor(user);
+    await user.save();
+    recordAuditEvent(req, 'two_factor_disabled', { user });
+
+    sendMail({
+      to: user.email,
+      subject: 'Two-factor authentication was turned off',
+      text: `Hi ${user.name},\n\nTwo-factor authentication has been turned off for your Impearl account. Logging in now only needs your password.\n\nIf this wasn't you, reset your password and contact support right away.`
+    }).catch(err => console.error("Error sending two-factor email:", err));
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is off',
+      user: formatMe(user, req.user.userType)
+    });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create Job Posting
+app.post("/api/jobs", authenticateToken, requireRole('client'), requireVerifiedEmail, validated({ body: jobSchema }), async (req, res) => {
+  try {
+    // Only the editable job fields survive jobSchema
+    const job = new Job({
+      ...req.body,
+      client: req.user.userId
+    });
+
+    await job.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Job posted successfully',
+      job
+    });
+  } catch (error) {
+    console.error('Error creating job:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List Client's Own Jobs
+app.get("/api/client/jobs", authenticateToken, requireRole('client'), async (req, res) => {
+  try {
+    const jobs = await Job.find({ client: req.user.userId }).sort({ created_at: -1 });
+
+    res.status(200).json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Edit Job Posting
+app.put("/api/jobs/:id", authenticateToken, requireRole('client'), validated({ body: jobSchema }, { partial: true }), async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, client: req.user.userId });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only open jobs can be edited'
+      });
+    }
+
+    job.set(req.body);
+    await job.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Job updated successfully',
+      job
+    });
+  } catch (error) {
+    console.error('Error updating job:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Close Job Posting
+app.post("/api/jobs/:id/close", authenticateToken, requireRole('client'), async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, client: req.user.userId });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Job is already closed'
+      });
+    }
+
+    job.status = 'closed';
+    job.closed_at = Date.now();
+    await job.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Job closed successfully',
+      job
+    });
+  } catch (error) {
+    console.error('Error closing job:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List Open Jobs (for freelancers to browse)
+app.get("/api/jobs", authenticateToken, async (req, res) => {
+  try {
+    // Someone who is also a client doesn't see their own jobs as work
+    const filter = { status: 'open' };
+    if (req.user.userType === 'freelancer') {
+      filter.client = { $ne: req.user.userId };
+    }
+
+    const jobs = await Job.find(filter)
+      .sort({ created_at: -1 })
+      .populate('client', 'name businessName');
+
+    // Let freelancers see which jobs they have already bid on
+    let appliedJobIds = [];
+    if (req.user.userType === 'freelancer') {
+      const proposals = await Proposal.find({ freelancer: req.user.userId }).select('job');
+      appliedJobIds = proposals.map(proposal => proposal.job.toString());
+    }
+
+    res.status(200).json({
+      success: true,
+      jobs: jobs.map(job => ({
+        ...job.toJSON(),
+        hasApplied: appliedJobIds.includes(job._id.toString())
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching open jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Submit Proposal
+app.post("/api/jobs/:id/proposals", authenticateToken, requireRole('freelancer'), requireVerifiedEmail, upload.single('attachment'), validated({ body: proposalSchema }), async (req, res) => {
+  try {
+    const { coverLetter, price, deliveryDays } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      removeFiles(uploadedKeys(req));
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'open') {
+      removeFiles(uploadedKeys(req));
+      return res.status(400).json({
+        success: false,
+        message: 'This job is no longer accepting proposals'
+      });
+    }
+
+    if (job.client.equals(req.user.userId)) {
+      removeFiles(uploadedKeys(req));
+      return res.status(400).json({
+        success: false,
+        message: "You can't send a proposal for your own job"
+      });
+    }
+
+    const existingProposal = await Proposal.findOne({ job: job._id, freelancer: req.user.userId });
+    if (existingProposal) {
+      removeFiles(uploadedKeys(req));
+      return res.status(400).json({
+        success: false,
+        message: 'You have already submitted a proposal for this job'
+      });
+    }
+
+    const proposal = new Proposal({
+      job: job._id,
+      freelancer: req.user.userId,
+      coverLetter,
+      price,
+      deliveryDays,
+      attachment: req.file ? req.file.path : undefined
+    });
+
+    await proposal.save();
+
+    notify(job.client, {
+      category: 'proposals',
+      title: `New proposal for "${job.title}"`,
+      body: `A freelancer bid $${proposal.price} with delivery in ${proposal.deliveryDays} day(s).`,
+      link: '/client-dashboard'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Proposal submitted successfully',
+      proposal
+    });
+  } catch (error) {
+    console.error('Error submitting proposal:', error);
+    removeFiles(uploadedKeys(req));
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List Freelancer's Own Proposals
+app.get("/api/freelancer/proposals", authenticateToken, requireRole('freelancer'), async (req, res) => {
+  try {
+    const proposals = await Proposal.find({ freelancer: req.user.userId })
+      .sort({ created_at: -1 })
+      .populate('job', 'title budget budgetType status');
+
+    res.status(200).json({
+      success: true,
+      proposals
+    });
+  } catch (error) {
+    console.error('Error fetching proposals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List Proposals for a Client's Job
+app.get("/api/jobs/:id/proposals", authenticateToken, requireRole('client'), async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, client: req.user.userId });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const proposals = await Proposal.find({ job: job._id })
+      .sort({ created_at: -1 })
+      .populate('freelancer', 'name profilePicture skills experience');
+
+    res.status(200).json({
+      success: true,
+      proposals
+    });
+  } catch (error) {
+    console.error('Error fetching job proposals:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Load a proposal along with its job, checking the caller owns the job
+const findClientProposal = async (proposalId, clientId) => {
+  const proposal = await Proposal.findById(proposalId);
+  if (!proposal) return null;
+
+  const job = await Job.findOne({ _id: proposal.job, client: clientId });
+  if (!job) return null;
+
+  return { proposal, job };
+};
+
+// Shortlist, Reject or Accept a Proposal
+app.post("/api/proposals/:id/:action", authenticateToken, requireRole('client'), async (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!['shortlist', 'reject', 'accept'].includes(action)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown proposal action'
+      });
+    }
+
+    const found = await findClientProposal(req.params.id, req.user.userId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const { proposal, job } = found;
+
+    if (['accepted', 'rejected'].includes(proposal.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Proposal has already been ${proposal.status}`
+      });
+    }
+
+    if (job.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'This job is no longer open'
+      });
+    }
+
+    if (action === 'accept') {
+      // Lock the job atomically so two proposals can't both be accepted
+      const lockedJob = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'open' },
+        {
+          status: 'in_progress',
+          hiredFreelancer: proposal.freelancer,
+          acceptedProposal: proposal._id,
+          updated_at: Date.now()
+        },
+        { new: true }
+      );
+
+      if (!lockedJob) {
+        return res.status(409).json({
+          success: false,
+          message: 'This job is no longer open'
+        });
+      }
+
+      proposal.status = 'accepted';
+    } else {
+      proposal.status = action === 'shortlist' ? 'shortlisted' : 'rejected';
+    }
+
+    await proposal.save();
+
+    // Hiring the freelancer opens an order between the two parties
+    let order;
+    if (action === 'accept') {
+      order = new Order({
+        job: job._id,
+        proposal: proposal._id,
+        client: job.client,
+        freelancer: proposal.freelancer,
+        title: job.title,
+        price: proposal.price,
+        dueDate: new Date(Date.now() + proposal.deliveryDays * 24 * 60 * 60 * 1000),
+        history: [{ to: 'pending', by: req.user.userId }]
+      });
+      await order.save();
+    }
+
+    notify(proposal.freelancer, {
+      category: 'proposals',
+      title: `Your proposal for "${job.title}" was ${proposal.status}`,
+      body: action === 'accept'
+        ? 'Congratulations! The client hired you and an order has been opened.'
+        : undefined,
+      link: action === 'accept' ? '/orders' : '/freelancer-dashboard'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Proposal ${proposal.status}`,
+      proposal,
+      order
+    });
+  } catch (error) {
+    console.error('Error updating proposal:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Shape an order for the response, including what the caller can do next
+const formatOrder = (order, userId) => {
+  const role = order.roleOf(userId);
+  return {
+    ...order.toJSON(),
+    role,
+    availableTransitions: order.availableTransitions(role)
+  };
+};
+
+// List Orders (as client or freelancer)
+app.get("/api/orders", authenticateToken, async (req, res) => {
+  try {
+    const filter = req.user.userType === 'client'
+      ? { client: req.user.userId }
+      : { freelancer: req.user.userId };
+
+    const orders = await Order.find(filter)
+      .sort({ created_at: -1 })
+      .populate('client', 'name businessName')
+      .populate('freelancer', 'name profilePicture');
+
+    res.status(200).json({
+      success: true,
+      orders: orders.map(order => formatOrder(order, req.user.userId))
+    });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get Single Order
+app.get("/api/orders/:id", authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('client', 'name businessName')
+      .populate('freelancer', 'name profilePicture');
+
+    if (!order || !order.roleOf(req.user.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      order: formatOrder(order, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Change Order Status
+app.post("/api/orders/:id/status", authenticateToken, validated({ body: orderStatusSchema }), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    const role = order && order.roleOf(req.user.userId);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Only the transitions in ORDER_TRANSITIONS are allowed, and only for the listed party
+    if (!order.availableTransitions(role).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${role} cannot move this order from ${order.status} to ${status}`
+      });
+    }
+
+    const previousStatus = order.status;
+    const finishing = ['completed', 'cancelled'].includes(status);
+    const statusUpdate = {
+      status,
+      updated_at: Date.now(),
+      ...(status === 'completed' && { completed_at: Date.now() }),
+      $push: { history: { from: previousStatus, to: status, by: req.user.userId, note } }
+    };
+
+    // Guard against a concurrent change between the read and the write. An
+    // order being finished is claimed as "closing" while its escrow is
+    // settled, and only then moves on; if settling fails it goes back to
+    // where it was, so the request can be retried.
+    let updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: previousStatus },
+      finishing ? { status: 'closing', updated_at: Date.now() } : statusUpdate,
+      { new: true }
+    );
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order was changed by someone else, please refresh'
+      });
+    }
+
+    if (finishing) {
+      try {
+        await settleOrderEscrow(order, status, role);
+      } catch (error) {
+        await Order.updateOne({ _id: order._id, status: 'closing' }, { status: previousStatus, updated_at: Date.now() });
+        throw error;
+      }
+      updatedOrder = await Order.findOneAndUpdate({ _id: order._id, status: 'closing' }, statusUpdate, { new: true });
+    }
+
+    // A finished order also finishes the job it was hired for
+    if (['completed', 'cancelled'].includes(status)) {
+      await Job.findByIdAndUpdate(order.job, { status: 'closed', closed_at: Date.now(), updated_at: Date.now() });
+    }
+
+    if (status === 'completed') {
+      notify(order.freelancer, {
+        category: 'orders',
+        title: `Review your client for "${order.title}"`,
+        body: 'Reviews stay hidden until you both leave one, so be honest.',
+        link: '/orders'
+      });
+    }
+
+    notify(role === 'client' ? order.freelancer : order.client, {
+      category: 'orders',
+      title: `Order "${order.title}" is now ${status.replace('_', ' ')}`,
+      body: note || undefined,
+      link: '/orders'
+    });
+
+    await updatedOrder.populate('client', 'name businessName');
+    await updatedOrder.populate('freelancer', 'name profilePicture');
+
+    res.status(200).json({
+      success: true,
+      message: `Order ${status.replace('_', ' ')}`,
+      order: formatOrder(updatedOrder, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    handleEscrowError(res, error, 'Order not found');
+  }
+});
+
+// Leave a Review for the other party of a completed order
+app.post("/api/orders/:id/reviews", authenticateToken, validated({ body: reviewSchema }), async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+    const order = await Order.findById(req.params.id);
+    const role = order && order.roleOf(req.user.userId);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'You can only review completed orders'
+      });
+    }
+
+    if (reviewDeadline(order) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The review window for this order has closed'
+      });
+    }
+
+    const reviewee = role === 'client' ? order.freelancer : order.client;
+    const review = await Review.create({
+      order: order._id,
+      reviewer: req.user.userId,
+      reviewee,
+      reviewerRole: role,
+      rating: Number(rating),
+      comment
+    });
+
+    const revealed = await revealIfBothReviewed(order._id);
+    if (!revealed) {
+      notify(reviewee, {
+        category: 'orders',
+        title: `You've been reviewed for "${order.title}"`,
+        body: 'Leave your own review to see it, or it will be shown when the review window closes.',
+        link: '/orders'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: revealed ? 'Review posted' : 'Review saved. It will be shown once both of you have reviewed.',
+      review: await Review.findById(review._id)
+    });
+  } catch (error) {
+    console.error('Error creating review:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this order'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get Order Reviews - the other party's review only once it's revealed
+app.get("/api/orders/:id/reviews", authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    const role = order && order.roleOf(req.user.userId);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const reviews = await Review.find({ order: order._id });
+    const myReview = reviews.find(review => review.reviewer.equals(req.user.userId)) || null;
+    const theirReview = reviews.find(review => !review.reviewer.equals(req.user.userId));
+    const deadline = order.status === 'completed' ? reviewDeadline(order) : null;
+
+    res.status(200).json({
+      success: true,
+      myReview,
+      theirReview: theirReview?.revealed_at ? theirReview : null,
+      theyReviewed: Boolean(theirReview),
+      canReview: !myReview && Boolean(deadline) && deadline > new Date(),
+      deadline
+    });
+  } catch (error) {
+    console.error('Error fetching order reviews:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Reviews About a User (no login required, revealed reviews only)
+app.get("/api/users/:id/reviews", validated({ query: pageQuery }), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const user = await User.findById(req.params.id).select('ratingAverage ratingCount');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const filter = { reviewee: user._id, revealed_at: { $ne: null } };
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ revealed_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reviewer', 'name businessName')
+        .populate('order', 'title'),
+      Review.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      ratingAverage: user.ratingAverage,
+      ratingCount: user.ratingCount,
+      reviews,
+      page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching user reviews:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Reply to a Review - freelancers only, once, after it's revealed
+app.post("/api/reviews/:id/reply", authenticateToken, requireRole('freelancer'), validated({ body: reviewReplySchema }), async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const review = await Review.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        reviewee: req.user.userId,
+        revealed_at: { $ne: null },
+        'reply.body': { $exists: false }
+      },
+      { reply: { body, created_at: Date.now() }, updated_at: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    if (!review) {
+      return res.status(400).json({
+        success: false,
+        message: 'You can only reply once to a visible review of your work'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply posted',
+      review
+    });
+  } catch (error) {
+    console.error('Error replying to review:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Send escrow errors back to the caller, anything else is a server error
+const handleEscrowError = (res, error, fallbackMessage) => {
+  if (error.name === 'EscrowError') {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'CastError') {
+    return res.status(404).json({
+      success: false,
+      message: fallbackMessage
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Load a milestone and its order, checking the caller is part of the order
+const findOrderMilestone = async (milestoneId, userId) => {
+  const milestone = await Milestone.findById(milestoneId);
+  if (!milestone) return null;
+
+  const order = await Order.findById(milestone.order);
+  const role = order && order.roleOf(userId);
+  if (!role) return null;
+
+  return { milestone, order, role };
+};
+
+// List Milestones for an Order
+app.get("/api/orders/:id/milestones", authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || !order.roleOf(req.user.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const milestones = await Milestone.find({ order: order._id }).sort({ created_at: 1 });
+
+    res.status(200).json({
+      success: true,
+      milestones
+    });
+  } catch (error) {
+    console.error('Error fetching milestones:', error);
+    handleEscrowError(res, error, 'Order not found');
+  }
+});
+
+// Add Milestone to an Order
+app.post("/api/orders/:id/milestones", authenticateToken, validated({ body: milestoneSchema }), async (req, res) => {
+  try {
+    const { title, amount, dueDate } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.roleOf(req.user.userId) !== 'client') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (['closing', 'completed', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestones cannot be added to a ${order.status} order`
+      });
+    }
+
+    const milestone = new Milestone({
+      order: order._id,
+      title,
+      amount,
+      dueDate: dueDate || undefined
+    });
+
+    await milestone.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone added successfully',
+      milestone
+    });
+  } catch (error) {
+    console.error('Error creating milestone:', error);
+    handleEscrowError(res, error, 'Order not found');
+  }
+});
+
+// Submit Work for a Milestone
+app.post("/api/milestones/:id/submit", authenticateToken, upload.single('attachment'), validated({ body: milestoneSubmitSchema }), async (req, res) => {
+  try {
+    const found = await findOrderMilestone(req.params.id, req.user.userId);
+
+    if (!found || found.role !== 'freelancer') {
+      removeFiles(uploadedKeys(req));
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    if (!['active', 'revision_requested'].includes(found.order.status)) {
+      removeFiles(uploadedKeys(req));
+      return res.status(400).json({
+        success: false,
+        message: 'Work can only be submitted on an active order'
+      });
+    }
+
+    const milestone = await submitMilestone(found.milestone, {
+      note: req.body.note,
+      attachment: req.file ? req.file.path : undefined
+    });
+
+    notify(found.order.client, {
+      category: 'payments',
+      title: `Work submitted for "${milestone.title}"`,
+      body: 'Review it and release payment, or request changes. It will be released automatically if you take no action.',
+      link: '/orders'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Work submitted for review',
+      milestone
+    });
+  } catch (error) {
+    console.error('Error submitting milestone:', error);
+    removeFiles(uploadedKeys(req));
+    handleEscrowError(res, error, 'Milestone not found');
+  }
+});
+
+// Fund, Release or Request Changes on a Milestone (client only)
+app.post("/api/milestones/:id/:action", authenticateToken, validated({ body: milestoneActionSchema }), async (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!['fund', 'release', 'request-changes'].includes(action)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown milestone action'
+      });
+    }
+
+    const found = await findOrderMilestone(req.params.id, req.user.userId);
+
+    if (!found || found.role !== 'client') {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    const { milestone, order } = found;
+
+    if (['closing', 'completed', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This order is ${order.status}`
+      });
+    }
+
+    let updated;
+    let message;
+    if (action === 'fund') {
+      updated = await fundMilestone(milestone, order, req.body.paymentMethod);
+      message = 'Milestone funded into escrow';
+    } else if (action === 'release') {
+      updated = await releaseMilestone(milestone, order);
+      message = 'Payment released to freelancer';
+    } else {
+      updated = await requestMilestoneChanges(milestone);
+      message = 'Changes requested';
+    }
+
+    notify(order.freelancer, {
+      category: 'payments',
+      title: `${message} for "${milestone.title}"`,
+      link: '/orders'
+    });
+
+    res.status(200).json({
+      success: true,
+      message,
+      milestone: updated
+    });
+  } catch (error) {
+    console.error('Error updating milestone:', error);
+    handleEscrowError(res, error, 'Milestone not found');
+  }
+});
+
+// Balances and Ledger
+app.get("/api/balance", authenticateToken, validated({ query: limitQuery }), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const balances = await getBalances(req.user.userId);
+    const entries = await LedgerEntry.find({ user: req.user.userId })
+      .sort({ created_at: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      balances,
+      entries
+    });
+  } catch (error) {
+    console.error('Error fetching balance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Withdraw Available Balance
+app.post("/api/balance/withdraw", authenticateToken, requireRole('freelancer'), requireTwoFactor, validated({ body: withdrawSchema }), async (req, res) => {
+  try {
+    const entry = await withdraw(req.user.userId, req.body.amount);
+
+    res.status(200).json({
+      success: true,
+      message: 'Withdrawal sent',
+      entry,
+      balances: await getBalances(req.user.userId)
+    });
+  } catch (error) {
+    console.error('Error withdrawing balance:', error);
+    handleEscrowError(res, error, 'Server error');
+  }
+});
+
+// Count messages waiting for a user across all conversations
+const countUnreadMessages = (userId) => Message.countDocuments({ recipient: userId, read_at: null });
+
+// Shape a conversation for the response from one participant's point of view
+const formatConversation = async (conversation, userId) => ({
+  _id: conversation._id,
+  otherParticipant: conversation.otherParticipant(userId),
+  lastMessage: conversation.lastMessage,
+  updated_at: conversation.updated_at,
+  unreadCount: await Message.countDocuments({
+    conversation: conversation._id,
+    recipient: userId,
+    read_at: null
+  })
+});
+
+// Load a conversation, checking the caller is one of its participants
+const findUserConversation = async (conversationId, userId) => {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.hasParticipant(userId)) return null;
+  return conversation;
+};
+
+// List Conversations
+app.get("/api/conversations", authenticateToken, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ participants: req.user.userId })
+      .sort({ updated_at: -1 })
+      .populate('participants', 'name businessName profilePicture roles');
+
+    res.status(200).json({
+      success: true,
+      conversations: await Promise.all(
+        conversations.map(conversation => formatConversation(conversation, req.user.userId))
+      )
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Start (or reopen) a Conversation with another user
+app.post("/api/conversations", authenticateToken, validated({ body: conversationSchema }), async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const otherUser = await User.findById(userId).select('roles');
+
+    // Conversations are always between a client and a freelancer - someone
+    // holding both roles still can't message themselves
+    const counterpartRole = { client: 'freelancer', freelancer: 'client' }[req.user.userType];
+    if (!otherUser || otherUser._id.equals(req.user.userId) || !otherUser.roles.includes(counterpartRole)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    let conversation = await Conversation.findOne({
+      participants: { $all: [req.user.userId, otherUser._id] }
+    });
+
+    if (!conversation) {
+      conversation = new Conversation({ participants: [req.user.userId, otherUser._id] });
+      await conversation.save();
+    }
+
+    await conversation.populate('participants', 'name businessName profilePicture roles');
+
+    res.status(200).json({
+      success: true,
+      conversation: await formatConversation(conversation, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Error starting conversation:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Message History (newest first, paginated with ?before=<ISO date>&limit=)
+app.get("/api/conversations/:id/messages", authenticateToken, validated({ query: timelineQuery }), async (req, res) => {
+  try {
+    const conversation = await findUserConversation(req.params.id, req.user.userId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    const filter = { conversation: conversation._id };
+    if (req.query.before) {
+      filter.created_at = { $lt: new Date(req.query.before) };
+    }
+
+    // Fetch one extra to know whether there is an older page
+    const messages = await Message.find(filter)
+      .sort({ created_at: -1 })
+      .limit(limit + 1);
+
+    const hasMore = messages.length > limit;
+
+    res.status(200).json({
+      success: true,
+      messages: messages.slice(0, limit).reverse(),
+      hasMore
+    });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Send Message
+app.post("/api/conversations/:id/messages", authenticateToken, upload.single('attachment'), validated({ body: messageSchema }), async (req, res) => {
+  try {
+    const body = req.body.body || '';
+
+    if (!body && !req.file) {
+      removeFiles(uploadedKeys(req));
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot be empty'
+      });
+    }
+
+    const conversation = await findUserConversation(req.params.id, req.user.userId);
+
+    if (!conversation) {
+      removeFiles(uploadedKeys(req));
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const recipient = conversation.otherParticipant(req.user.userId);
+
+    const message = new Message({
+      conversation: conversation._id,
+      sender: req.user.userId,
+      recipient,
+      body,
+      attachment: req.file ? req.file.path : undefined
+    });
+
+    await message.save();
+
+    conversation.lastMessage = {
+      body: body || 'Sent an attachment',
+      sender: req.user.userId,
+      sent_at: message.created_at
+    };
+    await conversation.save();
+
+    // Push to both sides so the sender's other tabs stay in sync too
+    sendToUser(recipient, 'message:new', { conversationId: conversation._id, message });
+    sendToUser(req.user.userId, 'message:new', { conversationId: conversation._id, message });
+    sendToUser(recipient, 'unread:count', { count: await countUnreadMessages(recipient) });
+
+    notify(recipient, {
+      category: 'messages',
+      title: 'You have a new message',
+      body: body || 'Sent an attachment',
+      link: '/messages'
+    });
+
+    res.status(201).json({
+      success: true,
+      message
+    });
+  } catch (error) {
+    console.error('Error sending message:', error);
+    if (error.name === 'CastError') {
+      removeFiles(uploadedKeys(req));
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Mark Conversation as Read
+app.post("/api/conversations/:id/read", authenticateToken, async (req, res) => {
+  try {
+    const conversation = await findUserConversation(req.params.id, req.user.userId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const readAt = new Date();
+    const result = await Message.updateMany(
+      { conversation: conversation._id, recipient: req.user.userId, read_at: null },
+      { read_at: readAt }
+    );
+
+    if (result.modifiedCount > 0) {
+      // Read receipt for the sender
+      sendToUser(conversation.otherParticipant(req.user.userId), 'message:read', {
+        conversationId: conversation._id,
+        readAt
+      });
+    }
+
+    const unreadCount = await countUnreadMessages(req.user.userId);
+    sendToUser(req.user.userId, 'unread:count', { count: unreadCount });
+
+    res.status(200).json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Total Unread Messages
+app.get("/api/messages/unread-count", authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      count: await countUnreadMessages(req.user.userId)
+    });
+  } catch (error) {
+    console.error('Error counting unread messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List Notifications (newest first, paginated with ?before=<ISO date>&limit=)
+app.get("/api/notifications", authenticateToken, validated({ query: timelineQuery }), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = { user: req.user.userId };
+    if (req.query.before) {
+      filter.created_at = { $lt: new Date(req.query.before) };
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ created_at: -1 })
+      .limit(limit + 1);
+
+    res.status(200).json({
+      success: true,
+      notifications: notifications.slice(0, limit),
+      hasMore: notifications.length > limit,
+      unreadCount: await countUnreadNotifications(req.user.userId)
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Mark Every Notification as Read
+app.post("/api/notifications/read-all", authenticateToken, async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { user: req.user.userId, read_at: null },
+      { read_at: new Date() }
+    );
+
+    sendToUser(req.user.userId, 'notification:count', { count: 0 });
+
+    res.status(200).json({
+      success: true,
+      unreadCount: 0
+    });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Mark One Notification as Read
+app.post("/api/notifications/:id/read", authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId },
+      { read_at: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const unreadCount = await countUnreadNotifications(req.user.userId);
+    sendToUser(req.user.userId, 'notification:count', { count: unreadCount });
+
+    res.status(200).json({
+      success: true,
+      notification,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get Notification Preferences
+app.get("/api/notifications/preferences", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('notificationPreferences');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update Notification Preferences
+app.put("/api/notifications/preferences", authenticateToken, validated({ body: notificationPreferencesSchema }), async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    // Only accept known categories and channels
+    const update = {};
+    for (const category of NOTIFICATION_CATEGORIES) {
+      for (const channel of ['inApp', 'email']) {
+        const value = preferences[category]?.[channel];
+        if (typeof value === 'boolean') {
+          update[`notificationPreferences.${category}.${channel}`] = value;
+        }
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { ...update, updated_at: Date.now() },
+      { new: true }
+    ).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// How freelancer search results can be ordered
+const FREELANCER_SORTS = {
+  relevance: { score: { $meta: 'textScore' }, created_at: -1 },
+  newest: { created_at: -1 },
+  experience: { experienceRank: -1, created_at: -1 }
+};
+
+// Search Freelancers (?q=&skills=react,node&experience=3-5,5-10&sort=&page=&limit=)
+app.get("/api/freelancers", authenticateToken, requireRole('client', 'admin'), validated({ query: freelancerSearchQuery }), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+    const q = (req.query.q || '').trim();
+    const sort = req.query.sort || (q ? 'relevance' : 'newest');
+
+    if (sort === 'relevance' && !q) {
+      return sendValidationError(res, { sort: 'Sorting by relevance needs a search term' });
+    }
+
+    const match = { roles: 'freelancer', suspended: { $ne: true } };
+    if (q) {
+      match.$text = { $search: q };
+    }
+
+    // Freelancer must have every requested skill
+    const skills = normalizeSkills(req.query.skills);
+    if (skills.length > 0) {
+      match.skills = { $all: skills };
+    }
+
+    // ...and fall in any of the requested experience buckets
+    if (req.query.experience) {
+      match.experience = { $in: req.query.experience.split(',') };
+    }
+
+    const [result] = await User.aggregate([
+      { $match: match },
+      { $addFields: { experienceRank: { $indexOfArray: [EXPERIENCE_LEVELS, '$experience'] } } },
+      { $sort: FREELANCER_SORTS[sort] },
+      {
+        $facet: {
+          freelancers: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { name: 1, profilePicture: 1, skills: 1, experience: 1, bio: 1, created_at: 1 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      freelancers: result.freelancers.map(freelancer => ({
+        ...freelancer,
+        profilePicture: publicFileUrl(freelancer.profilePicture)
+      })),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error searching freelancers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Serve a Stored File - avatars are public, everything else needs a signed link
+app.get("/api/files/:key", validated({ query: fileQuery }), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!isValidFileKey(key)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!isPublicKey(key) && !verifyFileSignature(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This link has expired or is invalid'
+      });
+    }
+
+    res.setHeader('Cache-Control', isPublicKey(key) ? 'public, max-age=86400' : 'private, no-store');
+    // Avatars come in several sizes - ?size=small|medium|large
+    const storedKey = key.startsWith('avatars/') ? avatarVariantKey(key, req.query.size) : key;
+    // Only avatar thumbnails are shown in the page; everything else downloads
+    await getStorage().serve(storedKey, res, { inline: key.startsWith('avatars/') });
+  } catch (error) {
+    console.error('Error serving file:', error);
+    res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+});
+
+// Only the fields a freelancer has chosen to share, for anyone to see
+const toPublicProfile = (user) => {
+  const profile = {
+    id: user._id,
+    name: user.name,
+    created_at: user.created_at
+  };
+  const visible = (field) => user.profileVisibility?.[field] !== false;
+
+  if (visible('profilePicture')) profile.profilePicture = publicFileUrl(user.profilePicture);
+  if (visible('bio')) profile.bio = user.bio;
+  if (visible('skills')) profile.skills = user.skills;
+  if (visible('experience')) profile.experience = user.experience;
+  // The resume is served through its own route so the stored path stays private
+  profile.hasResume = Boolean(user.resume) && user.profileVisibility?.resume === true;
+  profile.ratingAverage = user.ratingAverage;
+  profile.ratingCount = user.ratingCount;
+
+  return profile;
+};
+
+const findPublicFreelancer = (id) =>
+  User.findOne({ _id: id, roles: 'freelancer', suspended: { $ne: true } });
+
+// Public Freelancer Profile (no login required)
+app.get("/api/freelancers/:id", async (req, res) => {
+  try {
+    const user = await findPublicFreelancer(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Freelancer not found'
+      });
+    }
+
+    const portfolio = await PortfolioItem.find({ freelancer: user._id })
+      .sort({ position: 1 })
+      .select('-freelancer');
+
+    res.status(200).json({
+      success: true,
+      profile: toPublicProfile(user),
+      portfolio
+    });
+  } catch (error) {
+    console.error('Error fetching public profile:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Freelancer not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Public Freelancer Resume - only if the freelancer made it visible
+app.get("/api/freelancers/:id/resume", async (req, res) => {
+  try {
+    const user = await findPublicFreelancer(req.params.id);
+
+    if (!user || !user.resume || user.profileVisibility?.resume !== true) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not available'
+      });
+    }
+
+    await getStorage().serve(user.resume, res, { filename: `${user.name} - Resume${path.extname(user.resume)}` });
+  } catch (error) {
+    console.error('Error fetching public resume:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not available'
       });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update Public Profile Visibility
+app.put("/api/freelancer/profile/visibility", authenticateToken, requireRole('freelancer'), validated({ body: visibilitySchema }), async (req, res) => {
+  try {
+    const { visibility } = req.body;
 
-    const { bio } = req.body;
+    // Only accept known fields
+    const update = {};
+    for (const field of PUBLIC_PROFILE_FIELDS) {
+      if (typeof visibility[field] === 'boolean') {
+        update[`profileVisibility.${field}`] = visibility[field];
+      }
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user.userId,
-      { bio: bio },
+      { ...update, updated_at: Date.now() },
       { new: true }
-    ).select('-password');
+    ).select('profileVisibility');
 
     res.status(200).json({
       success: true,
-      message: 'Bio updated successfully',
-      bio: user.bio
+      message: 'Profile visibility updated',
+      profileVisibility: user.profileVisibility
     });
   } catch (error) {
-    console.error('Error updating bio:', error);
+    console.error('Error updating profile visibility:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -514,38 +3618,114 @@ app.post("/api/freelancer/update-bio", authenticateToken, async (req, res) => {
   }
 });
 
-// Update Client Profile Picture
-app.post("/api/client/update-picture", authenticateToken, upload.single('profilePicture'), async (req, res) => {
+const MAX_PORTFOLIO_ITEMS = 20;
+
+// What a portfolio project stores about each of its uploaded files
+const toPortfolioAttachments = (files = []) => files.map(file => ({
+  path: file.path,
+  originalName: file.originalname,
+  mimeType: file.mimetype
+}));
+
+const portfolioError = (res, error, req) => {
+  // Don't leave files from a rejected upload lying around
+  removeFiles((req.files || []).map(file => file.path));
+
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Get My Portfolio
+app.get("/api/freelancer/portfolio", authenticateToken, requireRole('freelancer'), async (req, res) => {
   try {
-    if (req.user.userType !== 'client') {
-      return res.status(403).json({
+    const portfolio = await PortfolioItem.find({ freelancer: req.user.userId }).sort({ position: 1 });
+
+    res.status(200).json({
+      success: true,
+      portfolio
+    });
+  } catch (error) {
+    console.error('Error fetching portfolio:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Add Portfolio Project
+app.post("/api/freelancer/portfolio", authenticateToken, requireRole('freelancer'), upload.array('portfolioFiles', MAX_PORTFOLIO_ATTACHMENTS), validated({ body: portfolioItemSchema }), async (req, res) => {
+  try {
+    const { title, description } = req.body;
+
+    const existing = await PortfolioItem.find({ freelancer: req.user.userId }).select('position');
+    if (existing.length >= MAX_PORTFOLIO_ITEMS) {
+      removeFiles((req.files || []).map(file => file.path));
+      return res.status(400).json({
         success: false,
-        message: 'Access denied'
+        message: `You can have at most ${MAX_PORTFOLIO_ITEMS} portfolio projects`
       });
     }
 
-    if (!req.file) {
+    // New projects go to the end of the list
+    const item = await PortfolioItem.create({
+      freelancer: req.user.userId,
+      title,
+      description,
+      links: req.body.links || [],
+      attachments: toPortfolioAttachments(req.files),
+      position: existing.reduce((max, other) => Math.max(max, other.position + 1), 0)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project added to portfolio',
+      item
+    });
+  } catch (error) {
+    console.error('Error adding portfolio project:', error);
+    portfolioError(res, error, req);
+  }
+});
+
+// Reorder Portfolio - body is { order: [itemId, ...] } covering every project
+app.post("/api/freelancer/portfolio/reorder", authenticateToken, requireRole('freelancer'), validated({ body: portfolioOrderSchema }), async (req, res) => {
+  try {
+    const { order } = req.body;
+    const items = await PortfolioItem.find({ freelancer: req.user.userId }).select('_id');
+    const ownIds = new Set(items.map(item => item._id.toString()));
+
+    if (order.length !== ownIds.size || new Set(order).size !== order.length || !order.every(id => ownIds.has(id))) {
       return res.status(400).json({
         success: false,
-        message: 'No file uploaded'
+        message: 'Order must list each of your portfolio projects exactly once'
       });
     }
 
-    const profilePicturePath = req.file.path;
+    await PortfolioItem.bulkWrite(order.map((id, position) => ({
+      updateOne: {
+        filter: { _id: id, freelancer: req.user.userId },
+        update: { position, updated_at: Date.now() }
+      }
+    })));
 
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      { profilePicture: profilePicturePath },
-      { new: true }
-    ).select('-password');
+    const portfolio = await PortfolioItem.find({ freelancer: req.user.userId }).sort({ position: 1 });
 
     res.status(200).json({
       success: true,
-      message: 'Profile picture updated successfully',
-      profilePicture: user.profilePicture
+      message: 'Portfolio reordered',
+      portfolio
     });
   } catch (error) {
-    console.error('Error updating profile picture:', error);
+    console.error('Error reordering portfolio:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -553,38 +3733,275 @@ app.post("/api/client/update-picture", authenticateToken, upload.single('profile
   }
 });
 
-// Update Freelancer Profile Picture
-app.post("/api/freelancer/update-picture", authenticateToken, upload.single('profilePicture'), async (req, res) => {
+// Update Portfolio Project - new files are added, `removeAttachments` ids are dropped
+app.put("/api/freelancer/portfolio/:id", authenticateToken, requireRole('freelancer'), upload.array('portfolioFiles', MAX_PORTFOLIO_ATTACHMENTS), validated({ body: portfolioItemSchema }, { partial: true }), async (req, res) => {
   try {
-    if (req.user.userType !== 'freelancer') {
-      return res.status(403).json({
+    const item = await PortfolioItem.findOne({ _id: req.params.id, freelancer: req.user.userId });
+
+    if (!item) {
+      removeFiles((req.files || []).map(file => file.path));
+      return res.status(404).json({
         success: false,
-        message: 'Access denied'
+        message: 'Project not found'
       });
     }
 
-    if (!req.file) {
+    if (req.body.title !== undefined) item.title = req.body.title;
+    if (req.body.description !== undefined) item.description = req.body.description;
+    if (req.body.links !== undefined) item.links = req.body.links;
+
+    const removeIds = new Set(req.body.removeAttachments || []);
+    const removed = item.attachments.filter(attachment => removeIds.has(attachment._id.toString()));
+    item.attachments = [
+      ...item.attachments.filter(attachment => !removeIds.has(attachment._id.toString())),
+      ...toPortfolioAttachments(req.files)
+    ];
+
+    await item.save();
+    removeFiles(removed.map(attachment => attachment.path));
+
+    res.status(200).json({
+      success: true,
+      message: 'Project updated',
+      item
+    });
+  } catch (error) {
+    console.error('Error updating portfolio project:', error);
+    portfolioError(res, error, req);
+  }
+});
+
+// Delete Portfolio Project
+app.delete("/api/freelancer/portfolio/:id", authenticateToken, requireRole('freelancer'), async (req, res) => {
+  try {
+    const item = await PortfolioItem.findOneAndDelete({ _id: req.params.id, freelancer: req.user.userId });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    removeFiles(item.attachments.map(attachment => attachment.path));
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting portfolio project:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Fields an admin may see - never the password hash or internal tokens
+const ADMIN_USER_FIELDS = '-password -email_verification_sent_at -notificationPreferences -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -twoFactor.lastUsedStep';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Admin: List/Search Users (?q=&userType=&suspended=&page=&limit=)
+app.get("/api/admin/users", authenticateToken, requireRole('admin'), validated({ query: adminUsersQuery }), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = {};
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { businessName: pattern }];
+    }
+    if (req.query.userType) {
+      filter.roles = req.query.userType;
+    }
+    if (req.query.suspended !== undefined && req.query.suspended !== '') {
+      filter.suspended = req.query.suspended === 'true';
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(ADMIN_USER_FIELDS)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      users,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Admin: Search the Audit Log - filter by user, email, event, IP and time range
+app.get("/api/admin/audit", authenticateToken, requireRole('admin'), validated({ query: adminAuditQuery }), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = {};
+    if (req.query.user) {
+      filter.user = req.query.user;
+    }
+    if (req.query.email) {
+      filter.email = req.query.email.toLowerCase();
+    }
+    if (req.query.event) {
+      filter.event = req.query.event;
+    }
+    if (req.query.ip) {
+      filter.ip = req.query.ip;
+    }
+    if (req.query.from || req.query.to) {
+      filter.created_at = {};
+      if (req.query.from) filter.created_at.$gte = new Date(req.query.from);
+      if (req.query.to) filter.created_at.$lte = new Date(req.query.to);
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .populate('user', 'name email')
+        .populate('actor', 'name email')
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      events,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error searching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Admin: View User Profile
+app.get("/api/admin/users/:id", authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(ADMIN_USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // A little activity context for the profile view
+    const [jobCount, proposalCount, orderCount] = await Promise.all([
+      Job.countDocuments({ client: user._id }),
+      Proposal.countDocuments({ freelancer: user._id }),
+      Order.countDocuments({ $or: [{ client: user._id }, { freelancer: user._id }] })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      user,
+      stats: { jobCount, proposalCount, orderCount }
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Admin: Suspend or Unsuspend a User
+app.post("/api/admin/users/:id/:action", authenticateToken, requireRole('admin'), validated({ body: adminActionSchema }), async (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!['suspend', 'unsuspend'].includes(action)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown user action'
+      });
+    }
+
+    if (req.params.id === req.user.userId) {
       return res.status(400).json({
         success: false,
-        message: 'No file uploaded'
+        message: 'You cannot suspend your own account'
       });
     }
 
-    const profilePicturePath = req.file.path;
+    const update = action === 'suspend'
+      ? { suspended: true, suspended_at: Date.now(), suspendedReason: req.body.reason }
+      : { suspended: false, $unset: { suspended_at: 1, suspendedReason: 1 } };
 
     const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      { profilePicture: profilePicturePath },
+      req.params.id,
+      { ...update, updated_at: Date.now() },
       { new: true }
-    ).select('-password');
+    ).select(ADMIN_USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Kick a suspended user out of every session they have
+    if (action === 'suspend') {
+      await revokeAllSessions(user._id, 'suspended');
+    }
+    recordAuditEvent(req, action === 'suspend' ? 'account_suspended' : 'account_unsuspended', {
+      user,
+      actor: req.user.userId,
+      details: req.body.reason ? { reason: req.body.reason } : undefined
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Profile picture updated successfully',
-      profilePicture: user.profilePicture
+      message: action === 'suspend' ? 'User suspended' : 'User unsuspended',
+      user
     });
   } catch (error) {
-    console.error('Error updating profile picture:', error);
+    console.error('Error updating user suspension:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -592,5 +4009,34 @@ app.post("/api/freelancer/update-picture", authenticateToken, upload.single('pro
   }
 });
 
+// What multer's limits mean for the person uploading
+const UPLOAD_LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: 'Files must be 5MB or smaller',
+  LIMIT_FILE_COUNT: 'Too many files in one upload',
+  LIMIT_UNEXPECTED_FILE: 'Too many files, or a file in an unexpected field'
+};
+
+// Uploads rejected before a route handler runs - too large or too many files,
+// a type the field doesn't take, or a profile picture that isn't a real image -
+// get the same JSON answer as any other bad request
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: UPLOAD_LIMIT_MESSAGES[err.code] || err.message
+    });
+  }
+  if (err instanceof FileTypeError || err instanceof ImageError) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message
+    });
+  }
+  next(err);
+});
+
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+const server = app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+
+// Live messaging over WebSocket, authenticated with the same JWT as the REST API
+initRealtime(server, JWT_SECRET);
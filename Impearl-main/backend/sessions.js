@@ -0,0 +1,134 @@
+import crypto from "crypto";
+import RefreshToken from "./models/RefreshToken.js";
+
+export const REFRESH_COOKIE = 'refreshToken';
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Two tabs refreshing at the same moment both present the same token; a reuse
+// inside this window is treated as that race rather than as theft.
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Errors the routes should pass straight back to the caller
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.name = 'SessionError';
+  error.code = code;
+  return error;
+};
+
+export const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.COOKIE_SECURE === 'true',
+  sameSite: process.env.COOKIE_SAMESITE || 'lax',
+  path: '/api',
+  maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+});
+
+const createRefreshToken = async (userId, family, activeRole, req) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    activeRole,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  return token;
+};
+
+// Start a new session (a new token family) acting as `activeRole` and set its
+// cookie on the response
+export const startSession = async (req, res, userId, activeRole) => {
+  const token = await createRefreshToken(userId, crypto.randomUUID(), activeRole, req);
+  res.cookie(REFRESH_COOKIE, token, refreshCookieOptions());
+};
+
+// Swap a refresh token for a new one in the same family. Resolves with the
+// token's record so the caller can mint an access token for its user.
+export const rotateSession = async (req, res) => {
+  const token = req.cookies?.[REFRESH_COOKIE];
+  if (!token) {
+    throw sessionError('Refresh token required', 'NO_REFRESH_TOKEN');
+  }
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record) {
+    throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (record.revoked_at) {
+    const justRotated = record.revokedReason === 'rotated'
+      && Date.now() - record.revoked_at.getTime() < REUSE_GRACE_MS;
+    if (justRotated) {
+      throw sessionError('Session was just refreshed, retry', 'REFRESH_RACE');
+    }
+
+    // A revoked token came back: assume it was stolen and end the whole session
+    await revokeFamily(record.family, 'reuse');
+    const error = sessionError('Refresh token reuse detected, please log in again', 'REFRESH_TOKEN_REUSED');
+    error.userId = record.user;
+    throw error;
+  }
+
+  if (record.expires_at < new Date()) {
+    throw sessionError('Session expired, please log in again', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const newToken = await createRefreshToken(record.user, record.family, record.activeRole, req);
+
+  // Only one concurrent rotation may win
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revoked_at: null },
+    { revoked_at: new Date(), revokedReason: 'rotated', replacedBy: hashToken(newToken) }
+  );
+  if (!rotated) {
+    await RefreshToken.deleteOne({ tokenHash: hashToken(newToken) });
+    throw sessionError('Session was just refreshed, retry', 'REFRESH_RACE');
+  }
+
+  res.cookie(REFRESH_COOKIE, newToken, refreshCookieOptions());
+  return record;
+};
+
+// Make the session behind the request's refresh cookie act as another role,
+// so refreshed access tokens keep it
+export const setSessionRole = async (req, role) => {
+  const token = req.cookies?.[REFRESH_COOKIE];
+  if (!token) return;
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revoked_at: null },
+    { activeRole: role }
+  );
+};
+
+export const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revoked_at: null },
+  { revoked_at: new Date(), revokedReason: reason }
+);
+
+// End every session a user has (e.g. after a password change)
+export const revokeAllSessions = (userId, reason) => RefreshToken.updateMany(
+  { user: userId, revoked_at: null },
+  { revoked_at: new Date(), revokedReason: reason }
+);
+
+// End the session behind the request's refresh cookie, if any, and clear it.
+// Resolves with the revoked token's record, or null.
+export const endSession = async (req, res) => {
+  const token = req.cookies?.[REFRESH_COOKIE];
+  const { maxAge, ...clearOptions } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE, clearOptions);
+
+  if (!token) return null;
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (record) {
+    await revokeFamily(record.family, 'logout');
+  }
+  return record;
+};
@@ -0,0 +1,164 @@
+import crypto from "crypto";
+import path from "path";
+import { createLocalDriver } from "./localDriver.js";
+import { createS3Driver } from "./s3Driver.js";
+
+/*
+ * Storage drivers all expose the same async interface. Keys look like
+ * "<folder>/<unique name>", e.g. "resumes/1712345678-123456789.pdf".
+ *
+ *   put(key, body, { contentType })     body is a Buffer
+ *   getStream(key)                      readable stream of the contents
+ *   delete(key)
+ *   serve(key, res, { filename, inline })
+ *                                       answer an HTTP request with the file,
+ *                                       as a download unless `inline` is set
+ *
+ * Select a driver with STORAGE_DRIVER in .env.
+ */
+const driverFactories = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+let storage;
+
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+// Swap the active driver (used by tests)
+export const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+// Which folder each upload field is stored in. Only avatars are public;
+// everything else is served through short-lived signed links.
+export const UPLOAD_FOLDERS = {
+  profilePicture: 'avatars',
+  resume: 'resumes',
+  attachment: 'attachments',
+  portfolioFiles: 'portfolio'
+};
+const PUBLIC_FOLDERS = ['avatars'];
+
+export const SIGNED_URL_TTL_SECONDS = Number(process.env.SIGNED_URL_TTL_SECONDS) || 15 * 60;
+
+// The file types uploads may have and the extension each is stored under.
+// The extension comes from here rather than the uploaded file's name, so a
+// key never ends in something a browser would run, like ".html" or ".svg".
+export const FILE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx'
+};
+export const IMAGE_TYPES = Object.keys(FILE_TYPES).filter(type => type.startsWith('image/'));
+
+// Content type of a file with the given name, going by its extension
+export const contentTypeFor = (name) => {
+  const extension = path.extname(name).toLowerCase().replace('.jpeg', '.jpg');
+  return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type] === extension);
+};
+
+// A new key for an upload of `contentType`. Types not in FILE_TYPES get no extension.
+export const newFileKey = (fieldname, contentType) => {
+  const folder = UPLOAD_FOLDERS[fieldname] || 'attachments';
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${folder}/${uniqueSuffix}${FILE_TYPES[contentType] || ''}`;
+};
+
+// Whether `key` has the "<folder>/<name>" shape newFileKey produces. Keys in
+// URLs come from the outside, so anything else ("avatars/../resumes/x.pdf",
+// "avatars//x", ".hidden" names) is refused before it reaches a driver.
+const FILE_KEY_PATTERN = /^([a-z]+)\/(?!\.)[^/\\]+$/;
+export const isValidFileKey = (key) => {
+  const match = FILE_KEY_PATTERN.exec(String(key));
+  return Boolean(match) && Object.values(UPLOAD_FOLDERS).includes(match[1]);
+};
+
+export const isPublicKey = (key) => isValidFileKey(key) && PUBLIC_FOLDERS.includes(key.split('/')[0]);
+
+// Links point at the API's /api/files route, which checks them and hands off to the driver
+const fileRoute = (key) =>
+  `${process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`}/api/files/${encodeURIComponent(key)}`;
+
+const sign = (key, expires) =>
+  crypto.createHmac('sha256', process.env.FILE_URL_SECRET || process.env.JWT_SECRET)
+    .update(`${key}:${expires}`)
+    .digest('hex');
+
+// Permanent link for a public file (avatars)
+export const publicFileUrl = (key) => key ? fileRoute(key) : key;
+
+// Expiring link for a private file. Only hand these to users allowed to see it.
+export const signedFileUrl = (key, ttlSeconds = SIGNED_URL_TTL_SECONDS) => {
+  if (!key) return key;
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${fileRoute(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+export const verifyFileSignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+  const expected = Buffer.from(sign(key, expires));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Multer storage engine that writes uploads through the active driver.
+// `file.path` is set to the storage key so routes can save it as before.
+//
+// `processors` maps a field name to { save(body, file), remove(key) } for
+// uploads that need work before they are stored (see images.js); save
+// resolves with the key to record.
+export const createUploadEngine = ({ processors = {} } = {}) => ({
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    file.stream.on('data', chunk => chunks.push(chunk));
+    file.stream.on('error', cb);
+    file.stream.on('end', async () => {
+      const body = Buffer.concat(chunks);
+      try {
+        const processor = processors[file.fieldname];
+        if (processor) {
+          return cb(null, { path: await processor.save(body, file), size: body.length });
+        }
+        const key = newFileKey(file.fieldname, file.mimetype);
+        await getStorage().put(key, body, { contentType: file.mimetype });
+        cb(null, { path: key, size: body.length });
+      } catch (err) {
+        cb(err);
+      }
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    const processor = processors[file.fieldname];
+    const removal = processor ? processor.remove(file.path) : getStorage().delete(file.path);
+    removal.then(() => cb(null), cb);
+  }
+});
+
+// Whole contents of a stored file as a Buffer
+export const readFile = async (key) => {
+  const chunks = [];
+  for await (const chunk of await getStorage().getStream(key)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Best-effort cleanup of stored files nothing points at any more
+export const removeFiles = (keys) =>
+  Promise.all(keys.filter(Boolean).map(key => getStorage().delete(key).catch(() => {})));
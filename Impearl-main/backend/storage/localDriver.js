@@ -0,0 +1,51 @@
+import fs from "fs";
+import path from "path";
+
+// Keeps files on the server's disk under `root`. Good for development and
+// single-server deployments.
+export const createLocalDriver = ({ root = process.env.LOCAL_STORAGE_ROOT || 'uploads' } = {}) => {
+  const rootDir = path.resolve(root);
+
+  // Keys are generated by us, but never let one escape the storage root
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async getStream(key) {
+      const filePath = resolve(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async delete(key) {
+      await fs.promises.unlink(resolve(key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    // Stream the file straight from disk. The type comes from the key's
+    // extension and browsers may not second-guess it.
+    async serve(key, res, { filename, inline = false } = {}) {
+      const filePath = resolve(key);
+      await fs.promises.access(filePath);
+      res.set('X-Content-Type-Options', 'nosniff');
+      if (!inline) {
+        res.attachment(filename);
+      }
+      res.sendFile(filePath);
+    }
+  };
+};
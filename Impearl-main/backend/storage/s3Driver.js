@@ -0,0 +1,56 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+// Any S3-compatible object store. For a local stand-in such as MinIO set
+// S3_ENDPOINT (e.g. http://localhost:9000) and S3_FORCE_PATH_STYLE=true.
+// The bucket itself can stay private - reads are redirected to presigned URLs.
+export const createS3Driver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    async getStream(key) {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return object.Body;
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // Hand the download off to the object store with a presigned link that
+    // only lives long enough to follow the redirect. Objects carry the checked
+    // upload type they were put with (see createUploadEngine).
+    async serve(key, res, { filename, inline = false } = {}) {
+      const disposition = filename ? `attachment; filename="${filename.replace(/"/g, '')}"` : 'attachment';
+      const url = await getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: inline ? undefined : disposition
+      }), { expiresIn: 60 });
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.redirect(url);
+    }
+  };
+};
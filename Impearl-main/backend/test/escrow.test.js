@@ -0,0 +1,245 @@
+import { describe, test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Milestone from "../models/Milestone.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import { setPaymentProvider } from "../payments/index.js";
+import { createFakeProvider, FAKE_DECLINED_METHOD } from "../payments/fakeProvider.js";
+import {
+  fundMilestone,
+  submitMilestone,
+  releaseMilestone,
+  refundMilestone,
+  settleOrderEscrow,
+  getBalances,
+  withdraw
+} from "../payments/escrow.js";
+
+// Milestones and ledger entries kept in memory instead of MongoDB, covering
+// just the queries escrow.js makes
+const useMemoryPersistence = () => {
+  const milestones = new Map();
+  const ledger = [];
+
+  mock.method(Milestone, 'findOneAndUpdate', async ({ _id, status }, update) => {
+    const milestone = milestones.get(String(_id));
+    if (!milestone || milestone.status !== status) return null;
+    const { $unset = {}, ...fields } = update;
+    Object.assign(milestone, fields);
+    Object.keys($unset).forEach(key => delete milestone[key]);
+    return { ...milestone };
+  });
+
+  mock.method(Milestone, 'find', async ({ order, status }) => [...milestones.values()]
+    .filter(milestone => milestone.order.equals(order) && status.$in.includes(milestone.status))
+    .map(milestone => ({ ...milestone })));
+
+  mock.method(LedgerEntry, 'create', async (entry) => {
+    const saved = { _id: new mongoose.Types.ObjectId(), ...entry };
+    ledger.push(saved);
+    return saved;
+  });
+
+  mock.method(LedgerEntry, 'insertMany', async (entries) => Promise.all(entries.map(entry => LedgerEntry.create(entry))));
+
+  mock.method(LedgerEntry, 'updateOne', async ({ _id }, update) => {
+    Object.assign(ledger.find(entry => entry._id.equals(_id)), update);
+  });
+
+  mock.method(LedgerEntry, 'aggregate', async ([{ $match }]) => {
+    const totals = {};
+    ledger
+      .filter(entry => entry.user.equals($match.user))
+      .forEach(entry => {
+        totals[entry.account] = (totals[entry.account] || 0) + entry.amount;
+      });
+    return Object.entries(totals).map(([account, total]) => ({ _id: account, total }));
+  });
+
+  const addMilestone = (fields) => {
+    const milestone = { _id: new mongoose.Types.ObjectId(), status: 'pending', ...fields };
+    milestones.set(String(milestone._id), milestone);
+    return { ...milestone };
+  };
+
+  return { ledger, addMilestone };
+};
+
+describe('escrow', () => {
+  let provider;
+  let store;
+  let order;
+
+  beforeEach(() => {
+    provider = createFakeProvider();
+    setPaymentProvider(provider);
+    store = useMemoryPersistence();
+    order = {
+      _id: new mongoose.Types.ObjectId(),
+      client: new mongoose.Types.ObjectId(),
+      freelancer: new mongoose.Types.ObjectId()
+    };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const newMilestone = (amount = 150) => store.addMilestone({ order: order._id, title: 'Logo', amount });
+
+  // A funded milestone released to the freelancer, leaving `amount` available
+  const earn = async (amount) => {
+    const funded = await fundMilestone(newMilestone(amount), order, 'card');
+    return releaseMilestone(funded, order);
+  };
+
+  test('funding charges the client and holds the amount in escrow', async () => {
+    const funded = await fundMilestone(newMilestone(), order, 'card');
+
+    assert.equal(funded.status, 'funded');
+    assert.deepEqual(provider.inspect().charges.map(charge => charge.amount), [15000]);
+    assert.equal(funded.chargeId, provider.inspect().charges[0].id);
+    assert.deepEqual(await getBalances(order.client), { available: 0, escrow: 150 });
+  });
+
+  test('a declined payment leaves the milestone unfunded', async () => {
+    const milestone = newMilestone();
+
+    await assert.rejects(fundMilestone(milestone, order, FAKE_DECLINED_METHOD), { name: 'EscrowError', status: 402 });
+    assert.equal(store.ledger.length, 0);
+    await assert.rejects(submitMilestone(milestone, {}), { status: 400 });
+  });
+
+  test('releasing moves the money from escrow to the freelancer', async () => {
+    const funded = await fundMilestone(newMilestone(), order, 'card');
+    const submitted = await submitMilestone(funded, { note: 'Done' });
+    assert.ok(submitted.autoReleaseAt > new Date());
+
+    const released = await releaseMilestone(submitted, order);
+
+    assert.equal(released.status, 'released');
+    assert.equal(released.autoReleaseAt, undefined);
+    assert.deepEqual(await getBalances(order.client), { available: 0, escrow: 0 });
+    assert.deepEqual(await getBalances(order.freelancer), { available: 150, escrow: 0 });
+  });
+
+  test('a milestone is only released once', async () => {
+    const funded = await fundMilestone(newMilestone(), order, 'card');
+
+    await releaseMilestone(funded, order);
+    await assert.rejects(releaseMilestone(funded, order), { status: 409 });
+    assert.equal((await getBalances(order.freelancer)).available, 150);
+  });
+
+  test('refunding returns the charge to the client', async () => {
+    const funded = await fundMilestone(newMilestone(), order, 'card');
+
+    const refunded = await refundMilestone(funded, order);
+
+    assert.equal(refunded.status, 'refunded');
+    assert.deepEqual(provider.inspect().refunds.map(refund => [refund.chargeId, refund.amount]), [[funded.chargeId, 15000]]);
+    assert.deepEqual(await getBalances(order.client), { available: 0, escrow: 0 });
+  });
+
+  test('a failed refund keeps the money in escrow', async () => {
+    setPaymentProvider({ ...provider, refund: async () => { throw new Error('Gateway down'); } });
+    const funded = await fundMilestone(newMilestone(), order, 'card');
+
+    await assert.rejects(refundMilestone(funded, order), { status: 502, message: 'Refund failed: Gateway down' });
+    assert.equal((await getBalances(order.client)).escrow, 150);
+    // Back to funded, so it can still be worked on or refunded later
+    assert.equal((await submitMilestone(funded, { note: 'Done' })).status, 'submitted');
+  });
+
+  test('a milestone released in the meantime is not refunded', async () => {
+    const funded = await fundMilestone(newMilestone(), order, 'card');
+
+    await releaseMilestone(funded, order);
+    await assert.rejects(refundMilestone(funded, order), { status: 409 });
+    assert.equal(provider.inspect().refunds.length, 0);
+  });
+
+  test('two refunds at once only return the money once', async () => {
+    const funded = await fundMilestone(newMilestone(), order, 'card');
+
+    const results = await Promise.allSettled([refundMilestone(funded, order), refundMilestone(funded, order)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(provider.inspect().refunds.length, 1);
+    assert.deepEqual(await getBalances(order.client), { available: 0, escrow: 0 });
+  });
+
+  test('a client cannot cancel away work that has been submitted', async () => {
+    const funded = await fundMilestone(newMilestone(), order, 'card');
+    await submitMilestone(funded, { note: 'Done' });
+
+    await assert.rejects(settleOrderEscrow(order, 'cancelled', 'client'), { status: 409 });
+    assert.equal(provider.inspect().refunds.length, 0);
+    assert.equal((await getBalances(order.client)).escrow, 150);
+  });
+
+  test('a freelancer cancelling refunds everything held', async () => {
+    await fundMilestone(newMilestone(100), order, 'card');
+    await submitMilestone(await fundMilestone(newMilestone(50), order, 'card'), { note: 'Done' });
+
+    await settleOrderEscrow(order, 'cancelled', 'freelancer');
+
+    assert.equal(provider.inspect().refunds.length, 2);
+    assert.deepEqual(await getBalances(order.client), { available: 0, escrow: 0 });
+  });
+
+  test('completing an order releases everything held', async () => {
+    await fundMilestone(newMilestone(100), order, 'card');
+    await submitMilestone(await fundMilestone(newMilestone(50), order, 'card'), { note: 'Done' });
+
+    await settleOrderEscrow(order, 'completed', 'client');
+
+    assert.deepEqual(await getBalances(order.freelancer), { available: 150, escrow: 0 });
+  });
+
+  describe('withdraw', () => {
+    test('pays out and debits the available balance', async () => {
+      await earn(100);
+
+      const entry = await withdraw(order.freelancer, 40);
+
+      const [payout] = provider.inspect().payouts;
+      assert.equal(payout.amount, 4000);
+      assert.equal(entry.providerReference, payout.id);
+      assert.equal(store.ledger.find(saved => saved._id.equals(entry._id)).providerReference, payout.id);
+      assert.equal((await getBalances(order.freelancer)).available, 60);
+    });
+
+    test('refuses more than the available balance', async () => {
+      await earn(100);
+
+      await assert.rejects(withdraw(order.freelancer, 100.01), { status: 400 });
+      await assert.rejects(withdraw(order.freelancer, 0), { status: 400 });
+      assert.equal(provider.inspect().payouts.length, 0);
+      assert.equal((await getBalances(order.freelancer)).available, 100);
+    });
+
+    test('puts the money back when the payout fails', async () => {
+      await earn(100);
+      setPaymentProvider({ ...provider, payout: async () => { throw new Error('Account closed'); } });
+
+      await assert.rejects(withdraw(order.freelancer, 100), { status: 502, message: 'Payout failed: Account closed' });
+
+      assert.equal((await getBalances(order.freelancer)).available, 100);
+      assert.deepEqual(
+        store.ledger.filter(entry => entry.account === 'available').map(entry => [entry.type, entry.amount]),
+        [['earning', 100], ['withdrawal', -100], ['withdrawal_reversal', 100]]
+      );
+    });
+
+    test('withdrawals at the same time never pay out more than the balance', async () => {
+      await earn(100);
+
+      await Promise.allSettled([withdraw(order.freelancer, 100), withdraw(order.freelancer, 100)]);
+
+      const paidOut = provider.inspect().payouts.reduce((total, payout) => total + payout.amount, 0);
+      assert.ok(paidOut <= 10000);
+      assert.equal((await getBalances(order.freelancer)).available, 100 - paidOut / 100);
+    });
+  });
+});
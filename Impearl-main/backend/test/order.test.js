@@ -0,0 +1,60 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order, { ORDER_TRANSITIONS } from "../models/Order.js";
+
+const STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Every move either side may make, as "from -> to" per role
+const ALLOWED = {
+  client: [
+    'pending -> cancelled',
+    'active -> cancelled',
+    'delivered -> completed',
+    'delivered -> revision_requested'
+  ],
+  freelancer: [
+    'pending -> active',
+    'pending -> cancelled',
+    'active -> delivered',
+    'active -> cancelled',
+    'revision_requested -> delivered'
+  ]
+};
+
+const orderIn = (status) => new Order({
+  client: new mongoose.Types.ObjectId(),
+  freelancer: new mongoose.Types.ObjectId(),
+  status
+});
+
+describe('order transitions', () => {
+  for (const role of ['client', 'freelancer']) {
+    for (const from of STATUSES) {
+      test(`${role} from ${from}`, () => {
+        const expected = ALLOWED[role]
+          .filter(move => move.startsWith(`${from} -> `))
+          .map(move => move.split(' -> ')[1]);
+
+        assert.deepEqual(orderIn(from).availableTransitions(role), expected);
+      });
+    }
+  }
+
+  test('only lead to known statuses', () => {
+    for (const transitions of Object.values(ORDER_TRANSITIONS)) {
+      for (const to of Object.keys(transitions)) {
+        assert.ok(STATUSES.includes(to), `${to} is not a status`);
+      }
+    }
+  });
+
+  test('someone who is not part of the order has no moves', () => {
+    const order = orderIn('pending');
+
+    assert.equal(order.roleOf(new mongoose.Types.ObjectId()), null);
+    assert.deepEqual(order.availableTransitions(null), []);
+    assert.equal(order.roleOf(order.client), 'client');
+    assert.equal(order.roleOf(order.freelancer), 'freelancer');
+  });
+});
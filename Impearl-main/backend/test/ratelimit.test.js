@@ -0,0 +1,160 @@
+import { describe, test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../ratelimit/memoryStore.js";
+import {
+  setRateLimitStore,
+  rateLimit,
+  RATE_LIMITS,
+  LOGIN_PROTECTION,
+  startLoginAttempt,
+  recordLoginFailure,
+  clearLoginFailures
+} from "../ratelimit/index.js";
+
+// Just enough of an Express response to see what the middleware sent
+const fakeResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// Run `middleware` once, resolving with the response and whether it called next()
+const run = async (middleware, req) => {
+  const res = fakeResponse();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { res, passed };
+};
+
+// One failed login: start the attempt, then report the wrong password
+const failLogin = async (email) => {
+  const wait = await startLoginAttempt(email);
+  return wait || recordLoginFailure(email);
+};
+
+const EMAIL = 'someone@example.com';
+
+beforeEach(() => {
+  setRateLimitStore(createMemoryStore());
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('rateLimit', () => {
+  test('answers with a 429 once an IP goes over the limit', async () => {
+    const limiter = rateLimit('login');
+    const { limit, windowMs } = RATE_LIMITS.login;
+
+    for (let i = 0; i < limit; i++) {
+      assert.equal((await run(limiter, { ip: '10.0.0.1' })).passed, true);
+    }
+    const { res, passed } = await run(limiter, { ip: '10.0.0.1' });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'RATE_LIMITED');
+    assert.equal(res.headers['Retry-After'], String(windowMs / 1000));
+    assert.equal((await run(limiter, { ip: '10.0.0.2' })).passed, true);
+  });
+
+  test('lets requests through again once the window ends', async () => {
+    const limiter = rateLimit('register');
+    const { limit, windowMs } = RATE_LIMITS.register;
+    for (let i = 0; i <= limit; i++) await run(limiter, { ip: '10.0.0.1' });
+
+    mock.timers.tick(windowMs);
+
+    assert.equal((await run(limiter, { ip: '10.0.0.1' })).passed, true);
+  });
+
+  test('can count by something other than the IP', async () => {
+    const limiter = rateLimit('passwordResetEmail', { key: (req) => `email:${req.body.email}` });
+    const { limit } = RATE_LIMITS.passwordResetEmail;
+
+    for (let i = 0; i < limit; i++) {
+      await run(limiter, { ip: `10.0.0.${i}`, body: { email: EMAIL } });
+    }
+
+    assert.equal((await run(limiter, { ip: '10.0.1.1', body: { email: EMAIL } })).res.statusCode, 429);
+    assert.equal((await run(limiter, { ip: '10.0.1.1', body: { email: 'someone.else@example.com' } })).passed, true);
+  });
+
+  test('lets requests through when the store is down', async () => {
+    mock.method(console, 'error', () => {});
+    setRateLimitStore({ increment: async () => { throw new Error('Store unreachable'); } });
+
+    assert.equal((await run(rateLimit('login'), { ip: '10.0.0.1' })).passed, true);
+  });
+});
+
+describe('login protection', () => {
+  test('delays an account after a few failures, longer each time', async () => {
+    for (let i = 1; i < LOGIN_PROTECTION.delayAfter; i++) {
+      assert.equal(await failLogin(EMAIL), null);
+    }
+
+    const firstWait = await failLogin(EMAIL);
+    assert.equal(firstWait.code, 'LOGIN_DELAYED');
+    assert.equal(firstWait.retryAfter, 1);
+    assert.equal((await startLoginAttempt(EMAIL)).code, 'LOGIN_DELAYED');
+
+    mock.timers.tick(1000);
+    const secondWait = await failLogin(EMAIL);
+    assert.equal(secondWait.retryAfter, 2);
+  });
+
+  test('locks the account after too many failures', async () => {
+    let wait;
+    for (let i = 0; i < LOGIN_PROTECTION.lockoutFailures; i++) {
+      mock.timers.tick(LOGIN_PROTECTION.maxDelaySeconds * 1000);
+      wait = await failLogin(EMAIL);
+    }
+
+    assert.equal(wait.code, 'ACCOUNT_LOCKED');
+    assert.equal(wait.retryAfter, LOGIN_PROTECTION.lockoutMs / 1000);
+
+    mock.timers.tick(LOGIN_PROTECTION.lockoutMs);
+    assert.equal(await startLoginAttempt(EMAIL), null);
+  });
+
+  test('counts attempts before they finish, so parallel guesses are limited too', async () => {
+    const attempts = Array.from({ length: 20 }, () => startLoginAttempt(EMAIL));
+    const waits = await Promise.all(attempts);
+
+    assert.equal(waits.filter(wait => wait === null).length, LOGIN_PROTECTION.delayAfter);
+    assert.equal((await startLoginAttempt(EMAIL)).code, 'ACCOUNT_LOCKED');
+  });
+
+  test('a successful login forgets the earlier failures', async () => {
+    for (let i = 1; i < LOGIN_PROTECTION.delayAfter; i++) await failLogin(EMAIL);
+
+    assert.equal(await startLoginAttempt(EMAIL), null);
+    await clearLoginFailures(EMAIL);
+
+    for (let i = 1; i < LOGIN_PROTECTION.delayAfter; i++) {
+      assert.equal(await failLogin(EMAIL), null);
+    }
+  });
+
+  test('tracks each email on its own, whatever its case', async () => {
+    for (let i = 0; i < LOGIN_PROTECTION.delayAfter; i++) await failLogin(EMAIL);
+
+    assert.equal((await startLoginAttempt(EMAIL.toUpperCase())).code, 'LOGIN_DELAYED');
+    assert.equal(await startLoginAttempt('someone.else@example.com'), null);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Review from "../models/Review.js";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import {
+  REVIEW_WINDOW_DAYS,
+  reviewDeadline,
+  revealReviews,
+  revealIfBothReviewed,
+  revealDueReviews
+} from "../reviews.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reviews, orders and ratings kept in memory instead of MongoDB, covering
+// just the queries reviews.js makes
+const useMemoryPersistence = () => {
+  const reviews = [];
+  const orders = [];
+  const ratings = new Map();
+  const sameId = (a, b) => String(a) === String(b);
+
+  mock.method(Review, 'find', async ({ order, revealed_at }) => reviews
+    .filter(review => sameId(review.order, order) && (revealed_at !== null || !review.revealed_at))
+    .map(review => ({ ...review })));
+
+  mock.method(Review, 'updateMany', async ({ _id }, update) => {
+    reviews
+      .filter(review => _id.$in.some(id => sameId(id, review._id)))
+      .forEach(review => Object.assign(review, update));
+  });
+
+  mock.method(Review, 'distinct', async (field, filter) => {
+    const matching = reviews.filter(review =>
+      ('order' in filter ? sameId(review.order, filter.order) : true)
+      && ('revealed_at' in filter ? !review.revealed_at : true));
+    return [...new Set(matching.map(review => String(review[field])))];
+  });
+
+  mock.method(Review, 'aggregate', async ([{ $match }]) => {
+    const revealed = reviews.filter(review => sameId(review.reviewee, $match.reviewee) && review.revealed_at);
+    if (revealed.length === 0) return [];
+    const total = revealed.reduce((sum, review) => sum + review.rating, 0);
+    return [{ _id: null, average: total / revealed.length, count: revealed.length }];
+  });
+
+  mock.method(Order, 'find', async ({ _id }) => orders.filter(order => _id.$in.some(id => sameId(id, order._id))));
+
+  mock.method(User, 'findByIdAndUpdate', async (userId, update) => {
+    ratings.set(String(userId), update);
+  });
+
+  // notify() looks the user up first; finding nobody keeps it quiet
+  mock.method(User, 'findById', () => ({ select: async () => null }));
+
+  const addOrder = (completed_at) => {
+    const order = {
+      _id: new mongoose.Types.ObjectId(),
+      client: new mongoose.Types.ObjectId(),
+      freelancer: new mongoose.Types.ObjectId(),
+      status: 'completed',
+      completed_at
+    };
+    orders.push(order);
+    return order;
+  };
+
+  // `role` leaves a review of the other side of `order`
+  const addReview = (order, role, rating) => {
+    const reviewee = role === 'client' ? order.freelancer : order.client;
+    reviews.push({
+      _id: new mongoose.Types.ObjectId(),
+      order: order._id,
+      reviewer: order[role],
+      reviewee,
+      reviewerRole: role,
+      rating
+    });
+  };
+
+  return { reviews, ratings, addOrder, addReview };
+};
+
+let store;
+
+beforeEach(() => {
+  store = useMemoryPersistence();
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-10T00:00:00Z') });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('reviewDeadline', () => {
+  test('closes the window a set number of days after completion', () => {
+    const completed_at = new Date('2025-01-01T00:00:00Z');
+
+    assert.equal(reviewDeadline({ completed_at }).getTime(), completed_at.getTime() + REVIEW_WINDOW_DAYS * DAY_MS);
+  });
+
+  test('falls back to the history, then the last update, for older orders', () => {
+    const history = [{ to: 'delivered', at: new Date('2025-01-01') }, { to: 'completed', at: new Date('2025-01-03') }];
+
+    assert.equal(reviewDeadline({ history, updated_at: new Date('2025-01-05') }).getTime(), Date.parse('2025-01-03') + REVIEW_WINDOW_DAYS * DAY_MS);
+    assert.equal(reviewDeadline({ history: [], updated_at: new Date('2025-01-05') }).getTime(), Date.parse('2025-01-05') + REVIEW_WINDOW_DAYS * DAY_MS);
+  });
+});
+
+describe('double-blind reviews', () => {
+  test('one review stays hidden while the other side has not reviewed', async () => {
+    const order = store.addOrder(new Date());
+    store.addReview(order, 'client', 5);
+
+    assert.equal(await revealIfBothReviewed(order._id), false);
+    assert.equal(store.reviews[0].revealed_at, undefined);
+    assert.equal(store.ratings.size, 0);
+  });
+
+  test('both reviews are shown as soon as the second one is in', async () => {
+    const order = store.addOrder(new Date());
+    store.addReview(order, 'client', 4);
+    store.addReview(order, 'freelancer', 5);
+
+    assert.equal(await revealIfBothReviewed(order._id), true);
+    assert.ok(store.reviews.every(review => review.revealed_at));
+    assert.deepEqual(store.ratings.get(String(order.freelancer)), { ratingAverage: 4, ratingCount: 1 });
+    assert.deepEqual(store.ratings.get(String(order.client)), { ratingAverage: 5, ratingCount: 1 });
+  });
+
+  test('a lone review is kept hidden until the window closes', async () => {
+    const order = store.addOrder(new Date(Date.now() - (REVIEW_WINDOW_DAYS - 1) * DAY_MS));
+    store.addReview(order, 'client', 3);
+
+    await revealDueReviews();
+
+    assert.equal(store.reviews[0].revealed_at, undefined);
+  });
+
+  test('a lone review is shown once the window has closed', async () => {
+    const order = store.addOrder(new Date(Date.now() - REVIEW_WINDOW_DAYS * DAY_MS));
+    const stillOpen = store.addOrder(new Date());
+    store.addReview(order, 'client', 3);
+    store.addReview(stillOpen, 'client', 1);
+
+    await revealDueReviews();
+
+    assert.ok(store.reviews[0].revealed_at);
+    assert.equal(store.reviews[1].revealed_at, undefined);
+    assert.deepEqual(store.ratings.get(String(order.freelancer)), { ratingAverage: 3, ratingCount: 1 });
+  });
+
+  test('revealing again changes nothing', async () => {
+    const order = store.addOrder(new Date());
+    store.addReview(order, 'client', 4);
+    store.addReview(order, 'freelancer', 5);
+    await revealReviews(order._id);
+    const revealedAt = store.reviews.map(review => review.revealed_at);
+    mock.timers.tick(DAY_MS);
+
+    await revealReviews(order._id);
+
+    assert.deepEqual(store.reviews.map(review => review.revealed_at), revealedAt);
+    assert.equal(Review.updateMany.mock.callCount(), 1);
+  });
+});
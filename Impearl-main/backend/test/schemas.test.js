@@ -0,0 +1,147 @@
+import { describe, test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { validate, hasErrors } from "@impearl/shared/validation";
+import {
+  addRoleSchema,
+  clientSignupSchema,
+  freelancerSignupSchema,
+  MAX_SKILLS,
+  MIN_PASSWORD_LENGTH
+} from "@impearl/shared/schemas";
+import { profileUpdateSchema, withdrawSchema } from "../schemas.js";
+import { validateRequest } from "../validation.js";
+
+const clientSignup = {
+  name: '  Ada Lovelace ',
+  email: 'Ada@Example.com',
+  password: 'correct horse',
+  businessName: 'Analytical Engines',
+  businessType: 'Engineering',
+  companySize: '1-10',
+  address: '12 St James Square, London'
+};
+
+describe('signup schemas', () => {
+  test('clean up valid input', () => {
+    const { values, errors } = validate(clientSignupSchema, clientSignup);
+
+    assert.equal(hasErrors(errors), false);
+    assert.equal(values.name, 'Ada Lovelace');
+    assert.equal(values.email, 'ada@example.com');
+  });
+
+  test('report every missing field', () => {
+    const { errors } = validate(clientSignupSchema, { email: 'ada@example.com' });
+
+    assert.deepEqual(Object.keys(errors).sort(), ['address', 'businessName', 'businessType', 'companySize', 'name', 'password']);
+    assert.equal(errors.companySize, 'Company size is required');
+  });
+
+  test('reject bad values with a message per field', () => {
+    const { errors } = validate(clientSignupSchema, {
+      ...clientSignup,
+      email: 'not-an-email',
+      password: 'short',
+      companySize: '5000'
+    });
+
+    assert.equal(errors.email, 'Email must be a valid email address');
+    assert.equal(errors.password, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    assert.match(errors.companySize, /must be one of/);
+  });
+
+  test('keep passwords exactly as typed', () => {
+    const { values } = validate(clientSignupSchema, { ...clientSignup, password: '  spaced out  ' });
+
+    assert.equal(values.password, '  spaced out  ');
+  });
+
+  test('take skills as a list or comma-separated text', () => {
+    const freelancer = { name: 'Grace', email: 'grace@example.com', password: 'correct horse', experience: '10+' };
+
+    assert.deepEqual(validate(freelancerSignupSchema, { ...freelancer, skills: 'react, node, ' }).values.skills, ['react', 'node']);
+    assert.deepEqual(validate(freelancerSignupSchema, { ...freelancer, skills: ['go'] }).values.skills, ['go']);
+
+    const tooMany = Array.from({ length: MAX_SKILLS + 1 }, (_, i) => `skill ${i}`);
+    assert.ok(validate(freelancerSignupSchema, { ...freelancer, skills: tooMany }).errors.skills);
+    assert.equal(validate(freelancerSignupSchema, { ...freelancer, skills: ' , ' }).errors.skills, 'Skills must have at least 1 entry');
+  });
+});
+
+describe('adding a role', () => {
+  test('asks for the profile fields of the role being added', () => {
+    const { values, errors } = validate(addRoleSchema('freelancer'), { role: 'freelancer', skills: 'go, rust', businessName: 'Dropped' });
+
+    assert.deepEqual(Object.keys(errors), ['experience']);
+    assert.deepEqual(values, { role: 'freelancer', skills: ['go', 'rust'] });
+    assert.deepEqual(Object.keys(validate(addRoleSchema('client'), { role: 'client' }).errors).sort(), ['address', 'businessName', 'businessType', 'companySize']);
+  });
+
+  test('refuses roles that cannot be added', () => {
+    for (const role of ['admin', '__proto__', undefined]) {
+      assert.deepEqual(Object.keys(validate(addRoleSchema(role), { role }).errors), ['role']);
+    }
+  });
+});
+
+describe('profile updates', () => {
+  test('only check the fields being changed', () => {
+    const { values, errors } = validate(profileUpdateSchema, { bio: 'Hello' }, { partial: true });
+
+    assert.equal(hasErrors(errors), false);
+    assert.deepEqual(values, { bio: 'Hello' });
+  });
+
+  test('refuse blanking a required field', () => {
+    const { errors } = validate(profileUpdateSchema, { name: '  ' }, { partial: true });
+
+    assert.equal(errors.name, 'Name cannot be empty');
+  });
+
+  test('refuse fields that are not editable, when strict', () => {
+    const { errors } = validate(profileUpdateSchema, { email: 'new@example.com' }, { partial: true, strict: true });
+
+    assert.equal(errors.email, "Email can't be set here");
+  });
+});
+
+describe('validateRequest', () => {
+  const run = async (middleware, body) => {
+    const req = { params: {}, query: {}, body };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(data) {
+        this.body = data;
+        return this;
+      }
+    };
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { req, res, passed };
+  };
+
+  test('passes the cleaned body on', async () => {
+    const { req, passed } = await run(validateRequest({ body: withdrawSchema }), { amount: '12.50', extra: 'dropped' });
+
+    assert.equal(passed, true);
+    assert.deepEqual(req.body, { amount: 12.5 });
+  });
+
+  test('answers a bad request with a 400 and cleans up after it', async () => {
+    const onInvalid = mock.fn();
+    const { res, passed } = await run(validateRequest({ body: withdrawSchema }, { onInvalid }), { amount: '0' });
+
+    assert.equal(passed, false);
+    assert.equal(onInvalid.mock.callCount(), 1);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+      success: false,
+      message: 'Amount must be at least 0.01',
+      code: 'VALIDATION_ERROR',
+      errors: { amount: 'Amount must be at least 0.01' }
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import RefreshToken from "../models/RefreshToken.js";
+import {
+  REFRESH_COOKIE,
+  startSession,
+  rotateSession,
+  endSession,
+  revokeAllSessions
+} from "../sessions.js";
+
+// Refresh tokens kept in memory instead of MongoDB, covering just the queries
+// sessions.js makes
+const useMemoryTokens = () => {
+  const tokens = [];
+  const matches = (token, filter) => Object.entries(filter).every(([field, value]) =>
+    field === 'revoked_at' && value === null ? !token.revoked_at : String(token[field]) === String(value));
+
+  mock.method(RefreshToken, 'create', async (fields) => {
+    const token = { _id: new mongoose.Types.ObjectId(), ...fields };
+    tokens.push(token);
+    return token;
+  });
+
+  mock.method(RefreshToken, 'findOne', async (filter) => {
+    const token = tokens.find(candidate => matches(candidate, filter));
+    return token ? { ...token } : null;
+  });
+
+  mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const token = tokens.find(candidate => matches(candidate, filter));
+    if (!token) return null;
+    const before = { ...token };
+    Object.assign(token, update);
+    return before;
+  });
+
+  mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    tokens.filter(token => matches(token, filter)).forEach(token => Object.assign(token, update));
+  });
+
+  mock.method(RefreshToken, 'deleteOne', async (filter) => {
+    tokens.splice(tokens.findIndex(token => matches(token, filter)), 1);
+  });
+
+  return tokens;
+};
+
+// Just enough of an Express request and response to carry the refresh cookie
+const fakeRequest = (token) => ({
+  cookies: token ? { [REFRESH_COOKIE]: token } : {},
+  ip: '10.0.0.1',
+  get: () => 'test-agent'
+});
+
+const fakeResponse = () => {
+  const res = { cookies: {}, cleared: [] };
+  res.cookie = (name, value) => {
+    res.cookies[name] = value;
+  };
+  res.clearCookie = (name) => {
+    res.cleared.push(name);
+  };
+  return res;
+};
+
+const USER_ID = new mongoose.Types.ObjectId();
+
+// Log in and resolve with the refresh token the browser was given
+const logIn = async (userId = USER_ID) => {
+  const res = fakeResponse();
+  await startSession(fakeRequest(), res, userId, 'client');
+  return res.cookies[REFRESH_COOKIE];
+};
+
+// Refresh with `token`, resolving with the replacement token
+const refresh = async (token) => {
+  const res = fakeResponse();
+  await rotateSession(fakeRequest(token), res);
+  return res.cookies[REFRESH_COOKIE];
+};
+
+let tokens;
+
+beforeEach(() => {
+  tokens = useMemoryTokens();
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('rotateSession', () => {
+  test('swaps the token for a new one and retires the old', async () => {
+    const token = await logIn();
+
+    const newToken = await refresh(token);
+
+    assert.ok(newToken);
+    assert.notEqual(newToken, token);
+    assert.equal(tokens.length, 2);
+    assert.equal(tokens[0].revokedReason, 'rotated');
+    assert.equal(tokens[1].family, tokens[0].family);
+    assert.equal(tokens[1].activeRole, 'client');
+    assert.ok(await refresh(newToken));
+  });
+
+  test('treats the old token coming back straight away as a race', async () => {
+    const token = await logIn();
+    const newToken = await refresh(token);
+    mock.timers.tick(5 * 1000);
+
+    await assert.rejects(refresh(token), { code: 'REFRESH_RACE' });
+    assert.ok(await refresh(newToken));
+  });
+
+  test('ends the whole session when an old token comes back later', async () => {
+    const token = await logIn();
+    const newToken = await refresh(token);
+    mock.timers.tick(10 * 1000);
+
+    await assert.rejects(refresh(token), { code: 'REFRESH_TOKEN_REUSED', userId: USER_ID });
+    await assert.rejects(refresh(newToken), { code: 'REFRESH_TOKEN_REUSED' });
+    assert.ok(tokens.every(record => record.revoked_at));
+  });
+
+  test('leaves other sessions alone when one is replayed', async () => {
+    const stolen = await logIn();
+    const otherDevice = await logIn();
+    await refresh(stolen);
+    mock.timers.tick(60 * 1000);
+
+    await assert.rejects(refresh(stolen), { code: 'REFRESH_TOKEN_REUSED' });
+    assert.ok(await refresh(otherDevice));
+  });
+
+  test('refuses missing, unknown and expired tokens', async () => {
+    await assert.rejects(refresh(undefined), { code: 'NO_REFRESH_TOKEN' });
+    await assert.rejects(refresh('made-up'), { code: 'INVALID_REFRESH_TOKEN' });
+
+    const token = await logIn();
+    mock.timers.tick(31 * 24 * 60 * 60 * 1000);
+    await assert.rejects(refresh(token), { code: 'REFRESH_TOKEN_EXPIRED' });
+  });
+});
+
+describe('ending sessions', () => {
+  test('logging out revokes the token and clears the cookie', async () => {
+    const token = await logIn();
+    const res = fakeResponse();
+
+    const record = await endSession(fakeRequest(token), res);
+
+    assert.equal(String(record.user), String(USER_ID));
+    assert.deepEqual(res.cleared, [REFRESH_COOKIE]);
+    assert.equal(tokens[0].revokedReason, 'logout');
+    await assert.rejects(refresh(token), { code: 'REFRESH_TOKEN_REUSED' });
+  });
+
+  test('logging out without a cookie just clears it', async () => {
+    const res = fakeResponse();
+
+    assert.equal(await endSession(fakeRequest(), res), null);
+    assert.deepEqual(res.cleared, [REFRESH_COOKIE]);
+  });
+
+  test('revokeAllSessions ends every session of one user only', async () => {
+    const laptop = await logIn();
+    const phone = await logIn();
+    const someoneElse = await logIn(new mongoose.Types.ObjectId());
+
+    await revokeAllSessions(USER_ID, 'password_reset');
+
+    await assert.rejects(refresh(laptop), { code: 'REFRESH_TOKEN_REUSED' });
+    await assert.rejects(refresh(phone), { code: 'REFRESH_TOKEN_REUSED' });
+    assert.ok(await refresh(someoneElse));
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import {
+  setStorage,
+  newFileKey,
+  contentTypeFor,
+  isValidFileKey,
+  isPublicKey,
+  readFile,
+  removeFiles
+} from "../storage/index.js";
+import { createLocalDriver } from "../storage/localDriver.js";
+
+// A storage driver keeping files in a Map; deleting "broken/..." keys fails
+const createMemoryDriver = () => {
+  const files = new Map();
+  return {
+    files,
+    async put(key, body) {
+      files.set(key, body);
+    },
+    async getStream(key) {
+      return Readable.from([files.get(key)]);
+    },
+    async delete(key) {
+      if (key.startsWith('broken/')) throw new Error('Cannot delete');
+      files.delete(key);
+    }
+  };
+};
+
+describe('file keys', () => {
+  test('accepts the keys uploads are stored under', () => {
+    assert.equal(isValidFileKey(newFileKey('resume', 'application/pdf')), true);
+    assert.match(newFileKey('resume', 'application/pdf'), /^resumes\/\d+-\d+\.pdf$/);
+    assert.equal(isValidFileKey('avatars/1712345678-123'), true);
+  });
+
+  test('take the extension from the checked type, never the file name', () => {
+    assert.match(newFileKey('attachment', 'image/jpeg'), /^attachments\/\d+-\d+\.jpg$/);
+    assert.match(newFileKey('attachment', 'image/svg+xml'), /^attachments\/\d+-\d+$/);
+    assert.match(newFileKey('attachment', 'text/html'), /^attachments\/\d+-\d+$/);
+    assert.equal(contentTypeFor('uploads/photo.JPEG'), 'image/jpeg');
+    assert.equal(contentTypeFor('uploads/page.html'), undefined);
+  });
+
+  test('refuses keys that could reach other files', () => {
+    for (const key of ['avatars/../resumes/x.pdf', 'avatars/..', 'avatars//x', 'avatars/.env', 'etc/passwd', 'resumes/a\\b', '', undefined]) {
+      assert.equal(isValidFileKey(key), false, `${key} should be refused`);
+    }
+  });
+
+  test('only avatars are public', () => {
+    assert.equal(isPublicKey('avatars/1-2-small.webp'), true);
+    assert.equal(isPublicKey('resumes/1-2.pdf'), false);
+    assert.equal(isPublicKey('avatars/../resumes/1-2.pdf'), false);
+  });
+});
+
+describe('stored files', () => {
+  let driver;
+
+  beforeEach(() => {
+    driver = createMemoryDriver();
+    setStorage(driver);
+  });
+
+  test('readFile returns the whole file', async () => {
+    await driver.put('resumes/1-2.pdf', Buffer.from('%PDF-1.7'));
+
+    assert.equal((await readFile('resumes/1-2.pdf')).toString(), '%PDF-1.7');
+  });
+
+  test('removeFiles removes what it can and skips blank keys', async () => {
+    await driver.put('attachments/1.pdf', Buffer.from('a'));
+    await driver.put('attachments/2.pdf', Buffer.from('b'));
+
+    await removeFiles(['attachments/1.pdf', undefined, 'broken/3.pdf', 'attachments/2.pdf']);
+
+    assert.equal(driver.files.size, 0);
+  });
+});
+
+describe('local driver', () => {
+  let root;
+  let driver;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'impearl-storage-'));
+    driver = createLocalDriver({ root });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  // Just enough of an Express response to see the headers serve sets
+  const serve = async (key, options) => {
+    const res = { headers: {} };
+    res.set = (name, value) => {
+      res.headers[name] = value;
+      return res;
+    };
+    res.attachment = (filename) => {
+      res.headers['Content-Disposition'] = filename ? `attachment; filename="${filename}"` : 'attachment';
+      return res;
+    };
+    res.sendFile = (filePath) => {
+      res.sentFile = filePath;
+    };
+    await driver.serve(key, res, options);
+    return res;
+  };
+
+  test('serves files as downloads the browser may not sniff', async () => {
+    await driver.put('attachments/1-2', Buffer.from('<script>alert(1)</script>'));
+
+    const res = await serve('attachments/1-2');
+
+    assert.equal(res.headers['X-Content-Type-Options'], 'nosniff');
+    assert.equal(res.headers['Content-Disposition'], 'attachment');
+    assert.equal(res.sentFile, path.join(root, 'attachments/1-2'));
+  });
+
+  test('shows a file in the page only when asked to', async () => {
+    await driver.put('avatars/1-2-small.webp', Buffer.from('RIFF'));
+
+    const res = await serve('avatars/1-2-small.webp', { inline: true });
+
+    assert.equal(res.headers['X-Content-Type-Options'], 'nosniff');
+    assert.equal(res.headers['Content-Disposition'], undefined);
+  });
+});
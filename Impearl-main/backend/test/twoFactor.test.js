@@ -0,0 +1,113 @@
+import { describe, test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  RECOVERY_CODE_COUNT,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifyTwoFactorCode
+} from "../twoFactor.js";
+
+process.env.TWO_FACTOR_SECRET_KEY ||= 'test-two-factor-key';
+
+const PERIOD_MS = 30 * 1000;
+
+// RFC 6238 codes worked out independently of twoFactor.js, the way an
+// authenticator app would from the setup secret
+const base32ToBuffer = (text) => {
+  const bits = [...text].map(char => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0')).join('');
+  return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+};
+
+const codeAt = (secret, time) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / PERIOD_MS)));
+  const hmac = crypto.createHmac('sha1', base32ToBuffer(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1e6).padStart(6, '0');
+};
+
+// A user who has just turned 2FA on, with their secret and recovery codes
+const enrolledUser = async () => {
+  const user = { email: 'someone@example.com', twoFactor: {} };
+  const { secret } = await beginTwoFactorSetup(user);
+  const recoveryCodes = confirmTwoFactorSetup(user, codeAt(secret, Date.now()));
+  return { user, secret, recoveryCodes };
+};
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:10Z') });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+describe('two-factor setup', () => {
+  test('turns 2FA on with a code from the new secret', async () => {
+    const { user, secret, recoveryCodes } = await enrolledUser();
+
+    assert.equal(user.twoFactor.enabled, true);
+    assert.equal(recoveryCodes.length, RECOVERY_CODE_COUNT);
+    // Only hashes are kept, never the codes or the plain secret
+    assert.ok(recoveryCodes.every(code => !user.twoFactor.recoveryCodes.includes(code)));
+    assert.ok(!user.twoFactor.secret.includes(secret));
+  });
+
+  test('stays off with a wrong code', async () => {
+    const user = { email: 'someone@example.com', twoFactor: {} };
+    const { secret } = await beginTwoFactorSetup(user);
+
+    assert.equal(confirmTwoFactorSetup(user, codeAt(secret, Date.now() + 5 * PERIOD_MS)), null);
+    assert.equal(confirmTwoFactorSetup(user, 'abcdef'), null);
+    assert.notEqual(user.twoFactor.enabled, true);
+  });
+});
+
+describe('verifyTwoFactorCode', () => {
+  test('accepts the current code', async () => {
+    const { user, secret } = await enrolledUser();
+    mock.timers.tick(PERIOD_MS);
+
+    assert.equal(verifyTwoFactorCode(user, codeAt(secret, Date.now())), 'totp');
+  });
+
+  test('refuses a code that was already used', async () => {
+    const { user, secret } = await enrolledUser();
+    mock.timers.tick(PERIOD_MS);
+    const code = codeAt(secret, Date.now());
+
+    assert.equal(verifyTwoFactorCode(user, code), 'totp');
+    assert.equal(verifyTwoFactorCode(user, code), null);
+  });
+
+  test('refuses codes from before the last one used', async () => {
+    const { user, secret } = await enrolledUser();
+    mock.timers.tick(2 * PERIOD_MS);
+
+    assert.equal(verifyTwoFactorCode(user, codeAt(secret, Date.now())), 'totp');
+    assert.equal(verifyTwoFactorCode(user, codeAt(secret, Date.now() - PERIOD_MS)), null);
+  });
+
+  test('allows one step of clock drift, but no more', async () => {
+    const { user, secret } = await enrolledUser();
+    mock.timers.tick(5 * PERIOD_MS);
+
+    assert.equal(verifyTwoFactorCode(user, codeAt(secret, Date.now() - 2 * PERIOD_MS)), null);
+    assert.equal(verifyTwoFactorCode(user, codeAt(secret, Date.now() + 2 * PERIOD_MS)), null);
+    assert.equal(verifyTwoFactorCode(user, codeAt(secret, Date.now() - PERIOD_MS)), 'totp');
+  });
+
+  test('uses up a recovery code, however it is typed', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+    const [code] = recoveryCodes;
+
+    assert.equal(verifyTwoFactorCode(user, ` ${code.toUpperCase().replace(/-/g, '')} `), 'recovery');
+    assert.equal(verifyTwoFactorCode(user, code), null);
+    assert.equal(user.twoFactor.recoveryCodes.length, RECOVERY_CODE_COUNT - 1);
+  });
+
+  test('refuses everything while 2FA is off', async () => {
+    assert.equal(verifyTwoFactorCode({ twoFactor: { enabled: false } }, '123456'), null);
+  });
+});
@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+
+// Time-based one-time passwords (RFC 6238) as authenticator apps generate
+// them: 6 digits from HMAC-SHA1 over 30-second steps
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Codes from one step either side still count, for clocks that drift
+const TOTP_DRIFT_STEPS = 1;
+const TOTP_PATTERN = new RegExp(`^\\d{${TOTP_DIGITS}}$`);
+
+export const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Impearl';
+export const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// Secrets are kept encrypted (AES-256-GCM) so a database dump alone can't
+// produce codes
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_SECRET_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const number = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(number).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+// The time step `code` belongs to, or null. Steps at or before `lastUsedStep`
+// are refused so an observed code can't be replayed.
+const matchTotp = (secret, code, lastUsedStep = -1) => {
+  const now = currentStep();
+  for (let step = now - TOTP_DRIFT_STEPS; step <= now + TOTP_DRIFT_STEPS; step++) {
+    if (step <= lastUsedStep) continue;
+    const expected = totpAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+  }
+  return null;
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// "k3m9-x2p7-qa"-style codes; users type them when their phone is lost
+const newRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${raw.slice(0, 4)}-${raw.slice(4, 8)}-${raw.slice(8)}`;
+});
+
+// Start enrolling `user`: a new secret waits in pendingSecret until a code
+// from it confirms the app is set up. Resolves with what the app needs.
+export const beginTwoFactorSetup = async (user) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+
+  const otpauthUrl = `otpauth://totp/${encodeURIComponent(`${TWO_FACTOR_ISSUER}:${user.email}`)}`
+    + `?secret=${secret}&issuer=${encodeURIComponent(TWO_FACTOR_ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Turn 2FA on if `code` comes from the pending secret. Returns the new
+// recovery codes (shown once, only their hashes are kept), or null.
+export const confirmTwoFactorSetup = (user, code) => {
+  const { pendingSecret } = user.twoFactor;
+  const digits = String(code).replace(/\s/g, '');
+  if (!pendingSecret || !TOTP_PATTERN.test(digits)) return null;
+
+  const step = matchTotp(decryptSecret(pendingSecret), digits);
+  if (step === null) return null;
+
+  const recoveryCodes = newRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: pendingSecret,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    lastUsedStep: step,
+    enabled_at: Date.now()
+  };
+  return recoveryCodes;
+};
+
+// Replace a user's recovery codes, returning the new ones
+export const regenerateRecoveryCodes = (user) => {
+  const recoveryCodes = newRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  return recoveryCodes;
+};
+
+export const disableTwoFactor = (user) => {
+  user.twoFactor = { enabled: false };
+};
+
+// Check a code from the user's app, or one of their recovery codes (used up
+// by this). Returns 'totp', 'recovery' or null; save the user afterwards.
+export const verifyTwoFactorCode = (user, code) => {
+  if (!user.twoFactor?.enabled || typeof code !== 'string') return null;
+
+  const digits = code.replace(/\s/g, '');
+  if (TOTP_PATTERN.test(digits)) {
+    const step = matchTotp(decryptSecret(user.twoFactor.secret), digits, user.twoFactor.lastUsedStep);
+    if (step === null) return null;
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = hashRecoveryCode(code);
+  const index = user.twoFactor.recoveryCodes.indexOf(hash);
+  if (index === -1) return null;
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  return 'recovery';
+};
@@ -0,0 +1,159 @@
+import archiver from "archiver";
+import User from "./models/User.js";
+import Job from "./models/Job.js";
+import Proposal from "./models/Proposal.js";
+import Order from "./models/Order.js";
+import Milestone from "./models/Milestone.js";
+import LedgerEntry from "./models/LedgerEntry.js";
+import Conversation from "./models/Conversation.js";
+import Message from "./models/Message.js";
+import Notification from "./models/Notification.js";
+import PortfolioItem from "./models/PortfolioItem.js";
+import Review from "./models/Review.js";
+import RefreshToken from "./models/RefreshToken.js";
+import PasswordResetToken from "./models/PasswordResetToken.js";
+import AuditEvent from "./models/AuditEvent.js";
+import { sendMail } from "./mailer.js";
+import { getStorage, removeFiles } from "./storage/index.js";
+import { avatarKeys } from "./images.js";
+import { USER_ACTIVITY_FIELDS, recordAuditEvent } from "./audit.js";
+
+// Days between asking to delete an account and it actually being removed
+export const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Orders still in progress. Another party depends on them, so an account
+// with any can't be deleted.
+export const countOpenOrders = (userId) => Order.countDocuments({
+  $or: [{ client: userId }, { freelancer: userId }],
+  status: { $nin: ['completed', 'cancelled'] }
+});
+
+// Never part of an export - secrets and internal bookkeeping
+const PRIVATE_USER_FIELDS = '-password -email_verification_sent_at -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -twoFactor.lastUsedStep';
+
+// Everything stored about a user, keyed by collection
+const collectRecords = async (userId) => {
+  const orders = await Order.find({ $or: [{ client: userId }, { freelancer: userId }] });
+  const conversations = await Conversation.find({ participants: userId });
+
+  return {
+    user: await User.findById(userId).select(PRIVATE_USER_FIELDS),
+    jobs: await Job.find({ client: userId }),
+    proposals: await Proposal.find({ freelancer: userId }),
+    orders,
+    milestones: await Milestone.find({ order: { $in: orders.map(order => order._id) } }),
+    ledger: await LedgerEntry.find({ user: userId }),
+    conversations,
+    messages: await Message.find({ conversation: { $in: conversations.map(c => c._id) } }),
+    notifications: await Notification.find({ user: userId }),
+    portfolio: await PortfolioItem.find({ freelancer: userId }),
+    reviewsWritten: await Review.find({ reviewer: userId }),
+    reviewsReceived: await Review.find({ reviewee: userId, revealed_at: { $ne: null } }),
+    activity: await AuditEvent.find({ user: userId }).select(USER_ACTIVITY_FIELDS)
+  };
+};
+
+// Storage keys of the files this user uploaded themselves
+const collectUserFiles = async (userId, records) => {
+  const { user, proposals, orders, milestones, messages, portfolio } = records;
+  const freelancerOrderIds = new Set(orders
+    .filter(order => order.freelancer.equals(userId))
+    .map(order => order._id.toString()));
+
+  return [
+    ...avatarKeys(user?.profilePicture),
+    user?.resume,
+    ...proposals.map(proposal => proposal.attachment),
+    ...milestones
+      .filter(milestone => freelancerOrderIds.has(milestone.order.toString()))
+      .map(milestone => milestone.submission?.attachment),
+    ...messages
+      .filter(message => message.sender.equals(userId))
+      .map(message => message.attachment),
+    ...portfolio.flatMap(item => item.attachments.map(attachment => attachment.path))
+  ].filter(Boolean);
+};
+
+// Stream a zip of the user's data (data.json) and uploaded files (files/)
+export const streamExport = async (userId, output) => {
+  const records = await collectRecords(userId);
+  const files = await collectUserFiles(userId, records);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(output);
+
+  archive.append(JSON.stringify({ exported_at: new Date(), ...records }, null, 2), { name: 'data.json' });
+  for (const key of new Set(files)) {
+    try {
+      archive.append(await getStorage().getStream(key), { name: `files/${key}` });
+    } catch (error) {
+      console.error(`Skipping missing file ${key} in export:`, error.message);
+    }
+  }
+
+  await archive.finalize();
+};
+
+// Remove an account for good: the user document, their private records and
+// every file they uploaded. Orders, messages, reviews and ledger entries are
+// shared with other people (or are financial records) and stay, with their
+// attachments removed. The audit log is append-only and keeps its entries.
+export const purgeAccount = async (userId) => {
+  const records = await collectRecords(userId);
+  const files = await collectUserFiles(userId, records);
+
+  // Open jobs can't be hired for any more
+  await Job.updateMany(
+    { client: userId, status: 'open' },
+    { status: 'closed', closed_at: Date.now(), updated_at: Date.now() }
+  );
+  // Accepted proposals back an order; the rest can go
+  await Proposal.deleteMany({ freelancer: userId, status: { $ne: 'accepted' } });
+  await Proposal.updateMany({ freelancer: userId }, { $unset: { attachment: '' } });
+  await Message.updateMany({ sender: userId }, { $unset: { attachment: '' } });
+  await Milestone.updateMany(
+    { _id: { $in: records.milestones.map(milestone => milestone._id) }, 'submission.attachment': { $in: files } },
+    { $unset: { 'submission.attachment': '' } }
+  );
+
+  await Promise.all([
+    PortfolioItem.deleteMany({ freelancer: userId }),
+    Notification.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    PasswordResetToken.deleteMany({ user: userId }),
+    User.deleteOne({ _id: userId })
+  ]);
+
+  await removeFiles(files);
+};
+
+// Purge every account whose grace period has run out
+export const purgeDueAccounts = async () => {
+  const due = await User.find({ deletion_scheduled_at: { $lte: new Date() } }).select('email name');
+
+  for (const user of due) {
+    // An order may have been started during the grace period - keep the account
+    if (await countOpenOrders(user._id) > 0) {
+      await User.updateOne(
+        { _id: user._id },
+        { $unset: { deletion_requested_at: '', deletion_scheduled_at: '' }, updated_at: Date.now() }
+      );
+      recordAuditEvent(null, 'account_deletion_cancelled', { user, details: { reason: 'open_orders' } });
+      sendMail({
+        to: user.email,
+        subject: 'Your Impearl account was not deleted',
+        text: `Hi ${user.name},\n\nWe couldn't delete your Impearl account because it has orders in progress. Once they are completed or cancelled you can ask for the deletion again from your account settings:\n${FRONTEND_URL}/settings/account`
+      }).catch(err => console.error("Error sending deletion email:", err));
+      continue;
+    }
+
+    await purgeAccount(user._id);
+    sendMail({
+      to: user.email,
+      subject: 'Your Impearl account has been deleted',
+      text: `Hi ${user.name},\n\nAs requested, your Impearl account and the files you uploaded have been permanently deleted.\n\n${FRONTEND_URL}`
+    }).catch(err => console.error("Error sending deletion email:", err));
+  }
+};
@@ -0,0 +1,42 @@
+import { validate, hasErrors } from "@impearl/shared/validation";
+
+export { validate, hasErrors };
+
+// Every validation failure looks the same to the client: a 400 with one
+// message per bad field, plus a summary for screens that only show one line.
+export const sendValidationError = (res, errors) => res.status(400).json({
+  success: false,
+  message: Object.values(errors).join('. '),
+  code: 'VALIDATION_ERROR',
+  errors
+});
+
+// Middleware checking `req.params`, `req.query` and `req.body` against the
+// given schemas. The body is replaced by its cleaned values; params and query
+// are only checked (Express recomputes req.query on every read), so routes
+// still convert those themselves. A body schema that depends on the request
+// can be given as a function of it. `onInvalid(req)` runs before the 400 is
+// sent, e.g. to remove files multer already stored.
+export const validateRequest = ({ params, query, body }, { partial, strict, onInvalid } = {}) =>
+  async (req, res, next) => {
+    const errors = {};
+    if (params) Object.assign(errors, validate(params, req.params).errors);
+    if (query) Object.assign(errors, validate(query, req.query).errors);
+    if (body) {
+      const bodySchema = typeof body === 'function' ? body(req) : body;
+      const result = validate(bodySchema, req.body, { partial, strict });
+      Object.assign(errors, result.errors);
+      req.body = result.values;
+    }
+
+    if (!hasErrors(errors)) return next();
+
+    if (onInvalid) {
+      try {
+        await onInvalid(req);
+      } catch (err) {
+        console.error("Error cleaning up invalid request:", err);
+      }
+    }
+    sendValidationError(res, errors);
+  };
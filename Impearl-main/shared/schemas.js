@@ -0,0 +1,70 @@
+// Field rules for the signup and profile forms. The API validates requests
+// with these and the forms check input against them before submitting, so
+// both sides agree on what a valid profile is.
+import { field } from './validation.js';
+
+// Experience buckets offered at signup, from least to most
+export const EXPERIENCE_LEVELS = ['0-1', '1-3', '3-5', '5-10', '10+'];
+
+// Company size options offered at client signup
+export const COMPANY_SIZES = ['1-10', '10-50', '50-100', '100+'];
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_SKILLS = 30;
+
+export const nameField = field.string({ required: true, maxLength: 100 });
+export const emailField = field.email({ required: true });
+export const passwordField = field.string({
+  required: true,
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: 128,
+  trim: false
+});
+
+// Everything a client or freelancer profile holds, by role
+export const clientProfileSchema = {
+  businessName: field.string({ required: true, maxLength: 100 }),
+  businessType: field.string({ required: true, maxLength: 100 }),
+  companySize: field.oneOf(COMPANY_SIZES, { required: true }),
+  address: field.string({ required: true, maxLength: 200 })
+};
+
+export const freelancerProfileSchema = {
+  skills: field.list(field.string({ maxLength: 50 }), {
+    required: true,
+    minItems: 1,
+    maxItems: MAX_SKILLS,
+    split: true,
+    label: 'Skills'
+  }),
+  experience: field.oneOf(EXPERIENCE_LEVELS, { required: true, label: 'Years of experience' })
+};
+
+export const roleProfileSchemas = {
+  client: clientProfileSchema,
+  freelancer: freelancerProfileSchema
+};
+
+// Adding a client or freelancer profile to an existing account: the role,
+// plus the profile fields that role's signup form asks for
+export const addRoleSchema = (role) => ({
+  role: field.oneOf(Object.keys(roleProfileSchemas), { required: true }),
+  ...roleProfileSchemas[role]
+});
+
+export const bioField = field.string({ maxLength: 2000, label: 'About' });
+
+export const clientSignupSchema = {
+  name: nameField,
+  email: emailField,
+  password: passwordField,
+  ...clientProfileSchema
+};
+
+export const freelancerSignupSchema = {
+  name: nameField,
+  email: emailField,
+  password: passwordField,
+  ...freelancerProfileSchema,
+  bio: bioField
+};
@@ -0,0 +1,192 @@
+// Declarative validation shared by the API and the React forms. A schema maps
+// each field to a rule built with `field`:
+//
+//   const signupSchema = {
+//     email: field.email({ required: true }),
+//     companySize: field.oneOf(COMPANY_SIZES, { required: true })
+//   };
+//
+//   const { values, errors } = validate(signupSchema, req.body);
+//
+// `values` holds the cleaned fields (trimmed, numbers and dates converted);
+// `errors` maps each bad field to one message, ready to show next to it.
+// No dependencies, so the browser bundle and Node load the same file.
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// "companySize" -> "Company size"
+const labelFor = (name) => {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const isBlank = (value) => value === undefined || value === null
+  || (typeof value === 'string' && value.trim() === '');
+
+// Each rule's parse(value, label) returns { value } or { error }. `empty` is
+// what a blank optional field becomes (left out when undefined).
+const rule = (options, parse, empty) => ({ ...options, parse, empty });
+
+const string = ({ minLength, maxLength, pattern, patternMessage, trim = true, ...options } = {}) =>
+  rule(options, (raw, label) => {
+    if (typeof raw !== 'string') return { error: `${label} must be text` };
+    const value = trim ? raw.trim() : raw;
+    if (minLength && value.length < minLength) {
+      return { error: `${label} must be at least ${minLength} characters` };
+    }
+    if (maxLength && value.length > maxLength) {
+      return { error: `${label} must be at most ${maxLength} characters` };
+    }
+    if (pattern && !pattern.test(value)) {
+      return { error: patternMessage || `${label} is not valid` };
+    }
+    return { value };
+  }, '');
+
+const email = (options = {}) => rule(options, (raw, label) => {
+  if (typeof raw !== 'string') return { error: `${label} must be text` };
+  const value = raw.trim().toLowerCase();
+  if (value.length > 254 || !EMAIL_PATTERN.test(value)) {
+    return { error: `${label} must be a valid email address` };
+  }
+  return { value };
+});
+
+const url = (options = {}) => rule(options, (raw, label) => {
+  if (typeof raw !== 'string') return { error: `${label} must be text` };
+  const value = raw.trim();
+  try {
+    const { protocol } = new URL(value);
+    if (protocol === 'http:' || protocol === 'https:') return { value };
+  } catch {
+    // fall through
+  }
+  return { error: `${label} must be a valid http(s) link` };
+});
+
+const oneOf = (values, options = {}) => rule(options, (raw, label) => {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+  if (!values.includes(value)) {
+    return { error: `${label} must be one of: ${values.join(', ')}` };
+  }
+  return { value };
+});
+
+// Form and query values arrive as strings, so "12" is accepted as 12
+const number = ({ min, max, integer = false, ...options } = {}) =>
+  rule(options, (raw, label) => {
+    const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: `${label} must be a number` };
+    }
+    if (integer && !Number.isInteger(value)) {
+      return { error: `${label} must be a whole number` };
+    }
+    if (min !== undefined && value < min) {
+      return { error: `${label} must be at least ${min}` };
+    }
+    if (max !== undefined && value > max) {
+      return { error: `${label} must be at most ${max}` };
+    }
+    return { value };
+  });
+
+const boolean = (options = {}) => rule(options, (raw, label) => {
+  if (raw === true || raw === 'true') return { value: true };
+  if (raw === false || raw === 'false') return { value: false };
+  return { error: `${label} must be true or false` };
+});
+
+const date = (options = {}) => rule(options, (raw, label) => {
+  const value = raw instanceof Date ? raw : new Date(raw);
+  if (typeof raw === 'boolean' || Number.isNaN(value.getTime())) {
+    return { error: `${label} must be a valid date` };
+  }
+  return { value };
+}, null);
+
+const objectId = (options = {}) => rule(options, (raw, label) => {
+  if (typeof raw !== 'string' || !OBJECT_ID_PATTERN.test(raw)) {
+    return { error: `${label} is not a valid id` };
+  }
+  return { value: raw };
+});
+
+// A plain JSON object whose contents the route checks itself
+const object = (options = {}) => rule(options, (raw, label) => {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    return { error: `${label} must be an object` };
+  }
+  return { value: raw };
+});
+
+// An array of `item` values. A single form value counts as a list of one, or
+// as comma-separated entries ("react, node") with `split`; blank entries are
+// dropped.
+const list = (item, { minItems, maxItems, split = false, ...options } = {}) =>
+  rule(options, (raw, label) => {
+    const entries = (Array.isArray(raw) ? raw : split && typeof raw === 'string' ? raw.split(',') : [raw])
+      .filter(entry => !isBlank(entry));
+    if (minItems && entries.length < minItems) {
+      return { error: `${label} must have at least ${minItems} ${minItems === 1 ? 'entry' : 'entries'}` };
+    }
+    if (maxItems && entries.length > maxItems) {
+      return { error: `${label} can have at most ${maxItems} entries` };
+    }
+
+    const value = [];
+    for (const [index, entry] of entries.entries()) {
+      const result = item.parse(entry, `${label} #${index + 1}`);
+      if (result.error) return result;
+      value.push(result.value);
+    }
+    return { value };
+  }, []);
+
+export const field = { string, email, url, oneOf, number, boolean, date, objectId, object, list };
+
+// Check `input` against `schema`. Every rule accepts `required`, `label` (for
+// messages) and `check(value, values)`, which may return an extra error
+// message. Fields not in the schema are left out of `values`, or reported as
+// errors with `strict`. With `partial`, missing required fields are fine (an
+// update that leaves them alone) but blanking one out is not.
+export const validate = (schema, input = {}, { partial = false, strict = false } = {}) => {
+  const values = {};
+  const errors = {};
+  const source = input || {};
+
+  for (const [name, fieldRule] of Object.entries(schema)) {
+    const label = fieldRule.label || labelFor(name);
+    const raw = source[name];
+
+    if (isBlank(raw)) {
+      if (!fieldRule.required) {
+        if (raw !== undefined && fieldRule.empty !== undefined) values[name] = fieldRule.empty;
+      } else if (!partial) {
+        errors[name] = `${label} is required`;
+      } else if (raw !== undefined) {
+        errors[name] = `${label} cannot be empty`;
+      }
+      continue;
+    }
+
+    const result = fieldRule.parse(raw, label);
+    const message = result.error || fieldRule.check?.(result.value, values);
+    if (message) {
+      errors[name] = message;
+    } else {
+      values[name] = result.value;
+    }
+  }
+
+  if (strict) {
+    for (const name of Object.keys(source)) {
+      if (!(name in schema)) errors[name] = `${labelFor(name)} can't be set here`;
+    }
+  }
+
+  return { values, errors };
+};
+
+export const hasErrors = (errors) => Object.keys(errors).length > 0;
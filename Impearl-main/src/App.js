@@ -12,6 +12,19 @@ import ClientSignup from "./pages/client_signup";
 import ClientDashboard from "./pages/client_dashboard";
 import FreelancerSignup from "./pages/freelancer_signup";
 import FreelancerDashboard from "./pages/freelancer_dashboard";
+import JobBoard from "./pages/job_board";
+import Orders from "./pages/orders";
+import Payments from "./pages/payments";
+import Messages from "./pages/messages";
+import NotificationSettings from "./pages/notification_settings";
+import ForgotPassword from "./pages/forgot_password";
+import ResetPassword from "./pages/reset_password";
+import VerifyEmail from "./pages/verify_email";
+import AdminConsole from "./pages/admin";
+import FindTalent from "./pages/find_talent";
+import FreelancerProfile from "./pages/freelancer_profile";
+import AccountSettings from "./pages/account_settings";
+import TwoFactorPrompt from "./components/two_factor_prompt";
 
 function App() {
   return (
@@ -36,9 +49,23 @@ function App() {
           <Route path="/freelancer_signup" element={<FreelancerSignup />} />
           <Route path="/login" element={<Login />} />
           <Route path="/login_page" element={<LoginPage />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/admin" element={<AdminConsole />} />
+          <Route path="/talent" element={<FindTalent />} />
+          <Route path="/freelancers/:id" element={<FreelancerProfile />} />
+          <Route path="/settings/account" element={<AccountSettings />} />
           <Route path="/client-dashboard" element={<ClientDashboard />} />
           <Route path="/freelancer-dashboard" element={<FreelancerDashboard />} />
+          <Route path="/jobs" element={<JobBoard />} />
+          <Route path="/orders" element={<Orders />} />
+          <Route path="/payments" element={<Payments />} />
+          <Route path="/messages" element={<Messages />} />
+          <Route path="/settings/notifications" element={<NotificationSettings />} />
         </Routes>
+
+        <TwoFactorPrompt />
       </div>
     </Router>
   );
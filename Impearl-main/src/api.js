@@ -0,0 +1,118 @@
+// Backend API URL
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Refreshes share one request so parallel API calls don't each rotate the
+// refresh token (the server would treat the second rotation as token reuse).
+let refreshPromise = null;
+
+// Trade the httpOnly refresh cookie for a new access token. Resolves with the
+// new token, or null if the session is over.
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const response = await fetch(`${API_URL}/api/refresh`, {
+          method: 'POST',
+          credentials: 'include'
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok && data.token) {
+          localStorage.setItem('token', data.token);
+          return data.token;
+        }
+        // Another tab refreshed at the same moment; its new cookie is ours too
+        if (data.code !== 'REFRESH_RACE') break;
+      }
+      return null;
+    })()
+      .catch(() => null)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+// fetch() for authenticated API calls. If the access token has expired it is
+// refreshed once and the request retried with the new token.
+export async function authFetch(url, options = {}) {
+  const withToken = (token) => ({
+    ...options,
+    credentials: 'include',
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  const response = await fetch(url, withToken(localStorage.getItem('token')));
+  if (response.status !== 401 && response.status !== 403) {
+    return response;
+  }
+
+  // 403 is also used for "wrong account type" - only refresh for token problems
+  if (response.status === 403) {
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.code !== 'TOKEN_EXPIRED') {
+      return response;
+    }
+  }
+
+  const token = await refreshAccessToken();
+  if (!token) {
+    return response;
+  }
+  return fetch(url, withToken(token));
+}
+
+// Asks the user for a 2FA code; set by the TwoFactorPrompt dialog mounted in
+// App. Called with { invalid } (whether the last code was wrong) and resolves
+// with the code entered, or null if they cancelled.
+let askForTwoFactorCode = null;
+
+export function setTwoFactorPrompt(prompt) {
+  askForTwoFactorCode = prompt;
+}
+
+// authFetch() for sensitive actions. Accounts with 2FA on are asked for a
+// code, and the request is repeated with it until it passes or they cancel.
+export async function authFetchWithTwoFactor(url, options = {}) {
+  let response = await authFetch(url, options);
+
+  while (response.status === 403 && askForTwoFactorCode) {
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.code !== 'TWO_FACTOR_REQUIRED' && data.code !== 'TWO_FACTOR_INVALID') {
+      break;
+    }
+
+    const code = await askForTwoFactorCode({ invalid: data.code === 'TWO_FACTOR_INVALID' });
+    if (!code) {
+      break;
+    }
+
+    response = await authFetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        'X-Two-Factor-Code': code
+      }
+    });
+  }
+
+  return response;
+}
+
+// Revoke the session on the server and forget it locally
+export async function logout() {
+  try {
+    await fetch(`${API_URL}/api/logout`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+  } finally {
+    localStorage.clear();
+  }
+}
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { validate, hasErrors } from '@impearl/shared/validation';
+import { addRoleSchema, COMPANY_SIZES } from '@impearl/shared/schemas';
+import { API_URL, authFetch } from '../api';
+import './profile_editor.css';
+
+// Same options as the signup forms
+const EXPERIENCE_OPTIONS = [
+  { value: '0-1', label: 'Less than 1 year' },
+  { value: '1-3', label: '1-3 years' },
+  { value: '3-5', label: '3-5 years' },
+  { value: '5-10', label: '5-10 years' },
+  { value: '10+', label: '10+ years' }
+];
+
+const EMPTY_FIELDS = {
+  client: { businessName: '', businessType: '', companySize: '', address: '' },
+  freelancer: { skills: '', experience: '' }
+};
+
+// Adds a client or freelancer profile to the signed-in account - the fields
+// that role's signup form would have asked for. Calls onAdded with the
+// server's { token, user } once the account has switched to the new role.
+export default function AddRoleForm({ role, account, onAdded, onCancel }) {
+  const [form, setForm] = useState(EMPTY_FIELDS[role]);
+  const [profilePicture, setProfilePicture] = useState(null);
+  const [resume, setResume] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    // Same rules the API checks
+    const { errors } = validate(addRoleSchema(role), { role, ...form });
+    if (hasErrors(errors)) {
+      setError(Object.values(errors).join('. '));
+      return;
+    }
+    setSaving(true);
+
+    try {
+      const submitData = new FormData();
+      submitData.append('role', role);
+      Object.entries(form).forEach(([field, value]) => submitData.append(field, value));
+      if (profilePicture) {
+        submitData.append('profilePicture', profilePicture);
+      }
+      if (resume) {
+        submitData.append('resume', resume);
+      }
+
+      const response = await authFetch(`${API_URL}/api/me/roles`, {
+        method: 'POST',
+        body: submitData
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        onAdded(data);
+      } else {
+        setError(data.message || 'Failed to add profile');
+      }
+    } catch (err) {
+      console.error('Error adding profile:', err);
+      setError('An error occurred. Please try again later.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="profile-editor">
+      {error && (
+        <div style={{ color: 'red', padding: '10px', marginBottom: '15px', backgroundColor: '#ffe6e6', borderRadius: '5px' }}>
+          {error}
+        </div>
+      )}
+
+      {role === 'client' ? (
+        <>
+          <label htmlFor="addRoleBusinessName">Business Name *</label>
+          <input type="text" id="addRoleBusinessName" name="businessName" value={form.businessName} onChange={handleChange} required />
+
+          <label htmlFor="addRoleBusinessType">Business Type *</label>
+          <input type="text" id="addRoleBusinessType" name="businessType" value={form.businessType} onChange={handleChange} required />
+
+          <label htmlFor="addRoleCompanySize">Company Size *</label>
+          <select id="addRoleCompanySize" name="companySize" value={form.companySize} onChange={handleChange} required>
+            <option value="">Select...</option>
+            {COMPANY_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+
+          <label htmlFor="addRoleAddress">Address *</label>
+          <input type="text" id="addRoleAddress" name="address" value={form.address} onChange={handleChange} required />
+        </>
+      ) : (
+        <>
+          <label htmlFor="addRoleSkills">Skills/Expertise *</label>
+          <input
+            type="text"
+            id="addRoleSkills"
+            name="skills"
+            value={form.skills}
+            onChange={handleChange}
+            placeholder="e.g., Web Development, Graphic Design"
+            required
+          />
+
+          <label htmlFor="addRoleExperience">Years of Experience *</label>
+          <select id="addRoleExperience" name="experience" value={form.experience} onChange={handleChange} required>
+            <option value="">Select...</option>
+            {EXPERIENCE_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+          </select>
+
+          {!account.profilePicture && (
+            <>
+              <label htmlFor="addRoleProfilePicture">Profile Picture *</label>
+              <input
+                type="file"
+                id="addRoleProfilePicture"
+                accept="image/*"
+                onChange={(e) => setProfilePicture(e.target.files[0] || null)}
+                required
+              />
+            </>
+          )}
+
+          <label htmlFor="addRoleResume">Resume (PDF, DOC, DOCX) *</label>
+          <input
+            type="file"
+            id="addRoleResume"
+            accept=".pdf,.doc,.docx"
+            onChange={(e) => setResume(e.target.files[0] || null)}
+            required
+          />
+        </>
+      )}
+
+      <div className="bio-actions">
+        <button type="submit" className="btn-save" disabled={saving}>
+          {saving ? 'Adding...' : 'Add Profile'}
+        </button>
+        <button type="button" onClick={onCancel} className="btn-cancel">Cancel</button>
+      </div>
+    </form>
+  );
+}
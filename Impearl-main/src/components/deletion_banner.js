@@ -0,0 +1,14 @@
+import React from 'react';
+import './verification_banner.css';
+
+// Shown while the account is in its deletion grace period
+export default function DeletionBanner({ scheduledFor }) {
+  return (
+    <div className="verification-banner">
+      <span>
+        Your account is scheduled for deletion on {new Date(scheduledFor).toLocaleDateString()}.
+      </span>
+      <a href="/settings/account" className="verification-banner-btn">Cancel deletion</a>
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+import React from 'react';
+import './field_error.css';
+
+// The message for one form field, shown under its input. Renders nothing
+// while the field is valid.
+export default function FieldError({ message }) {
+  if (!message) return null;
+  return <div className="field-error" role="alert">{message}</div>;
+}
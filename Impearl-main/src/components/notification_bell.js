@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { connectRealtime } from '../realtime';
+import { API_URL, authFetch } from '../api';
+import './notification_bell.css';
+
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    fetchNotifications();
+
+    const disconnect = connectRealtime((event) => {
+      if (event.type === 'notification:new') {
+        setNotifications(prev => [event.notification, ...prev].slice(0, 20));
+      } else if (event.type === 'notification:count') {
+        setUnreadCount(event.count);
+      }
+    });
+    return disconnect;
+  }, []);
+
+  const fetchNotifications = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) return;
+
+      const response = await authFetch(`${API_URL}/api/notifications`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setNotifications(data.notifications);
+        setUnreadCount(data.unreadCount);
+      }
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  const handleClick = async (notification) => {
+    setOpen(false);
+
+    if (!notification.read_at) {
+      setNotifications(prev => prev.map(n => n._id === notification._id ? { ...n, read_at: new Date().toISOString() } : n));
+      try {
+        const token = localStorage.getItem('token');
+        const response = await authFetch(`${API_URL}/api/notifications/${notification._id}/read`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setUnreadCount(data.unreadCount);
+        }
+      } catch (error) {
+        console.error('Error marking notification read:', error);
+      }
+    }
+
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/notifications/read-all`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.ok) {
+        setUnreadCount(0);
+        setNotifications(prev => prev.map(n => n.read_at ? n : { ...n, read_at: new Date().toISOString() }));
+      }
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  return (
+    <div className="notification-bell">
+      <button onClick={() => setOpen(!open)} className="notification-bell-button" aria-label="Notifications">
+        🔔
+        {unreadCount > 0 && <span className="notification-bell-count">{unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-feed">
+          <div className="notification-feed-header">
+            <strong>Notifications</strong>
+            <div>
+              {unreadCount > 0 && (
+                <button onClick={handleMarkAllRead} className="notification-feed-link">Mark all read</button>
+              )}
+              <button
+                onClick={() => {
+                  setOpen(false);
+                  navigate('/settings/notifications');
+                }}
+                className="notification-feed-link"
+              >
+                Settings
+              </button>
+            </div>
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="notification-feed-empty">You're all caught up.</p>
+          ) : (
+            notifications.map(notification => (
+              <button
+                key={notification._id}
+                onClick={() => handleClick(notification)}
+                className={`notification-item ${notification.read_at ? '' : 'unread'}`}
+              >
+                <strong>{notification.title}</strong>
+                {notification.body && <span>{notification.body}</span>}
+                <span className="notification-time">{new Date(notification.created_at).toLocaleString()}</span>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL, authFetch } from '../api';
+import { Stars } from './review_list';
+import './reviews.css';
+
+// Review section on a completed order. Reviews are double-blind: the other
+// party's review only shows up once both are in or the window closes.
+export default function OrderReview({ orderId, otherPartyName }) {
+  const [state, setState] = useState(null);
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchReviews();
+  }, [orderId]);
+
+  const fetchReviews = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/api/orders/${orderId}/reviews`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setState(data);
+      }
+    } catch (err) {
+      console.error('Error fetching order reviews:', err);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!rating) {
+      setError('Please choose a star rating');
+      return;
+    }
+
+    try {
+      const response = await authFetch(`${API_URL}/api/orders/${orderId}/reviews`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ rating, comment })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        alert(data.message);
+        fetchReviews();
+      } else {
+        setError(data.message || 'Failed to save review');
+      }
+    } catch (err) {
+      console.error('Error saving review:', err);
+      setError('An error occurred. Please try again later.');
+    }
+  };
+
+  if (!state) return null;
+
+  return (
+    <div className="order-review">
+      {state.canReview && (
+        <form onSubmit={handleSubmit} className="review-form">
+          <strong>How was working with {otherPartyName}?</strong>
+          {error && (
+            <div style={{ color: 'red', padding: '10px', backgroundColor: '#ffe6e6', borderRadius: '5px' }}>
+              {error}
+            </div>
+          )}
+          <div className="review-star-picker">
+            {[1, 2, 3, 4, 5].map(value => (
+              <button
+                type="button"
+                key={value}
+                onClick={() => {
+                  setRating(value);
+                  setError('');
+                }}
+                className={value <= rating ? 'active' : ''}
+                aria-label={`${value} star${value === 1 ? '' : 's'}`}
+              >
+                ★
+              </button>
+            ))}
+          </div>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows="3"
+            maxLength="2000"
+            className="bio-textarea"
+            placeholder="Share details of your experience..."
+          />
+          <span className="review-meta">
+            {state.theyReviewed
+              ? `${otherPartyName} has already left a review - you'll both see each other's once you submit.`
+              : `Your review stays hidden from ${otherPartyName} until they review you or the window closes on ${new Date(state.deadline).toLocaleDateString()}.`}
+          </span>
+          <div className="bio-actions">
+            <button type="submit" className="btn-save">Submit Review</button>
+          </div>
+        </form>
+      )}
+
+      {state.myReview && (
+        <div className="review">
+          <div className="review-header">
+            <strong>Your review</strong>
+            <Stars rating={state.myReview.rating} />
+          </div>
+          {state.myReview.comment && <p className="review-comment">{state.myReview.comment}</p>}
+          {!state.myReview.revealed_at && (
+            <span className="review-meta">Hidden until {otherPartyName} reviews you or the window closes.</span>
+          )}
+        </div>
+      )}
+
+      {state.theirReview ? (
+        <div className="review">
+          <div className="review-header">
+            <strong>{otherPartyName}'s review</strong>
+            <Stars rating={state.theirReview.rating} />
+          </div>
+          {state.theirReview.comment && <p className="review-comment">{state.theirReview.comment}</p>}
+          {state.theirReview.reply?.body && (
+            <div className="review-reply">
+              <strong>Response</strong>
+              <p>{state.theirReview.reply.body}</p>
+            </div>
+          )}
+        </div>
+      ) : state.myReview && !state.theyReviewed && (
+        <span className="review-meta">{otherPartyName} hasn't left a review yet.</span>
+      )}
+    </div>
+  );
+}
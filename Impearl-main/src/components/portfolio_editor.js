@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL, authFetch } from '../api';
+import PortfolioProject from './portfolio_project';
+import './portfolio.css';
+
+const emptyForm = {
+  title: '',
+  description: '',
+  links: '',
+  files: [],
+  removeAttachments: []
+};
+
+// Dashboard section where freelancers add, edit, reorder and delete projects
+export default function PortfolioEditor() {
+  const [items, setItems] = useState([]);
+  const [editingId, setEditingId] = useState(null);  // item id, 'new', or null when closed
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPortfolio();
+  }, []);
+
+  const fetchPortfolio = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/api/freelancer/portfolio`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setItems(data.portfolio);
+      }
+    } catch (err) {
+      console.error('Error fetching portfolio:', err);
+    }
+  };
+
+  const openForm = (item) => {
+    setEditingId(item ? item._id : 'new');
+    setForm(item ? {
+      title: item.title,
+      description: item.description || '',
+      links: item.links.join('\n'),
+      files: [],
+      removeAttachments: []
+    } : emptyForm);
+    setError('');
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setError('');
+  };
+
+  const handleChange = (e) => {
+    const { name, value, files } = e.target;
+
+    if (name === 'files') {
+      setForm(prev => ({ ...prev, files: Array.from(files) }));
+    } else {
+      setForm(prev => ({ ...prev, [name]: value }));
+    }
+    setError('');
+  };
+
+  const toggleRemoveAttachment = (attachmentId) => {
+    setForm(prev => ({
+      ...prev,
+      removeAttachments: prev.removeAttachments.includes(attachmentId)
+        ? prev.removeAttachments.filter(id => id !== attachmentId)
+        : [...prev.removeAttachments, attachmentId]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const submitData = new FormData();
+      submitData.append('title', form.title);
+      submitData.append('description', form.description);
+      form.links.split('\n').map(link => link.trim()).filter(Boolean)
+        .forEach(link => submitData.append('links', link));
+      form.files.forEach(file => submitData.append('portfolioFiles', file));
+      form.removeAttachments.forEach(id => submitData.append('removeAttachments', id));
+
+      const isNew = editingId === 'new';
+      const response = await authFetch(
+        isNew ? `${API_URL}/api/freelancer/portfolio` : `${API_URL}/api/freelancer/portfolio/${editingId}`,
+        {
+          method: isNew ? 'POST' : 'PUT',
+          body: submitData
+        }
+      );
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setItems(prev => isNew
+          ? [...prev, data.item]
+          : prev.map(item => item._id === data.item._id ? data.item : item));
+        closeForm();
+      } else {
+        setError(data.message || 'Failed to save project');
+      }
+    } catch (err) {
+      console.error('Error saving portfolio project:', err);
+      setError('An error occurred. Please try again later.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (itemId) => {
+    if (!window.confirm('Delete this project from your portfolio?')) return;
+
+    try {
+      const response = await authFetch(`${API_URL}/api/freelancer/portfolio/${itemId}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setItems(prev => prev.filter(item => item._id !== itemId));
+      } else {
+        alert(data.message || 'Failed to delete project');
+      }
+    } catch (err) {
+      console.error('Error deleting portfolio project:', err);
+      alert('Failed to delete project');
+    }
+  };
+
+  const moveItem = async (index, direction) => {
+    const reordered = [...items];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, moved);
+    setItems(reordered);
+
+    try {
+      const response = await authFetch(`${API_URL}/api/freelancer/portfolio/reorder`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ order: reordered.map(item => item._id) })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setItems(data.portfolio);
+      } else {
+        fetchPortfolio();
+      }
+    } catch (err) {
+      console.error('Error reordering portfolio:', err);
+      fetchPortfolio();
+    }
+  };
+
+  const editingItem = items.find(item => item._id === editingId);
+
+  return (
+    <div className="proposals-section">
+      <div className="proposals-card">
+        <div className="proposals-header">
+          <h3>Portfolio</h3>
+          {!editingId && (
+            <button onClick={() => openForm(null)} className="btn-edit">Add Project</button>
+          )}
+        </div>
+
+        {editingId && (
+          <form onSubmit={handleSubmit} className="portfolio-form">
+            {error && (
+              <div style={{ color: 'red', padding: '10px', marginBottom: '15px', backgroundColor: '#ffe6e6', borderRadius: '5px' }}>
+                {error}
+              </div>
+            )}
+
+            <label htmlFor="portfolioTitle">Title *</label>
+            <input
+              type="text"
+              id="portfolioTitle"
+              name="title"
+              value={form.title}
+              onChange={handleChange}
+              maxLength="100"
+              required
+            />
+
+            <label htmlFor="portfolioDescription">Description</label>
+            <textarea
+              id="portfolioDescription"
+              name="description"
+              value={form.description}
+              onChange={handleChange}
+              rows="4"
+              maxLength="2000"
+              className="bio-textarea"
+              placeholder="What was the project and what did you do?"
+            />
+
+            <label htmlFor="portfolioLinks">Links (one per line)</label>
+            <textarea
+              id="portfolioLinks"
+              name="links"
+              value={form.links}
+              onChange={handleChange}
+              rows="2"
+              className="bio-textarea"
+              placeholder="https://example.com"
+            />
+
+            {editingItem?.attachments.length > 0 && (
+              <div className="portfolio-form-attachments">
+                <span>Current files (click to remove):</span>
+                {editingItem.attachments.map(attachment => (
+                  <button
+                    type="button"
+                    key={attachment._id}
+                    onClick={() => toggleRemoveAttachment(attachment._id)}
+                    className={form.removeAttachments.includes(attachment._id) ? 'removed' : ''}
+                  >
+                    {attachment.originalName || 'Attachment'}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <label htmlFor="portfolioFiles">Add images or PDFs</label>
+            <input
+              type="file"
+              id="portfolioFiles"
+              name="files"
+              accept="image/*,.pdf"
+              multiple
+              onChange={handleChange}
+            />
+
+            <div className="bio-actions">
+              <button type="submit" className="btn-save" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Project'}
+              </button>
+              <button type="button" onClick={closeForm} className="btn-cancel">Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {items.length === 0 ? (
+          <p className="proposals-empty">Show clients your best work by adding projects to your portfolio.</p>
+        ) : (
+          items.map((item, index) => (
+            <PortfolioProject key={item._id} item={item}>
+              <div className="portfolio-project-actions">
+                <button onClick={() => moveItem(index, -1)} disabled={index === 0} title="Move up">↑</button>
+                <button onClick={() => moveItem(index, 1)} disabled={index === items.length - 1} title="Move down">↓</button>
+                <button onClick={() => openForm(item)}>Edit</button>
+                <button onClick={() => handleDelete(item._id)}>Delete</button>
+              </div>
+            </PortfolioProject>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
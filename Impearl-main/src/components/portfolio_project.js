@@ -0,0 +1,47 @@
+import React from 'react';
+import './portfolio.css';
+
+// One portfolio entry: title, description, links and image/PDF attachments.
+// `children` is rendered in the header, e.g. edit controls on the dashboard.
+export default function PortfolioProject({ item, children }) {
+  return (
+    <div className="portfolio-project">
+      <div className="portfolio-project-header">
+        <h4>{item.title}</h4>
+        {children}
+      </div>
+
+      {item.description && <p className="portfolio-project-description">{item.description}</p>}
+
+      {item.links.length > 0 && (
+        <ul className="portfolio-project-links">
+          {item.links.map(link => (
+            <li key={link}>
+              <a href={link} target="_blank" rel="noopener noreferrer">{link}</a>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {item.attachments.length > 0 && (
+        <div className="portfolio-project-attachments">
+          {item.attachments.map(attachment => (
+            <a
+              key={attachment._id}
+              href={attachment.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="portfolio-attachment"
+            >
+              {attachment.mimeType?.startsWith('image/') ? (
+                <img src={attachment.url} alt={attachment.originalName || item.title} />
+              ) : (
+                <span className="portfolio-attachment-file">{attachment.originalName || 'PDF'}</span>
+              )}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { API_URL, authFetch, authFetchWithTwoFactor } from '../api';
+import ResumeSuggestions, { mergeSkills } from './resume_suggestions';
+import './profile_editor.css';
+
+// Same options as the signup forms
+const COMPANY_SIZES = ['1-10', '10-50', '50-100', '100+'];
+const EXPERIENCE_OPTIONS = [
+  { value: '0-1', label: 'Less than 1 year' },
+  { value: '1-3', label: '1-3 years' },
+  { value: '3-5', label: '3-5 years' },
+  { value: '5-10', label: '5-10 years' },
+  { value: '10+', label: '10+ years' }
+];
+
+// Fields each role edits, matching what PATCH /api/me accepts
+const fieldsFor = (user, userType) => userType === 'client'
+  ? {
+    name: user.name || '',
+    businessName: user.businessName || '',
+    businessType: user.businessType || '',
+    companySize: user.companySize || '',
+    address: user.address || '',
+    bio: user.bio || ''
+  }
+  : {
+    name: user.name || '',
+    skills: (user.skills || []).join(', '),
+    experience: user.experience || '',
+    bio: user.bio || ''
+  };
+
+// Edit form for everything a user can change after signup. Calls onSaved
+// with the updated profile from the server.
+export default function ProfileEditor({ user, userType, onSaved, onCancel }) {
+  const [form, setForm] = useState(() => fieldsFor(user, userType));
+  const [resume, setResume] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [suggestions, setSuggestions] = useState(null);
+  const [readingResume, setReadingResume] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  // Suggestions come from the newly chosen resume, or the one on file
+  const fetchSuggestions = async () => {
+    setReadingResume(true);
+    setError('');
+
+    try {
+      let response;
+      if (resume) {
+        const resumeData = new FormData();
+        resumeData.append('resume', resume);
+        response = await fetch(`${API_URL}/api/resume/suggestions`, {
+          method: 'POST',
+          body: resumeData
+        });
+      } else {
+        response = await authFetch(`${API_URL}/api/me/resume/suggestions`);
+      }
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setSuggestions(data.suggestions);
+      } else {
+        setError(data.message || 'Failed to read resume');
+      }
+    } catch (err) {
+      console.error('Error reading resume:', err);
+      setError('An error occurred. Please try again later.');
+    } finally {
+      setReadingResume(false);
+    }
+  };
+
+  const applySuggestions = ({ skills, experience, bio }) => {
+    setForm(prev => ({
+      ...prev,
+      skills: mergeSkills(prev.skills, skills),
+      experience: experience || prev.experience,
+      bio: bio || prev.bio
+    }));
+    setSuggestions(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const submitData = new FormData();
+      Object.entries(form).forEach(([field, value]) => submitData.append(field, value));
+      if (resume) {
+        submitData.append('resume', resume);
+      }
+
+      const response = await authFetchWithTwoFactor(`${API_URL}/api/me`, {
+        method: 'PATCH',
+        body: submitData
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        onSaved(data.user);
+        alert('Profile updated successfully!');
+      } else {
+        setError(data.message || 'Failed to update profile');
+      }
+    } catch (err) {
+      console.error('Error updating profile:', err);
+      setError('An error occurred. Please try again later.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="profile-editor">
+      {error && (
+        <div style={{ color: 'red', padding: '10px', marginBottom: '15px', backgroundColor: '#ffe6e6', borderRadius: '5px' }}>
+          {error}
+        </div>
+      )}
+
+      <label htmlFor="profileName">Name *</label>
+      <input type="text" id="profileName" name="name" value={form.name} onChange={handleChange} required />
+
+      {userType === 'client' ? (
+        <>
+          <label htmlFor="profileBusinessName">Business Name *</label>
+          <input type="text" id="profileBusinessName" name="businessName" value={form.businessName} onChange={handleChange} required />
+
+          <label htmlFor="profileBusinessType">Business Type *</label>
+          <input type="text" id="profileBusinessType" name="businessType" value={form.businessType} onChange={handleChange} required />
+
+          <label htmlFor="profileCompanySize">Company Size *</label>
+          <select id="profileCompanySize" name="companySize" value={form.companySize} onChange={handleChange} required>
+            <option value="">Select...</option>
+            {COMPANY_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+
+          <label htmlFor="profileAddress">Address *</label>
+          <input type="text" id="profileAddress" name="address" value={form.address} onChange={handleChange} required />
+        </>
+      ) : (
+        <>
+          <label htmlFor="profileSkills">Skills/Expertise *</label>
+          <input
+            type="text"
+            id="profileSkills"
+            name="skills"
+            value={form.skills}
+            onChange={handleChange}
+            placeholder="e.g., Web Development, Graphic Design"
+            required
+          />
+
+          <label htmlFor="profileExperience">Years of Experience *</label>
+          <select id="profileExperience" name="experience" value={form.experience} onChange={handleChange} required>
+            <option value="">Select...</option>
+            {EXPERIENCE_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+          </select>
+
+          <label htmlFor="profileResume">Replace Resume (PDF, DOC, DOCX)</label>
+          <input
+            type="file"
+            id="profileResume"
+            accept=".pdf,.doc,.docx"
+            onChange={(e) => {
+              setResume(e.target.files[0] || null);
+              setSuggestions(null);
+            }}
+          />
+
+          {suggestions ? (
+            <ResumeSuggestions
+              suggestions={suggestions}
+              onApply={applySuggestions}
+              onDismiss={() => setSuggestions(null)}
+            />
+          ) : (
+            <button
+              type="button"
+              onClick={fetchSuggestions}
+              disabled={readingResume || (!resume && !user.resume)}
+              className="resume-suggestion-trigger"
+            >
+              {readingResume ? 'Reading resume...' : 'Suggest from resume'}
+            </button>
+          )}
+        </>
+      )}
+
+      <label htmlFor="profileBio">{userType === 'client' ? 'About Your Company' : 'About Me'}</label>
+      <textarea
+        id="profileBio"
+        name="bio"
+        value={form.bio}
+        onChange={handleChange}
+        rows="6"
+        className="bio-textarea"
+      />
+
+      <div className="bio-actions">
+        <button type="submit" className="btn-save" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" onClick={onCancel} className="btn-cancel">Cancel</button>
+      </div>
+    </form>
+  );
+}
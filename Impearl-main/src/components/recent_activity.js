@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL, authFetch } from '../api';
+import './recent_activity.css';
+
+const PAGE_SIZE = 10;
+
+// How each audit event reads in the list (see AUDIT_EVENTS on the server)
+const EVENT_LABELS = {
+  register: 'Account created',
+  login: 'Logged in',
+  login_failed: 'Failed login attempt',
+  logout: 'Logged out',
+  sessions_revoked: 'Logged out everywhere',
+  session_reuse_detected: 'Suspicious session reuse - signed out',
+  password_reset_requested: 'Password reset requested',
+  password_reset: 'Password changed',
+  email_verified: 'Email verified',
+  profile_updated: 'Profile updated',
+  profile_picture_changed: 'Profile picture changed',
+  role_added: 'Profile added',
+  two_factor_enabled: 'Two-factor authentication turned on',
+  two_factor_disabled: 'Two-factor authentication turned off',
+  recovery_codes_regenerated: 'New recovery codes created',
+  sso_linked: 'Single sign-on linked',
+  data_exported: 'Data downloaded',
+  account_deletion_requested: 'Account deletion requested',
+  account_deletion_cancelled: 'Account deletion cancelled',
+  account_suspended: 'Account suspended',
+  account_unsuspended: 'Account unsuspended'
+};
+
+const FAILURE_REASONS = {
+  wrong_password: 'wrong password',
+  two_factor: 'wrong two-factor code',
+  locked: 'account locked',
+  delayed: 'too many attempts',
+  suspended: 'account suspended'
+};
+
+const LOGIN_METHODS = {
+  password: 'with password',
+  two_factor: 'with password and two-factor code',
+  recovery_code: 'with a recovery code',
+  sso: 'with single sign-on'
+};
+
+// The extra detail shown after an event's label, if any
+const describeDetails = ({ event, details = {} }) => {
+  if (event === 'login') return LOGIN_METHODS[details.method];
+  if (event === 'login_failed') return FAILURE_REASONS[details.reason];
+  if (event === 'profile_updated') return details.fields?.join(', ');
+  if (event === 'role_added' || event === 'register') return details.role;
+  return null;
+};
+
+// "Chrome on Windows" from a user agent string, good enough to spot a stranger
+const describeDevice = (userAgent = '') => {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([token]) => userAgent.includes(token))?.[1];
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([token]) => userAgent.includes(token))?.[1];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+// The signed-in user's recent logins and security changes, newest first
+export default function RecentActivity() {
+  const [events, setEvents] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchActivity();
+  }, []);
+
+  const fetchActivity = async (before) => {
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (before) params.set('before', before);
+
+      const response = await authFetch(`${API_URL}/api/me/activity?${params}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setEvents(prev => before ? [...prev, ...data.events] : data.events);
+        setHasMore(data.hasMore);
+      }
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="recent-activity">
+      <h3>Recent Activity</h3>
+      <p className="recent-activity-hint">
+        Don't recognize something? <a href="/forgot-password">Change your password</a> and
+        turn on two-factor authentication in <a href="/settings/account">Account Settings</a>.
+      </p>
+
+      {loading ? (
+        <p className="recent-activity-empty">Loading...</p>
+      ) : events.length === 0 ? (
+        <p className="recent-activity-empty">No activity yet.</p>
+      ) : (
+        <ul className="recent-activity-list">
+          {events.map(event => {
+            const detail = describeDetails(event);
+            return (
+              <li
+                key={event._id}
+                className={`recent-activity-item ${event.event === 'login_failed' || event.event === 'session_reuse_detected' ? 'warning' : ''}`}
+              >
+                <div>
+                  <strong>{EVENT_LABELS[event.event] || event.event}</strong>
+                  {detail && <span className="recent-activity-detail"> · {detail}</span>}
+                </div>
+                <div className="recent-activity-meta">
+                  {new Date(event.created_at).toLocaleString()}
+                  {event.userAgent && ` · ${describeDevice(event.userAgent)}`}
+                  {event.ip && ` · ${event.ip}`}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {hasMore && (
+        <button
+          onClick={() => fetchActivity(events[events.length - 1].created_at)}
+          className="recent-activity-more"
+        >
+          Show more
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import './resume_suggestions.css';
+
+const EXPERIENCE_LABELS = {
+  '0-1': 'Less than 1 year',
+  '1-3': '1-3 years',
+  '3-5': '3-5 years',
+  '5-10': '5-10 years',
+  '10+': '10+ years'
+};
+
+// What we read from a resume, for the freelancer to pick from. onApply gets
+// { skills, experience, bio } with only the parts they kept (experience and
+// bio are omitted when unticked).
+export default function ResumeSuggestions({ suggestions, onApply, onDismiss }) {
+  const [skills, setSkills] = useState(suggestions.skills);
+  const [useExperience, setUseExperience] = useState(Boolean(suggestions.experience));
+  const [useBio, setUseBio] = useState(Boolean(suggestions.bio));
+  const [bio, setBio] = useState(suggestions.bio);
+
+  const nothingFound = suggestions.skills.length === 0 && !suggestions.experience && !suggestions.bio;
+
+  const toggleSkill = (skill) => {
+    setSkills(prev => prev.includes(skill) ? prev.filter(s => s !== skill) : [...prev, skill]);
+  };
+
+  const handleApply = () => {
+    const accepted = { skills };
+    if (useExperience) accepted.experience = suggestions.experience;
+    if (useBio && bio.trim()) accepted.bio = bio.trim();
+    onApply(accepted);
+  };
+
+  if (nothingFound) {
+    return (
+      <div className="resume-suggestions">
+        <p className="resume-suggestions-empty">We couldn't find anything to suggest in this resume.</p>
+        <button type="button" onClick={onDismiss} className="resume-suggestions-dismiss">Close</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="resume-suggestions">
+      <h4>Suggestions from your resume</h4>
+
+      {suggestions.skills.length > 0 && (
+        <div className="resume-suggestions-section">
+          <span className="resume-suggestions-label">Skills - click to leave one out</span>
+          <div className="resume-suggestions-skills">
+            {suggestions.skills.map(skill => (
+              <button
+                type="button"
+                key={skill}
+                onClick={() => toggleSkill(skill)}
+                className={`resume-suggestions-skill ${skills.includes(skill) ? 'selected' : ''}`}
+              >
+                {skill}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {suggestions.experience && (
+        <label className="resume-suggestions-check">
+          <input type="checkbox" checked={useExperience} onChange={(e) => setUseExperience(e.target.checked)} />
+          Experience: {EXPERIENCE_LABELS[suggestions.experience]}
+          {suggestions.years && ` (about ${suggestions.years} year${suggestions.years === 1 ? '' : 's'})`}
+        </label>
+      )}
+
+      {suggestions.bio && (
+        <div className="resume-suggestions-section">
+          <label className="resume-suggestions-check">
+            <input type="checkbox" checked={useBio} onChange={(e) => setUseBio(e.target.checked)} />
+            Use this as my bio
+          </label>
+          <textarea
+            value={bio}
+            onChange={(e) => setBio(e.target.value)}
+            rows="4"
+            disabled={!useBio}
+            className="resume-suggestions-bio"
+          />
+        </div>
+      )}
+
+      <div className="resume-suggestions-actions">
+        <button type="button" onClick={handleApply} className="resume-suggestions-apply">Use Suggestions</button>
+        <button type="button" onClick={onDismiss} className="resume-suggestions-dismiss">Dismiss</button>
+      </div>
+    </div>
+  );
+}
+
+// Add accepted skills to a comma-separated skills field, skipping ones already there
+export const mergeSkills = (current, added) => {
+  const existing = current.split(',').map(skill => skill.trim()).filter(Boolean);
+  const lower = existing.map(skill => skill.toLowerCase());
+  return [...existing, ...added.filter(skill => !lower.includes(skill.toLowerCase()))].join(', ');
+};
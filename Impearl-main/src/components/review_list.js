@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL, authFetch } from '../api';
+import './reviews.css';
+
+export function Stars({ rating }) {
+  const rounded = Math.round(rating);
+  return (
+    <span className="review-stars" title={`${rating} out of 5`}>
+      {'★'.repeat(rounded)}{'☆'.repeat(5 - rounded)}
+    </span>
+  );
+}
+
+// Revealed reviews about a user with their average rating. The freelancer
+// viewing their own reviews (canReply) can answer each one once.
+export default function ReviewList({ userId, canReply = false, title = 'Reviews' }) {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState({ ratingAverage: 0, ratingCount: 0 });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [replyingId, setReplyingId] = useState(null);
+  const [replyBody, setReplyBody] = useState('');
+
+  useEffect(() => {
+    if (userId) fetchReviews(1);
+  }, [userId]);
+
+  const fetchReviews = async (pageToLoad) => {
+    try {
+      const response = await fetch(`${API_URL}/api/users/${userId}/reviews?page=${pageToLoad}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setReviews(prev => pageToLoad === 1 ? data.reviews : [...prev, ...data.reviews]);
+        setSummary({ ratingAverage: data.ratingAverage, ratingCount: data.ratingCount });
+        setPage(pageToLoad);
+        setTotalPages(data.totalPages);
+      }
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await authFetch(`${API_URL}/api/reviews/${replyingId}/reply`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ body: replyBody })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setReviews(prev => prev.map(review => review._id === replyingId
+          ? { ...review, reply: data.review.reply }
+          : review));
+        setReplyingId(null);
+        setReplyBody('');
+      } else {
+        alert(data.message || 'Failed to post reply');
+      }
+    } catch (error) {
+      console.error('Error replying to review:', error);
+      alert('Failed to post reply');
+    }
+  };
+
+  return (
+    <div className="review-list">
+      <div className="review-list-header">
+        <h3>{title}</h3>
+        {summary.ratingCount > 0 && (
+          <span className="review-summary">
+            <Stars rating={summary.ratingAverage} /> {summary.ratingAverage.toFixed(1)} ({summary.ratingCount} review{summary.ratingCount === 1 ? '' : 's'})
+          </span>
+        )}
+      </div>
+
+      {reviews.length === 0 ? (
+        <p className="review-empty">No reviews yet.</p>
+      ) : (
+        reviews.map(review => (
+          <div key={review._id} className="review">
+            <div className="review-header">
+              <Stars rating={review.rating} />
+              <span className="review-meta">
+                {review.reviewer?.businessName || review.reviewer?.name || 'Former user'}
+                {review.order?.title && ` · ${review.order.title}`}
+                {` · ${new Date(review.revealed_at).toLocaleDateString()}`}
+              </span>
+            </div>
+            {review.comment && <p className="review-comment">{review.comment}</p>}
+
+            {review.reply?.body ? (
+              <div className="review-reply">
+                <strong>Response</strong>
+                <p>{review.reply.body}</p>
+              </div>
+            ) : canReply && (
+              replyingId === review._id ? (
+                <form onSubmit={handleReply} className="review-form">
+                  <textarea
+                    value={replyBody}
+                    onChange={(e) => setReplyBody(e.target.value)}
+                    rows="3"
+                    maxLength="2000"
+                    className="bio-textarea"
+                    placeholder="Your public response (you can only reply once)"
+                    required
+                  />
+                  <div className="bio-actions">
+                    <button type="submit" className="btn-save">Post Reply</button>
+                    <button type="button" onClick={() => setReplyingId(null)} className="btn-cancel">Cancel</button>
+                  </div>
+                </form>
+              ) : (
+                <button
+                  onClick={() => {
+                    setReplyingId(review._id);
+                    setReplyBody('');
+                  }}
+                  className="review-reply-btn"
+                >
+                  Reply
+                </button>
+              )
+            )}
+          </div>
+        ))
+      )}
+
+      {page < totalPages && (
+        <button onClick={() => fetchReviews(page + 1)} className="review-more">Show more reviews</button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { API_URL, authFetch } from '../api';
+import './role_switcher.css';
+
+const DASHBOARDS = {
+  client: '/client-dashboard',
+  freelancer: '/freelancer-dashboard'
+};
+
+// Save the session returned by POST /api/me/role or /api/me/roles
+export const storeActiveRole = (data) => {
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('user', JSON.stringify(data.user));
+};
+
+export const dashboardFor = (role) => DASHBOARDS[role] || '/dashboard';
+
+// Navbar button for accounts with both a client and a freelancer profile.
+// Renders nothing for everyone else.
+export default function RoleSwitcher() {
+  const navigate = useNavigate();
+  const [switching, setSwitching] = useState(false);
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const otherRole = user.userType === 'client' ? 'freelancer' : 'client';
+
+  if (!user.roles?.includes('client') || !user.roles?.includes('freelancer')) {
+    return null;
+  }
+
+  const handleSwitch = async () => {
+    setSwitching(true);
+
+    try {
+      const response = await authFetch(`${API_URL}/api/me/role`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ role: otherRole })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        storeActiveRole(data);
+        navigate(dashboardFor(otherRole));
+      } else {
+        alert(data.message || 'Failed to switch role');
+      }
+    } catch (err) {
+      console.error('Error switching role:', err);
+      alert('Failed to switch role');
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  return (
+    <button onClick={handleSwitch} className="role-switcher" disabled={switching}>
+      {switching ? 'Switching...' : `Switch to ${otherRole === 'client' ? 'Hiring' : 'Freelancing'}`}
+    </button>
+  );
+}
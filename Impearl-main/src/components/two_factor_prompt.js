@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { setTwoFactorPrompt } from '../api';
+import './two_factor_prompt.css';
+
+// Dialog asking for a code from the authenticator app when a sensitive action
+// needs one (see authFetchWithTwoFactor). Mounted once, in App.
+export default function TwoFactorPrompt() {
+  // { invalid, resolve } while a code is being asked for
+  const [request, setRequest] = useState(null);
+  const [code, setCode] = useState('');
+
+  useEffect(() => {
+    setTwoFactorPrompt(({ invalid }) => new Promise(resolve => {
+      setCode('');
+      setRequest({ invalid, resolve });
+    }));
+    return () => setTwoFactorPrompt(null);
+  }, []);
+
+  if (!request) {
+    return null;
+  }
+
+  const finish = (value) => {
+    request.resolve(value);
+    setRequest(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    finish(code.trim());
+  };
+
+  return (
+    <div
+      className="two-factor-prompt-backdrop"
+      onKeyDown={(e) => e.key === 'Escape' && finish(null)}
+    >
+      <form
+        className="two-factor-prompt"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="twoFactorPromptTitle"
+        onSubmit={handleSubmit}
+      >
+        <h2 id="twoFactorPromptTitle">Confirm it's you</h2>
+        <p className="subtitle">Enter the code from your authenticator app</p>
+
+        {request.invalid && (
+          <div className="two-factor-prompt-error">That code was not valid. Please try again.</div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="twoFactorPromptCode">Authentication code *</label>
+          <input
+            type="text"
+            id="twoFactorPromptCode"
+            name="twoFactorPromptCode"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            autoFocus
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+        </div>
+
+        <button type="submit" className="two-factor-prompt-btn" disabled={!code.trim()}>
+          Verify
+        </button>
+
+        <p className="subtitle">Lost your phone? Enter one of your recovery codes instead.</p>
+
+        <button type="button" className="two-factor-prompt-cancel" onClick={() => finish(null)}>
+          Cancel
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { API_URL, authFetch, authFetchWithTwoFactor } from '../api';
+import './two_factor_settings.css';
+
+// Turn two-factor login on or off for the signed-in account. Setup shows a QR
+// code for the authenticator app and, once a code from the app confirms it,
+// the recovery codes - the only time they are shown. Calls onChange with the
+// server's updated user.
+export default function TwoFactorSettings({ account, onChange }) {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { enabled, recoveryCodesLeft } = account.twoFactor || {};
+
+  const handleStart = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await authFetch(`${API_URL}/api/2fa/setup`, { method: 'POST' });
+      const data = await response.json();
+
+      if (response.ok) {
+        setSetup(data);
+        setRecoveryCodes(null);
+      } else {
+        setError(data.message || 'Failed to start two-factor setup');
+      }
+    } catch (err) {
+      console.error('Error starting two-factor setup:', err);
+      setError('An error occurred. Please try again later.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await authFetch(`${API_URL}/api/2fa/enable`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ code })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setSetup(null);
+        setCode('');
+        setRecoveryCodes(data.recoveryCodes);
+        onChange(data.user);
+      } else {
+        setError(data.message || 'Failed to turn on two-factor authentication');
+      }
+    } catch (err) {
+      console.error('Error enabling two-factor authentication:', err);
+      setError('An error occurred. Please try again later.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!window.confirm('Create new recovery codes? The ones you have now will stop working.')) return;
+    setError('');
+
+    try {
+      const response = await authFetchWithTwoFactor(`${API_URL}/api/2fa/recovery-codes`, { method: 'POST' });
+      const data = await response.json();
+
+      if (response.ok) {
+        setRecoveryCodes(data.recoveryCodes);
+        onChange(data.user);
+      } else {
+        setError(data.message || 'Failed to create new recovery codes');
+      }
+    } catch (err) {
+      console.error('Error regenerating recovery codes:', err);
+      setError('An error occurred. Please try again later.');
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn off two-factor authentication? Logging in will only need your password.')) return;
+    setError('');
+
+    try {
+      const response = await authFetchWithTwoFactor(`${API_URL}/api/2fa`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok) {
+        setRecoveryCodes(null);
+        onChange(data.user);
+        alert('Two-factor authentication is off');
+      } else {
+        setError(data.message || 'Failed to turn off two-factor authentication');
+      }
+    } catch (err) {
+      console.error('Error disabling two-factor authentication:', err);
+      setError('An error occurred. Please try again later.');
+    }
+  };
+
+  return (
+    <div className="two-factor-settings">
+      {error && (
+        <div style={{ color: 'red', padding: '10px', marginBottom: '15px', backgroundColor: '#ffe6e6', borderRadius: '5px' }}>
+          {error}
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="two-factor-recovery">
+          <p className="account-settings-text">
+            <strong>Save these recovery codes somewhere safe.</strong> Each one lets you log in once
+            if you lose your phone. They won't be shown again.
+          </p>
+          <ul className="two-factor-codes">
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+          <div className="order-actions">
+            <button onClick={() => setRecoveryCodes(null)} className="btn-save">I've Saved Them</button>
+          </div>
+        </div>
+      )}
+
+      {enabled ? (
+        <>
+          <p className="account-settings-text">
+            Two-factor authentication is <strong>on</strong>. Logging in, downloading your data, deleting
+            your account and withdrawing funds ask for a code from your authenticator app.
+            You have {recoveryCodesLeft} recovery codes left.
+          </p>
+          <div className="order-actions">
+            <button onClick={handleRegenerate} className="btn-edit">New Recovery Codes</button>
+            <button onClick={handleDisable} className="btn-cancel">Turn Off</button>
+          </div>
+        </>
+      ) : setup ? (
+        <form onSubmit={handleEnable}>
+          <p className="account-settings-text">
+            Scan this QR code with an authenticator app such as Google Authenticator or 1Password,
+            then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="two-factor-qr" />
+          <p className="account-settings-text">
+            Can't scan it? Enter this key instead: <code className="two-factor-secret">{setup.secret}</code>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => {
+              setCode(e.target.value);
+              setError('');
+            }}
+            placeholder="6-digit code"
+            className="account-settings-password"
+            required
+          />
+          <div className="order-actions">
+            <button type="submit" className="btn-save" disabled={saving}>
+              {saving ? 'Checking...' : 'Turn On'}
+            </button>
+            <button type="button" onClick={() => setSetup(null)} className="btn-cancel">Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <p className="account-settings-text">
+            Add a second step to logging in: a code from an authenticator app on your phone. Sensitive
+            actions like withdrawing funds will ask for one too.
+          </p>
+          <div className="order-actions">
+            <button onClick={handleStart} className="btn-edit" disabled={saving}>
+              {saving ? 'Preparing...' : 'Set Up Two-Factor Authentication'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
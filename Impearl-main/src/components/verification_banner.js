@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { API_URL, authFetch } from '../api';
+import './verification_banner.css';
+
+// Reminds unverified users to confirm their email, with a resend button
+export default function VerificationBanner({ email }) {
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+
+    try {
+      const response = await authFetch(`${API_URL}/api/email/resend-verification`, {
+        method: 'POST'
+      });
+
+      const data = await response.json();
+      setMessage(response.ok ? `Verification email sent to ${email}.` : data.message);
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      setMessage('Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verification-banner">
+      <span>
+        {message || `Please verify your email address (${email}) to post jobs and submit proposals.`}
+      </span>
+      <button onClick={handleResend} disabled={sending} className="verification-banner-btn">
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { API_URL, authFetch, authFetchWithTwoFactor, logout } from '../api';
+import NotificationBell from '../components/notification_bell';
+import RoleSwitcher, { storeActiveRole, dashboardFor } from '../components/role_switcher';
+import AddRoleForm from '../components/add_role_form';
+import TwoFactorSettings from '../components/two_factor_settings';
+import './client_dashboard.css';
+import './orders.css';
+
+export default function AccountSettings() {
+  const navigate = useNavigate();
+  const [account, setAccount] = useState(null);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [addingRole, setAddingRole] = useState(false);
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const dashboardPath = user.userType === 'freelancer' ? '/freelancer-dashboard' : '/client-dashboard';
+
+  useEffect(() => {
+    fetchAccount();
+  }, []);
+
+  const fetchAccount = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        navigate('/login');
+        return;
+      }
+
+      const response = await authFetch(`${API_URL}/api/me`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setAccount(data.user);
+      } else {
+        navigate('/login');
+      }
+    } catch (err) {
+      console.error('Error fetching account:', err);
+    }
+  };
+
+  // The new profile is active straight away
+  const handleRoleAdded = (data) => {
+    storeActiveRole(data);
+    alert(data.message);
+    navigate(dashboardFor(data.user.userType));
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+
+    try {
+      const response = await authFetchWithTwoFactor(`${API_URL}/api/me/export`);
+
+      if (!response.ok) {
+        alert('Failed to export your data');
+        return;
+      }
+
+      // Hand the zip to the browser as a download
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `impearl-export-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      alert('Failed to export your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!window.confirm('Delete your account? You can cancel during the grace period.')) return;
+
+    try {
+      const response = await authFetchWithTwoFactor(`${API_URL}/api/me/deletion`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ password })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setAccount(prev => ({ ...prev, deletion_scheduled_at: data.deletion_scheduled_at }));
+        setPassword('');
+      } else {
+        setError(data.message || 'Failed to delete account');
+      }
+    } catch (err) {
+      console.error('Error requesting account deletion:', err);
+      setError('An error occurred. Please try again later.');
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/api/me/deletion`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setAccount(prev => ({ ...prev, deletion_scheduled_at: null }));
+        alert('Account deletion cancelled');
+      } else {
+        alert(data.message || 'Failed to cancel deletion');
+      }
+    } catch (err) {
+      console.error('Error cancelling account deletion:', err);
+      alert('Failed to cancel deletion');
+    }
+  };
+
+  if (!account) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  // Clients can start freelancing and freelancers can start hiring on the same account
+  const missingRole = account.roles.includes('admin')
+    ? null
+    : ['client', 'freelancer'].find(role => !account.roles.includes(role));
+
+  return (
+    <div className="dashboard-container">
+      <div className="navbar">
+        <a href="/">
+          <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
+        </a>
+        <div className="navbar-links">
+          <NotificationBell />
+          <RoleSwitcher />
+          <a href={dashboardPath}>Dashboard</a>
+          <a href="/orders">Orders</a>
+          <a href="/messages">Messages</a>
+          <button onClick={async () => {
+            await logout();
+            navigate('/login');
+          }} className="logout-btn">Logout</button>
+        </div>
+      </div>
+
+      <div className="orders-page">
+        <h2>Account Settings</h2>
+
+        {!account.roles.includes('admin') && (
+          <div className="order-card">
+            <h3>Profiles</h3>
+            {missingRole ? (
+              <>
+                <p className="account-settings-text">
+                  {missingRole === 'freelancer'
+                    ? 'Want to take on work as well as hire? Add a freelancer profile to this account - no second email needed.'
+                    : 'Want to hire as well as freelance? Add a client profile to this account - no second email needed.'}
+                </p>
+                {addingRole ? (
+                  <AddRoleForm
+                    role={missingRole}
+                    account={account}
+                    onAdded={handleRoleAdded}
+                    onCancel={() => setAddingRole(false)}
+                  />
+                ) : (
+                  <div className="order-actions">
+                    <button onClick={() => setAddingRole(true)} className="btn-edit">
+                      Add {missingRole === 'freelancer' ? 'Freelancer' : 'Client'} Profile
+                    </button>
+                  </div>
+                )}
+              </>
+            ) : (
+              <p className="account-settings-text">
+                This account has both a client and a freelancer profile. You're currently{' '}
+                {account.userType === 'client' ? 'hiring' : 'freelancing'} - use the switch in the navbar to change.
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="order-card">
+          <h3>Two-factor authentication</h3>
+          <TwoFactorSettings account={account} onChange={setAccount} />
+        </div>
+
+        <div className="order-card">
+          <h3>Download your data</h3>
+          <p className="account-settings-text">
+            Get a zip file with your profile, jobs, proposals, orders, messages, reviews and every file you've uploaded.
+          </p>
+          <div className="order-actions">
+            <button onClick={handleExport} className="btn-edit" disabled={exporting}>
+              {exporting ? 'Preparing...' : 'Download My Data'}
+            </button>
+          </div>
+        </div>
+
+        <div className="order-card">
+          <h3>Delete your account</h3>
+          {account.deletion_scheduled_at ? (
+            <>
+              <p className="account-settings-text">
+                Your account is scheduled to be permanently deleted on{' '}
+                <strong>{new Date(account.deletion_scheduled_at).toLocaleDateString()}</strong>.
+                Until then you can still change your mind.
+              </p>
+              <div className="order-actions">
+                <button onClick={handleCancelDeletion} className="btn-save">Cancel Deletion</button>
+              </div>
+            </>
+          ) : (
+            <form onSubmit={handleDelete}>
+              <p className="account-settings-text">
+                Your profile, portfolio and uploaded files will be permanently removed after a grace period.
+                Orders, messages and reviews you share with others are kept without your files.
+              </p>
+              {error && (
+                <div style={{ color: 'red', padding: '10px', marginBottom: '15px', backgroundColor: '#ffe6e6', borderRadius: '5px' }}>
+                  {error}
+                </div>
+              )}
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => {
+                  setPassword(e.target.value);
+                  setError('');
+                }}
+                placeholder="Confirm your password"
+                className="account-settings-password"
+                required
+              />
+              <div className="order-actions">
+                <button type="submit" className="btn-cancel">Delete My Account</button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { API_URL, authFetch, logout } from '../api';
+import './client_dashboard.css';
+import './admin.css';
+
+export default function AdminConsole() {
+  const navigate = useNavigate();
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState({ q: '', userType: '', suspended: '' });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchUsers(page);
+  }, [page]);
+
+  const fetchUsers = async (pageToLoad) => {
+    try {
+      if (!localStorage.getItem('token')) {
+        navigate('/login');
+        return;
+      }
+
+      const params = new URLSearchParams({ page: pageToLoad, limit: 20 });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/admin/users?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setUsers(data.users);
+        setTotalPages(Math.max(data.totalPages, 1));
+        setTotal(data.total);
+      } else {
+        navigate('/login');
+      }
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (page === 1) {
+      fetchUsers(1);
+    } else {
+      setPage(1);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const viewUser = async (userId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/admin/users/${userId}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSelected({ ...data.user, stats: data.stats });
+      }
+    } catch (error) {
+      console.error('Error fetching user:', error);
+    }
+  };
+
+  const handleSuspension = async (user) => {
+    const action = user.suspended ? 'unsuspend' : 'suspend';
+    let reason;
+    if (action === 'suspend') {
+      reason = window.prompt(`Suspend ${user.email}? Enter a reason:`);
+      if (reason === null) return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/admin/users/${user._id}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ reason })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setUsers(prev => prev.map(u => u._id === user._id ? data.user : u));
+        setSelected(prev => prev && prev._id === user._id ? { ...data.user, stats: prev.stats } : prev);
+      } else {
+        alert(data.message || 'Failed to update user');
+      }
+    } catch (error) {
+      console.error('Error updating user:', error);
+      alert('Failed to update user');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="dashboard-container">
+      <div className="navbar">
+        <a href="/">
+          <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
+        </a>
+        <div className="navbar-links">
+          <a href="/admin">Users</a>
+          <button onClick={async () => {
+            await logout();
+            navigate('/login');
+          }} className="logout-btn">Logout</button>
+        </div>
+      </div>
+
+      <div className="admin-page">
+        <div className="admin-main">
+          <h2>Users <span className="admin-total">({total})</span></h2>
+
+          <form onSubmit={handleSearch} className="admin-filters">
+            <input
+              type="text"
+              name="q"
+              value={filters.q}
+              onChange={handleFilterChange}
+              placeholder="Search name, email or business..."
+            />
+            <select name="userType" value={filters.userType} onChange={handleFilterChange}>
+              <option value="">All roles</option>
+              <option value="client">Clients</option>
+              <option value="freelancer">Freelancers</option>
+              <option value="admin">Admins</option>
+            </select>
+            <select name="suspended" value={filters.suspended} onChange={handleFilterChange}>
+              <option value="">Any status</option>
+              <option value="false">Active</option>
+              <option value="true">Suspended</option>
+            </select>
+            <button type="submit" className="btn-save">Search</button>
+          </form>
+
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Roles</th>
+                <th>Joined</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(user => (
+                <tr
+                  key={user._id}
+                  onClick={() => viewUser(user._id)}
+                  className={selected?._id === user._id ? 'selected' : ''}
+                >
+                  <td>{user.name}</td>
+                  <td>{user.email}</td>
+                  <td>{user.roles.join(', ')}</td>
+                  <td>{new Date(user.created_at).toLocaleDateString()}</td>
+                  <td>{user.suspended ? 'Suspended' : 'Active'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {users.length === 0 && <p className="admin-empty">No users match these filters.</p>}
+
+          <div className="admin-pagination">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn-cancel">Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= totalPages} className="btn-cancel">Next</button>
+          </div>
+        </div>
+
+        {selected && (
+          <div className="admin-detail">
+            <h3>{selected.name}</h3>
+            <dl>
+              <dt>Email</dt>
+              <dd>{selected.email} {selected.emailVerified ? '(verified)' : '(unverified)'}</dd>
+              <dt>Roles</dt>
+              <dd>{selected.roles.join(', ')}</dd>
+              {selected.businessName && (
+                <>
+                  <dt>Business</dt>
+                  <dd>{selected.businessName} · {selected.businessType} · {selected.companySize}</dd>
+                </>
+              )}
+              {selected.address && (
+                <>
+                  <dt>Address</dt>
+                  <dd>{selected.address}</dd>
+                </>
+              )}
+              {selected.skills?.length > 0 && (
+                <>
+                  <dt>Skills</dt>
+                  <dd>{selected.skills.join(', ')}</dd>
+                </>
+              )}
+              {selected.experience && (
+                <>
+                  <dt>Experience</dt>
+                  <dd>{selected.experience}</dd>
+                </>
+              )}
+              {selected.bio && (
+                <>
+                  <dt>Bio</dt>
+                  <dd>{selected.bio}</dd>
+                </>
+              )}
+              <dt>Activity</dt>
+              <dd>
+                {selected.stats.jobCount} jobs · {selected.stats.proposalCount} proposals · {selected.stats.orderCount} orders
+              </dd>
+              <dt>Joined</dt>
+              <dd>{new Date(selected.created_at).toLocaleString()}</dd>
+              {selected.suspended && (
+                <>
+                  <dt>Suspended</dt>
+                  <dd>
+                    {new Date(selected.suspended_at).toLocaleString()}
+                    {selected.suspendedReason && ` - ${selected.suspendedReason}`}
+                  </dd>
+                </>
+              )}
+            </dl>
+
+            {!selected.roles.includes('admin') && (
+              <button
+                onClick={() => handleSuspension(selected)}
+                className={selected.suspended ? 'btn-save' : 'btn-cancel'}
+              >
+                {selected.suspended ? 'Unsuspend User' : 'Suspend User'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { connectRealtime } from '../realtime';
+import { API_URL, authFetch, authFetchWithTwoFactor, logout } from '../api';
+import NotificationBell from '../components/notification_bell';
+import RoleSwitcher from '../components/role_switcher';
+import VerificationBanner from '../components/verification_banner';
+import DeletionBanner from '../components/deletion_banner';
+import ReviewList from '../components/review_list';
+import RecentActivity from '../components/recent_activity';
+import ProfileEditor from '../components/profile_editor';
 import './client_dashboard.css';
 
-// Backend API URL
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+const emptyJobForm = {
+  title: '',
+  description: '',
+  budget: '',
+  budgetType: 'fixed',
+  skills: '',
+  deadline: ''
+};
 
 export default function ClientDashboard() {
   const navigate = useNavigate();
@@ -15,15 +30,33 @@ export default function ClientDashboard() {
     companySize: '',
     address: '',
     bio: '',
+    emailVerified: true,
     profilePicture: null
   });
-  const [isEditingBio, setIsEditingBio] = useState(false);
-  const [tempBio, setTempBio] = useState('');
+  const [isEditingProfile, setIsEditingProfile] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [unreadMessages, setUnreadMessages] = useState(0);
+  const [jobs, setJobs] = useState([]);
+  const [showJobForm, setShowJobForm] = useState(false);
+  const [editingJobId, setEditingJobId] = useState(null);
+  const [jobForm, setJobForm] = useState(emptyJobForm);
+  const [jobError, setJobError] = useState('');
+  const [expandedJobId, setExpandedJobId] = useState(null);
+  const [jobProposals, setJobProposals] = useState([]);
 
   useEffect(() => {
     // Fetch user data from database
     fetchUserData();
+    fetchJobs();
+    fetchUnreadMessages();
+
+    // Keep the unread message count live
+    const disconnect = connectRealtime((event) => {
+      if (event.type === 'unread:count') {
+        setUnreadMessages(event.count);
+      }
+    });
+    return disconnect;
   }, []);
 
   const fetchUserData = async () => {
@@ -34,7 +67,7 @@ export default function ClientDashboard() {
         return;
       }
 
-      const response = await fetch(`${API_URL}/api/client/profile`, {
+      const response = await authFetch(`${API_URL}/api/client/profile`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -44,7 +77,6 @@ export default function ClientDashboard() {
 
       if (response.ok) {
         setUserData(data.user);
-        setTempBio(data.user.bio || '');
       } else {
         navigate('/login');
       }
@@ -55,6 +87,27 @@ export default function ClientDashboard() {
     }
   };
 
+  const fetchUnreadMessages = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) return;
+
+      const response = await authFetch(`${API_URL}/api/messages/unread-count`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setUnreadMessages(data.count);
+      }
+    } catch (error) {
+      console.error('Error fetching unread messages:', error);
+    }
+  };
+
   const handleProfilePictureChange = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -64,8 +117,8 @@ export default function ClientDashboard() {
 
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch(`${API_URL}/api/client/update-picture`, {
-        method: 'POST',
+      const response = await authFetchWithTwoFactor(`${API_URL}/api/me`, {
+        method: 'PATCH',
         headers: {
           'Authorization': `Bearer ${token}`
         },
@@ -77,7 +130,7 @@ export default function ClientDashboard() {
       if (response.ok) {
         setUserData(prev => ({
           ...prev,
-          profilePicture: data.profilePicture
+          profilePicture: data.user.profilePicture
         }));
         alert('Profile picture updated successfully!');
       }
@@ -87,26 +140,174 @@ export default function ClientDashboard() {
     }
   };
 
-  const handleBioSave = async () => {
+  const fetchJobs = async () => {
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch(`${API_URL}/api/client/update-bio`, {
-        method: 'POST',
+      if (!token) return;
+
+      const response = await authFetch(`${API_URL}/api/client/jobs`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobs(data.jobs);
+      }
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+    }
+  };
+
+  const handleJobFormChange = (e) => {
+    const { name, value } = e.target;
+    setJobForm(prev => ({ ...prev, [name]: value }));
+    setJobError('');
+  };
+
+  const openJobForm = (job = null) => {
+    if (job) {
+      setEditingJobId(job._id);
+      setJobForm({
+        title: job.title,
+        description: job.description,
+        budget: job.budget,
+        budgetType: job.budgetType,
+        skills: job.skills || '',
+        deadline: job.deadline ? job.deadline.slice(0, 10) : ''
+      });
+    } else {
+      setEditingJobId(null);
+      setJobForm(emptyJobForm);
+    }
+    setJobError('');
+    setShowJobForm(true);
+  };
+
+  const closeJobForm = () => {
+    setShowJobForm(false);
+    setEditingJobId(null);
+    setJobForm(emptyJobForm);
+    setJobError('');
+  };
+
+  const handleJobSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const token = localStorage.getItem('token');
+      const url = editingJobId ? `${API_URL}/api/jobs/${editingJobId}` : `${API_URL}/api/jobs`;
+      const response = await authFetch(url, {
+        method: editingJobId ? 'PUT' : 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ bio: tempBio })
+        body: JSON.stringify({
+          ...jobForm,
+          deadline: jobForm.deadline || undefined
+        })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        if (editingJobId) {
+          setJobs(prev => prev.map(job => job._id === editingJobId ? data.job : job));
+        } else {
+          setJobs(prev => [data.job, ...prev]);
+        }
+        closeJobForm();
+      } else {
+        setJobError(data.message || 'Failed to save job');
+      }
+    } catch (error) {
+      console.error('Error saving job:', error);
+      setJobError('Failed to save job');
+    }
+  };
+
+  const handleCloseJob = async (jobId) => {
+    if (!window.confirm('Close this job? Freelancers will no longer see it.')) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/jobs/${jobId}/close`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobs(prev => prev.map(job => job._id === jobId ? data.job : job));
+      } else {
+        alert(data.message || 'Failed to close job');
+      }
+    } catch (error) {
+      console.error('Error closing job:', error);
+      alert('Failed to close job');
+    }
+  };
+
+  const toggleProposals = async (jobId) => {
+    if (expandedJobId === jobId) {
+      setExpandedJobId(null);
+      return;
+    }
+
+    setExpandedJobId(jobId);
+    setJobProposals([]);
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/jobs/${jobId}/proposals`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobProposals(data.proposals);
+      }
+    } catch (error) {
+      console.error('Error fetching proposals:', error);
+    }
+  };
+
+  const handleProposalAction = async (proposalId, action) => {
+    if (action === 'accept' && !window.confirm('Accept this proposal? The job will stop accepting new bids.')) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/proposals/${proposalId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
       });
 
+      const data = await response.json();
+
       if (response.ok) {
-        setUserData(prev => ({ ...prev, bio: tempBio }));
-        setIsEditingBio(false);
-        alert('Bio updated successfully!');
+        setJobProposals(prev => prev.map(proposal =>
+          proposal._id === proposalId ? { ...proposal, status: data.proposal.status } : proposal
+        ));
+        if (action === 'accept') {
+          fetchJobs();
+        }
+      } else {
+        alert(data.message || 'Failed to update proposal');
       }
     } catch (error) {
-      console.error('Error updating bio:', error);
-      alert('Failed to update bio');
+      console.error('Error updating proposal:', error);
+      alert('Failed to update proposal');
     }
   };
 
@@ -126,16 +327,27 @@ export default function ClientDashboard() {
           <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
         </a>
         <div className="navbar-links">
+          <NotificationBell />
+          <RoleSwitcher />
           <a href="/dashboard">Dashboard</a>
+          <a href="/talent">Find Talent</a>
           <a href="/orders">Orders</a>
-          <button onClick={() => {
-            localStorage.clear();
+          <a href="/messages">
+            Messages
+            {unreadMessages > 0 && <span className="nav-badge">{unreadMessages}</span>}
+          </a>
+          <a href="/settings/account">Settings</a>
+          <button onClick={async () => {
+            await logout();
             navigate('/login');
           }} className="logout-btn">Logout</button>
         </div>
       </div>
 
       {/* Main Content */}
+      {!userData.emailVerified && <VerificationBanner email={userData.email} />}
+      {userData.deletion_scheduled_at && <DeletionBanner scheduledFor={userData.deletion_scheduled_at} />}
+
       <div className="dashboard-content">
         {/* Profile Card */}
         <div className="profile-card">
@@ -149,7 +361,7 @@ export default function ClientDashboard() {
             />
             <label htmlFor="profilePictureInput" className="profile-picture">
               {userData.profilePicture ? (
-                <img src={`${API_URL}/${userData.profilePicture}`} alt="Profile" />
+                <img src={`${userData.profilePicture}?size=medium`} alt="Profile" />
               ) : (
                 <div className="profile-initials">{getInitials()}</div>
               )}
@@ -192,36 +404,205 @@ export default function ClientDashboard() {
         {/* Bio Section */}
         <div className="bio-card">
           <h3>About Your Company</h3>
-          {isEditingBio ? (
-            <div className="bio-edit">
+          {isEditingProfile ? (
+            <ProfileEditor
+              user={userData}
+              userType="client"
+              onSaved={(updated) => {
+                setUserData(prev => ({ ...prev, ...updated }));
+                setIsEditingProfile(false);
+              }}
+              onCancel={() => setIsEditingProfile(false)}
+            />
+          ) : (
+            <div className="bio-display">
+              <p>{userData.bio || 'Click edit profile to add information about your company and what you\'re looking for.'}</p>
+              <button onClick={() => setIsEditingProfile(true)} className="btn-edit">Edit Profile</button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Jobs Section */}
+      <div className="jobs-section">
+        <div className="jobs-card">
+          <div className="jobs-header">
+            <h3>My Jobs</h3>
+            {!showJobForm && (
+              <button onClick={() => openJobForm()} className="btn-edit">Post a Job</button>
+            )}
+          </div>
+
+          {showJobForm && (
+            <form onSubmit={handleJobSubmit} className="job-form">
+              <h4>{editingJobId ? 'Edit Job' : 'Post a Job'}</h4>
+
+              {jobError && <div className="job-error">{jobError}</div>}
+
+              <label htmlFor="jobTitle">Title *</label>
+              <input
+                type="text"
+                id="jobTitle"
+                name="title"
+                value={jobForm.title}
+                onChange={handleJobFormChange}
+                required
+              />
+
+              <label htmlFor="jobDescription">Description *</label>
               <textarea
-                value={tempBio}
-                onChange={(e) => setTempBio(e.target.value)}
-                placeholder="Tell us about your company and what you're looking for..."
-                rows="8"
+                id="jobDescription"
+                name="description"
+                value={jobForm.description}
+                onChange={handleJobFormChange}
+                rows="6"
                 className="bio-textarea"
+                required
               />
+
+              <div className="job-form-row">
+                <div>
+                  <label htmlFor="jobBudget">Budget ($) *</label>
+                  <input
+                    type="number"
+                    id="jobBudget"
+                    name="budget"
+                    min="0"
+                    value={jobForm.budget}
+                    onChange={handleJobFormChange}
+                    required
+                  />
+                </div>
+                <div>
+                  <label htmlFor="jobBudgetType">Budget Type</label>
+                  <select
+                    id="jobBudgetType"
+                    name="budgetType"
+                    value={jobForm.budgetType}
+                    onChange={handleJobFormChange}
+                  >
+                    <option value="fixed">Fixed price</option>
+                    <option value="hourly">Hourly</option>
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="jobDeadline">Deadline</label>
+                  <input
+                    type="date"
+                    id="jobDeadline"
+                    name="deadline"
+                    value={jobForm.deadline}
+                    onChange={handleJobFormChange}
+                  />
+                </div>
+              </div>
+
+              <label htmlFor="jobSkills">Skills Needed</label>
+              <input
+                type="text"
+                id="jobSkills"
+                name="skills"
+                value={jobForm.skills}
+                onChange={handleJobFormChange}
+                placeholder="e.g. React, Logo Design, Copywriting"
+              />
+
               <div className="bio-actions">
-                <button onClick={handleBioSave} className="btn-save">Save</button>
-                <button 
-                  onClick={() => {
-                    setIsEditingBio(false);
-                    setTempBio(userData.bio || '');
-                  }} 
-                  className="btn-cancel"
-                >
-                  Cancel
-                </button>
+                <button type="submit" className="btn-save">{editingJobId ? 'Save Changes' : 'Post Job'}</button>
+                <button type="button" onClick={closeJobForm} className="btn-cancel">Cancel</button>
               </div>
-            </div>
+            </form>
+          )}
+
+          {jobs.length === 0 ? (
+            <p className="jobs-empty">You haven't posted any jobs yet.</p>
           ) : (
-            <div className="bio-display">
-              <p>{userData.bio || 'Click edit to add information about your company and what you\'re looking for.'}</p>
-              <button onClick={() => setIsEditingBio(true)} className="btn-edit">Edit Bio</button>
-            </div>
+            <ul className="jobs-list">
+              {jobs.map(job => (
+                <li key={job._id} className="job-item">
+                  <div className="job-item-main">
+                    <div className="job-item-title">
+                      <strong>{job.title}</strong>
+                      <span className={`job-status job-status-${job.status}`}>{job.status}</span>
+                    </div>
+                    <p>{job.description}</p>
+                    <span className="job-meta">
+                      ${job.budget}{job.budgetType === 'hourly' ? '/hr' : ''}
+                      {job.deadline && ` · Due ${new Date(job.deadline).toLocaleDateString()}`}
+                      {job.skills && ` · ${job.skills}`}
+                    </span>
+                  </div>
+                  <div className="job-item-actions">
+                    <button onClick={() => toggleProposals(job._id)} className="btn-edit">
+                      {expandedJobId === job._id ? 'Hide Proposals' : 'View Proposals'}
+                    </button>
+                    {job.status === 'open' && (
+                      <>
+                        <button onClick={() => openJobForm(job)} className="btn-cancel">Edit</button>
+                        <button onClick={() => handleCloseJob(job._id)} className="btn-save">Close</button>
+                      </>
+                    )}
+                  </div>
+
+                  {expandedJobId === job._id && (
+                    <div className="job-proposals">
+                      {jobProposals.length === 0 ? (
+                        <p className="jobs-empty">No proposals yet.</p>
+                      ) : (
+                        jobProposals.map(proposal => (
+                          <div key={proposal._id} className="job-proposal">
+                            <div className="job-proposal-header">
+                              <strong>{proposal.freelancer?.name || 'Freelancer'}</strong>
+                              <span className={`job-status job-status-${proposal.status}`}>{proposal.status}</span>
+                            </div>
+                            <span className="job-meta">
+                              ${proposal.price} · {proposal.deliveryDays} day{proposal.deliveryDays === 1 ? '' : 's'}
+                              {proposal.freelancer?.experience && ` · ${proposal.freelancer.experience} experience`}
+                            </span>
+                            <p>{proposal.coverLetter}</p>
+                            <button
+                              onClick={() => navigate(`/messages?with=${proposal.freelancer?._id}`)}
+                              className="btn-cancel job-proposal-message"
+                            >
+                              Message
+                            </button>
+                            {proposal.attachment && (
+                              <a href={proposal.attachment} target="_blank" rel="noopener noreferrer" className="job-proposal-link">
+                                View Attachment
+                              </a>
+                            )}
+                            {job.status === 'open' && ['submitted', 'shortlisted'].includes(proposal.status) && (
+                              <div className="job-item-actions">
+                                {proposal.status === 'submitted' && (
+                                  <button onClick={() => handleProposalAction(proposal._id, 'shortlist')} className="btn-cancel">Shortlist</button>
+                                )}
+                                <button onClick={() => handleProposalAction(proposal._id, 'reject')} className="btn-cancel">Reject</button>
+                                <button onClick={() => handleProposalAction(proposal._id, 'accept')} className="btn-save">Accept</button>
+                              </div>
+                            )}
+                          </div>
+                        ))
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
           )}
         </div>
       </div>
+
+      <div className="jobs-section">
+        <div className="jobs-card">
+          <ReviewList userId={userData.id} title="Reviews from Freelancers" />
+        </div>
+      </div>
+
+      <div className="jobs-section">
+        <div className="jobs-card">
+          <RecentActivity />
+        </div>
+      </div>
     </div>
   );
 }
\ No newline at end of file
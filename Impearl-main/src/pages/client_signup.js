@@ -1,8 +1,9 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-
-// Add this at the top - the backend API URL
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+import { validate, hasErrors } from '@impearl/shared/validation';
+import { clientSignupSchema, COMPANY_SIZES, MIN_PASSWORD_LENGTH } from '@impearl/shared/schemas';
+import FieldError from '../components/field_error';
+import { API_URL } from '../api';
 
 export default function ClientSignup() {
   const navigate = useNavigate();
@@ -16,6 +17,7 @@ export default function ClientSignup() {
     address: ''
   });
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
   const handleChange = (e) => {
@@ -24,18 +26,26 @@ export default function ClientSignup() {
       ...prev,
       [name]: value
     }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
     setError('');
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setLoading(true);
     setError('');
 
+    // Same rules the API applies, so most mistakes never leave the page
+    const { errors } = validate(clientSignupSchema, formData);
+    setFieldErrors(errors);
+    if (hasErrors(errors)) return;
+
+    setLoading(true);
+
     try {
       // API call to register client - now uses full URL
       const response = await fetch(`${API_URL}/api/register/client`, {
         method: 'POST',
+        credentials: 'include', // Receive the httpOnly refresh cookie
         headers: {
           'Content-Type': 'application/json',
         },
@@ -51,6 +61,8 @@ export default function ClientSignup() {
         alert('Registration submitted successfully!');
         // Redirect to login page
         navigate('/login-form?type=client');
+      } else if (data.errors) {
+        setFieldErrors(data.errors);
       } else {
         setError(data.message || 'Registration failed. Please try again.');
       }
@@ -107,6 +119,7 @@ export default function ClientSignup() {
               required
               disabled={loading}
             />
+            <FieldError message={fieldErrors.name} />
           </div>
 
           {/* Email */}
@@ -121,6 +134,7 @@ export default function ClientSignup() {
               required
               disabled={loading}
             />
+            <FieldError message={fieldErrors.email} />
           </div>
 
           {/* Password */}
@@ -134,8 +148,9 @@ export default function ClientSignup() {
               onChange={handleChange}
               required
               disabled={loading}
-              minLength="6"
+              minLength={MIN_PASSWORD_LENGTH}
             />
+            <FieldError message={fieldErrors.password} />
           </div>
 
           {/* Business Name */}
@@ -150,6 +165,7 @@ export default function ClientSignup() {
               required
               disabled={loading}
             />
+            <FieldError message={fieldErrors.businessName} />
           </div>
 
           {/* Business Type */}
@@ -164,13 +180,14 @@ export default function ClientSignup() {
               required
               disabled={loading}
             />
+            <FieldError message={fieldErrors.businessType} />
           </div>
 
           {/* Company Size */}
           <div className="form-group">
             <label>Company Size *</label>
             <div className="size-options">
-              {['1-10', '10-50', '50-100', '100+'].map((size) => (
+              {COMPANY_SIZES.map((size) => (
                 <div className="size-option" key={size}>
                   <input
                     type="radio"
@@ -186,6 +203,7 @@ export default function ClientSignup() {
                 </div>
               ))}
             </div>
+            <FieldError message={fieldErrors.companySize} />
           </div>
 
           {/* Address */}
@@ -200,6 +218,7 @@ export default function ClientSignup() {
               required
               disabled={loading}
             />
+            <FieldError message={fieldErrors.address} />
           </div>
 
           <button 
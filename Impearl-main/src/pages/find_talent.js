@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { API_URL, authFetch, logout } from '../api';
+import NotificationBell from '../components/notification_bell';
+import RoleSwitcher from '../components/role_switcher';
+import './client_dashboard.css';
+import './find_talent.css';
+
+// Same buckets as the freelancer signup form
+const EXPERIENCE_LABELS = {
+  '0-1': 'Less than 1 year',
+  '1-3': '1-3 years',
+  '3-5': '3-5 years',
+  '5-10': '5-10 years',
+  '10+': '10+ years'
+};
+
+const emptyFilters = {
+  q: '',
+  skills: '',
+  experience: [],
+  sort: ''
+};
+
+export default function FindTalent() {
+  const navigate = useNavigate();
+  const [freelancers, setFreelancers] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchFreelancers(page);
+  }, [page]);
+
+  const fetchFreelancers = async (pageToLoad) => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        navigate('/login');
+        return;
+      }
+
+      const params = new URLSearchParams({ page: pageToLoad });
+      if (filters.q.trim()) params.set('q', filters.q.trim());
+      if (filters.skills.trim()) params.set('skills', filters.skills);
+      if (filters.experience.length > 0) params.set('experience', filters.experience.join(','));
+      if (filters.sort) params.set('sort', filters.sort);
+
+      const response = await authFetch(`${API_URL}/api/freelancers?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setFreelancers(data.freelancers);
+        setTotalPages(Math.max(data.totalPages, 1));
+        setTotal(data.total);
+        setError('');
+      } else if (response.status === 400) {
+        setError(data.message);
+      } else {
+        navigate('/login');
+      }
+    } catch (err) {
+      console.error('Error searching freelancers:', err);
+      setError('An error occurred. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleExperience = (level) => {
+    setFilters(prev => ({
+      ...prev,
+      experience: prev.experience.includes(level)
+        ? prev.experience.filter(l => l !== level)
+        : [...prev.experience, level]
+    }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (page === 1) {
+      fetchFreelancers(1);
+    } else {
+      setPage(1);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="dashboard-container">
+      <div className="navbar">
+        <a href="/">
+          <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
+        </a>
+        <div className="navbar-links">
+          <NotificationBell />
+          <RoleSwitcher />
+          <a href="/dashboard">Dashboard</a>
+          <a href="/talent">Find Talent</a>
+          <a href="/orders">Orders</a>
+          <button onClick={async () => {
+            await logout();
+            navigate('/login');
+          }} className="logout-btn">Logout</button>
+        </div>
+      </div>
+
+      <div className="talent-page">
+        <h2>Find Talent</h2>
+
+        <form onSubmit={handleSearch} className="talent-filters">
+          <div className="talent-filters-row">
+            <input
+              type="text"
+              name="q"
+              value={filters.q}
+              onChange={handleChange}
+              placeholder="Search by name, skill or keyword..."
+            />
+            <input
+              type="text"
+              name="skills"
+              value={filters.skills}
+              onChange={handleChange}
+              placeholder="Required skills, e.g. react, logo design"
+            />
+            <select name="sort" value={filters.sort} onChange={handleChange}>
+              <option value="">Best match</option>
+              <option value="newest">Newest</option>
+              <option value="experience">Most experienced</option>
+            </select>
+            <button type="submit" className="btn-save">Search</button>
+          </div>
+
+          <div className="talent-experience">
+            <span>Experience:</span>
+            {Object.entries(EXPERIENCE_LABELS).map(([level, label]) => (
+              <label key={level}>
+                <input
+                  type="checkbox"
+                  checked={filters.experience.includes(level)}
+                  onChange={() => toggleExperience(level)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </form>
+
+        {error && (
+          <div style={{ color: 'red', padding: '10px', marginBottom: '15px', backgroundColor: '#ffe6e6', borderRadius: '5px' }}>
+            {error}
+          </div>
+        )}
+
+        <p className="talent-total">{total} freelancer{total === 1 ? '' : 's'} found</p>
+
+        <div className="talent-grid">
+          {freelancers.map(freelancer => (
+            <div key={freelancer._id} className="talent-card">
+              <div className="talent-card-header">
+                {freelancer.profilePicture ? (
+                  <img src={`${freelancer.profilePicture}?size=small`} alt={freelancer.name} />
+                ) : (
+                  <div className="talent-avatar">{freelancer.name.charAt(0).toUpperCase()}</div>
+                )}
+                <div>
+                  <h3><a href={`/freelancers/${freelancer._id}`}>{freelancer.name}</a></h3>
+                  {freelancer.experience && (
+                    <span className="talent-experience-label">
+                      {EXPERIENCE_LABELS[freelancer.experience]} experience
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              {freelancer.bio && <p className="talent-bio">{freelancer.bio}</p>}
+
+              <div className="talent-skills">
+                {freelancer.skills.map(skill => (
+                  <span key={skill} className="talent-skill">{skill}</span>
+                ))}
+              </div>
+
+              <button
+                onClick={() => navigate(`/messages?with=${freelancer._id}`)}
+                className="btn-cancel talent-message"
+              >
+                Message
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {totalPages > 1 && (
+          <div className="talent-pagination">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn-cancel">Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= totalPages} className="btn-cancel">Next</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
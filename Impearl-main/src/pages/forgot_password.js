@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { API_URL } from '../api';
+import "./login_page.css";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/password/forgot`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setMessage(data.message);
+      } else {
+        setError(data.message || 'Something went wrong. Please try again.');
+      }
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError('An error occurred. Please check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="login-container">
+        <div className="login-box">
+          <h2>Forgot Password</h2>
+          <p className="subtitle">Enter your email and we'll send you a link to reset your password</p>
+
+          {error && (
+            <div style={{
+              padding: '12px',
+              marginBottom: '20px',
+              backgroundColor: '#fee',
+              border: '1px solid #fcc',
+              borderRadius: '5px',
+              color: '#c33',
+              textAlign: 'center'
+            }}>
+              {error}
+            </div>
+          )}
+
+          {message ? (
+            <div style={{
+              padding: '12px',
+              marginBottom: '20px',
+              backgroundColor: '#efe',
+              border: '1px solid #cfc',
+              borderRadius: '5px',
+              color: '#363',
+              textAlign: 'center'
+            }}>
+              {message}
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label htmlFor="email">Email *</label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    setError('');
+                  }}
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <button type="submit" className="login-btn" disabled={loading}>
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          )}
+
+          <a href="/login" className="back-link">← Back to login</a>
+        </div>
+      </div>
+    </div>
+  );
+}
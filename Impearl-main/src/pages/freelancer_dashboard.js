@@ -1,27 +1,56 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { connectRealtime } from '../realtime';
+import { API_URL, authFetch, authFetchWithTwoFactor, logout } from '../api';
+import NotificationBell from '../components/notification_bell';
+import RoleSwitcher from '../components/role_switcher';
+import VerificationBanner from '../components/verification_banner';
+import DeletionBanner from '../components/deletion_banner';
+import PortfolioEditor from '../components/portfolio_editor';
+import ReviewList from '../components/review_list';
+import RecentActivity from '../components/recent_activity';
+import ProfileEditor from '../components/profile_editor';
 import './freelancer_dashboard.css';
 
-// Backend API URL
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+// Fields a freelancer can show or hide on their public profile
+const VISIBILITY_OPTIONS = [
+  { field: 'profilePicture', label: 'Profile picture' },
+  { field: 'bio', label: 'Bio' },
+  { field: 'skills', label: 'Skills' },
+  { field: 'experience', label: 'Years of experience' },
+  { field: 'resume', label: 'Resume download' }
+];
 
 export default function FreelancerDashboard() {
   const navigate = useNavigate();
   const [userData, setUserData] = useState({
     name: '',
     email: '',
-    skills: '',
+    skills: [],
     experience: '',
     bio: '',
+    emailVerified: true,
     profilePicture: null,
-    resume: null
+    resume: null,
+    profileVisibility: {}
   });
-  const [isEditingBio, setIsEditingBio] = useState(false);
-  const [tempBio, setTempBio] = useState('');
+  const [isEditingProfile, setIsEditingProfile] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [unreadMessages, setUnreadMessages] = useState(0);
+  const [proposals, setProposals] = useState([]);
 
   useEffect(() => {
     fetchUserData();
+    fetchProposals();
+    fetchUnreadMessages();
+
+    // Keep the unread message count live
+    const disconnect = connectRealtime((event) => {
+      if (event.type === 'unread:count') {
+        setUnreadMessages(event.count);
+      }
+    });
+    return disconnect;
   }, []);
 
   const fetchUserData = async () => {
@@ -32,7 +61,7 @@ export default function FreelancerDashboard() {
         return;
       }
 
-      const response = await fetch(`${API_URL}/api/freelancer/profile`, {
+      const response = await authFetch(`${API_URL}/api/freelancer/profile`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -42,7 +71,6 @@ export default function FreelancerDashboard() {
 
       if (response.ok) {
         setUserData(data.user);
-        setTempBio(data.user.bio || '');
       } else {
         navigate('/login');
       }
@@ -53,6 +81,48 @@ export default function FreelancerDashboard() {
     }
   };
 
+  const fetchProposals = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) return;
+
+      const response = await authFetch(`${API_URL}/api/freelancer/proposals`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setProposals(data.proposals);
+      }
+    } catch (error) {
+      console.error('Error fetching proposals:', error);
+    }
+  };
+
+  const fetchUnreadMessages = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) return;
+
+      const response = await authFetch(`${API_URL}/api/messages/unread-count`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setUnreadMessages(data.count);
+      }
+    } catch (error) {
+      console.error('Error fetching unread messages:', error);
+    }
+  };
+
   const handleProfilePictureChange = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -62,8 +132,8 @@ export default function FreelancerDashboard() {
 
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch(`${API_URL}/api/freelancer/update-picture`, {
-        method: 'POST',
+      const response = await authFetchWithTwoFactor(`${API_URL}/api/me`, {
+        method: 'PATCH',
         headers: {
           'Authorization': `Bearer ${token}`
         },
@@ -75,7 +145,7 @@ export default function FreelancerDashboard() {
       if (response.ok) {
         setUserData(prev => ({
           ...prev,
-          profilePicture: data.profilePicture
+          profilePicture: data.user.profilePicture
         }));
         alert('Profile picture updated successfully!');
       }
@@ -85,26 +155,37 @@ export default function FreelancerDashboard() {
     }
   };
 
-  const handleBioSave = async () => {
+  const handleVisibilityChange = async (field, visible) => {
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch(`${API_URL}/api/freelancer/update-bio`, {
-        method: 'POST',
+      const response = await authFetch(`${API_URL}/api/freelancer/profile/visibility`, {
+        method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ bio: tempBio })
+        body: JSON.stringify({ visibility: { [field]: visible } })
       });
 
+      const data = await response.json();
+
       if (response.ok) {
-        setUserData(prev => ({ ...prev, bio: tempBio }));
-        setIsEditingBio(false);
-        alert('Bio updated successfully!');
+        setUserData(prev => ({ ...prev, profileVisibility: data.profileVisibility }));
+      } else {
+        alert(data.message || 'Failed to update visibility');
       }
     } catch (error) {
-      console.error('Error updating bio:', error);
-      alert('Failed to update bio');
+      console.error('Error updating profile visibility:', error);
+      alert('Failed to update visibility');
+    }
+  };
+
+  const copyProfileLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/freelancers/${userData.id}`);
+      alert('Profile link copied!');
+    } catch (error) {
+      console.error('Error copying profile link:', error);
     }
   };
 
@@ -123,15 +204,26 @@ export default function FreelancerDashboard() {
           <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
         </a>
         <div className="navbar-links">
+          <NotificationBell />
+          <RoleSwitcher />
           <a href="/dashboard">Dashboard</a>
+          <a href="/jobs">Find Work</a>
           <a href="/orders">Orders</a>
-          <button onClick={() => {
-            localStorage.clear();
+          <a href="/messages">
+            Messages
+            {unreadMessages > 0 && <span className="nav-badge">{unreadMessages}</span>}
+          </a>
+          <a href="/settings/account">Settings</a>
+          <button onClick={async () => {
+            await logout();
             navigate('/login');
           }} className="logout-btn">Logout</button>
         </div>
       </div>
 
+      {!userData.emailVerified && <VerificationBanner email={userData.email} />}
+      {userData.deletion_scheduled_at && <DeletionBanner scheduledFor={userData.deletion_scheduled_at} />}
+
       <div className="dashboard-content">
         <div className="profile-card">
           <div className="profile-picture-container">
@@ -144,7 +236,7 @@ export default function FreelancerDashboard() {
             />
             <label htmlFor="profilePictureInput" className="profile-picture">
               {userData.profilePicture ? (
-                <img src={`${API_URL}/${userData.profilePicture}`} alt="Profile" />
+                <img src={`${userData.profilePicture}?size=medium`} alt="Profile" />
               ) : (
                 <div className="profile-initials">{getInitials()}</div>
               )}
@@ -169,7 +261,7 @@ export default function FreelancerDashboard() {
 
             <div className="info-item">
               <span className="info-label">Skills/Expertise:</span>
-              <span className="info-value">{userData.skills || 'Not specified'}</span>
+              <span className="info-value">{userData.skills?.length > 0 ? userData.skills.join(', ') : 'Not specified'}</span>
             </div>
 
             <div className="info-item">
@@ -180,7 +272,7 @@ export default function FreelancerDashboard() {
             {userData.resume && (
               <div className="info-item">
                 <span className="info-label">Resume:</span>
-                <a href={`${API_URL}/${userData.resume}`} target="_blank" rel="noopener noreferrer" className="resume-link">
+                <a href={userData.resume} target="_blank" rel="noopener noreferrer" className="resume-link">
                   View Resume
                 </a>
               </div>
@@ -190,36 +282,92 @@ export default function FreelancerDashboard() {
 
         <div className="bio-card">
           <h3>About Me</h3>
-          {isEditingBio ? (
-            <div className="bio-edit">
-              <textarea
-                value={tempBio}
-                onChange={(e) => setTempBio(e.target.value)}
-                placeholder="Tell clients about yourself, your expertise, and what you can offer..."
-                rows="8"
-                className="bio-textarea"
-              />
-              <div className="bio-actions">
-                <button onClick={handleBioSave} className="btn-save">Save</button>
-                <button 
-                  onClick={() => {
-                    setIsEditingBio(false);
-                    setTempBio(userData.bio || '');
-                  }} 
-                  className="btn-cancel"
-                >
-                  Cancel
-                </button>
-              </div>
-            </div>
+          {isEditingProfile ? (
+            <ProfileEditor
+              user={userData}
+              userType="freelancer"
+              onSaved={(updated) => {
+                setUserData(prev => ({ ...prev, ...updated }));
+                setIsEditingProfile(false);
+              }}
+              onCancel={() => setIsEditingProfile(false)}
+            />
           ) : (
             <div className="bio-display">
-              <p>{userData.bio || 'Click edit to add information about yourself and your expertise.'}</p>
-              <button onClick={() => setIsEditingBio(true)} className="btn-edit">Edit Bio</button>
+              <p>{userData.bio || 'Click edit profile to add information about yourself and your expertise.'}</p>
+              <button onClick={() => setIsEditingProfile(true)} className="btn-edit">Edit Profile</button>
             </div>
           )}
         </div>
       </div>
+
+      <div className="proposals-section">
+        <div className="proposals-card">
+          <div className="proposals-header">
+            <h3>Public Profile</h3>
+            <div className="visibility-actions">
+              <button onClick={copyProfileLink} className="btn-cancel">Copy Link</button>
+              <a href={`/freelancers/${userData.id}`} target="_blank" rel="noopener noreferrer" className="btn-edit">View</a>
+            </div>
+          </div>
+          <p className="proposals-empty">
+            Anyone with the link can see your name and the details you choose below. Your email is never shown.
+          </p>
+          <div className="visibility-options">
+            {VISIBILITY_OPTIONS.map(({ field, label }) => (
+              <label key={field} className="visibility-option">
+                <input
+                  type="checkbox"
+                  checked={userData.profileVisibility?.[field] === true}
+                  onChange={(e) => handleVisibilityChange(field, e.target.checked)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <PortfolioEditor />
+
+      <div className="proposals-section">
+        <div className="proposals-card">
+          <ReviewList userId={userData.id} canReply />
+        </div>
+      </div>
+
+      <div className="proposals-section">
+        <div className="proposals-card">
+          <div className="proposals-header">
+            <h3>My Proposals</h3>
+            <a href="/jobs" className="btn-edit">Find Work</a>
+          </div>
+
+          {proposals.length === 0 ? (
+            <p className="proposals-empty">You haven't submitted any proposals yet.</p>
+          ) : (
+            <ul className="proposals-list">
+              {proposals.map(proposal => (
+                <li key={proposal._id} className="proposal-item">
+                  <div>
+                    <strong>{proposal.job?.title || 'Job no longer available'}</strong>
+                    <span className="proposal-meta">
+                      ${proposal.price} · {proposal.deliveryDays} day{proposal.deliveryDays === 1 ? '' : 's'} · Sent {new Date(proposal.created_at).toLocaleDateString()}
+                    </span>
+                  </div>
+                  <span className={`proposal-status proposal-status-${proposal.status}`}>{proposal.status}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="proposals-section">
+        <div className="proposals-card">
+          <RecentActivity />
+        </div>
+      </div>
     </div>
   );
 }
\ No newline at end of file
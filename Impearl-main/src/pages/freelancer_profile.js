@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import PortfolioProject from '../components/portfolio_project';
+import ReviewList, { Stars } from '../components/review_list';
+import { API_URL } from '../api';
+import './freelancer_dashboard.css';
+import './freelancer_profile.css';
+
+// Same buckets as the freelancer signup form
+const EXPERIENCE_LABELS = {
+  '0-1': 'Less than 1 year',
+  '1-3': '1-3 years',
+  '3-5': '3-5 years',
+  '5-10': '5-10 years',
+  '10+': '10+ years'
+};
+
+// Public, shareable profile - works without logging in
+export default function FreelancerProfile() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState(null);
+  const [portfolio, setPortfolio] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchProfile();
+  }, [id]);
+
+  const fetchProfile = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/freelancers/${id}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setProfile(data.profile);
+        setPortfolio(data.portfolio);
+        setError('');
+      } else {
+        setError(data.message || 'Freelancer not found');
+      }
+    } catch (err) {
+      console.error('Error fetching profile:', err);
+      setError('An error occurred. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleContact = () => {
+    if (localStorage.getItem('token')) {
+      navigate(`/messages?with=${id}`);
+    } else {
+      navigate('/login');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="dashboard-container">
+      <div className="navbar">
+        <a href="/">
+          <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
+        </a>
+        <div className="navbar-links">
+          {localStorage.getItem('token') ? (
+            <a href="/dashboard">Dashboard</a>
+          ) : (
+            <a href="/login">Log In</a>
+          )}
+        </div>
+      </div>
+
+      {error ? (
+        <div className="public-profile-error">
+          <h2>{error}</h2>
+          <a href="/">Back to Impearl</a>
+        </div>
+      ) : (
+        <div className="dashboard-content">
+          <div className="profile-card">
+            <div className="profile-picture-container">
+              <div className="profile-picture public-profile-picture">
+                {profile.profilePicture ? (
+                  <img src={`${profile.profilePicture}?size=large`} alt={profile.name} />
+                ) : (
+                  <div className="profile-initials">{profile.name.charAt(0).toUpperCase()}</div>
+                )}
+              </div>
+            </div>
+
+            <h2 className="profile-name">{profile.name}</h2>
+            {profile.ratingCount > 0 && (
+              <p className="public-profile-rating">
+                <Stars rating={profile.ratingAverage} /> {profile.ratingAverage.toFixed(1)} ({profile.ratingCount})
+              </p>
+            )}
+
+            <div className="profile-info">
+              <div className="info-item">
+                <span className="info-label">Member since:</span>
+                <span className="info-value">
+                  {new Date(profile.created_at).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+                </span>
+              </div>
+
+              {profile.experience && (
+                <div className="info-item">
+                  <span className="info-label">Experience:</span>
+                  <span className="info-value">{EXPERIENCE_LABELS[profile.experience]}</span>
+                </div>
+              )}
+
+              {profile.hasResume && (
+                <div className="info-item">
+                  <span className="info-label">Resume:</span>
+                  <a href={`${API_URL}/api/freelancers/${id}/resume`} className="resume-link">
+                    Download Resume
+                  </a>
+                </div>
+              )}
+            </div>
+
+            <button onClick={handleContact} className="btn-save public-profile-contact">
+              Contact {profile.name.split(' ')[0]}
+            </button>
+          </div>
+
+          <div className="bio-card">
+            <h3>About</h3>
+            <div className="bio-display">
+              <p>{profile.bio || `${profile.name} hasn't written a bio yet.`}</p>
+            </div>
+
+            {profile.skills?.length > 0 && (
+              <>
+                <h3 className="public-profile-heading">Skills</h3>
+                <div className="public-profile-skills">
+                  {profile.skills.map(skill => (
+                    <span key={skill} className="public-profile-skill">{skill}</span>
+                  ))}
+                </div>
+              </>
+            )}
+
+            {portfolio.length > 0 && (
+              <>
+                <h3 className="public-profile-heading">Portfolio</h3>
+                {portfolio.map(item => (
+                  <PortfolioProject key={item._id} item={item} />
+                ))}
+              </>
+            )}
+
+            <div className="public-profile-heading">
+              <ReviewList userId={id} />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,12 @@
 import React, { useState } from "react";
 import { useNavigate } from 'react-router-dom';
+import ResumeSuggestions, { mergeSkills } from '../components/resume_suggestions';
+import FieldError from '../components/field_error';
+import { validate, hasErrors } from '@impearl/shared/validation';
+import { freelancerSignupSchema, MIN_PASSWORD_LENGTH } from '@impearl/shared/schemas';
+import { API_URL } from '../api';
 import "./freelancer_signup.css";
 
-// Backend API URL - change this for production
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-
 export default function FreelancerSignUp() {
   const navigate = useNavigate();
   const [formData, setFormData] = useState({
@@ -15,12 +17,51 @@ export default function FreelancerSignUp() {
     resume: null,
     skills: "",
     experience: "",
+    bio: "",
   });
 
   const [profileFileName, setProfileFileName] = useState("");
   const [resumeFileName, setResumeFileName] = useState("");
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  const [suggestions, setSuggestions] = useState(null);
+  const [readingResume, setReadingResume] = useState(false);
+
+  // Read the chosen resume for skills/experience/bio suggestions. Failing to
+  // read it is fine - the form can still be filled in by hand.
+  const readResume = async (file) => {
+    setSuggestions(null);
+    if (!file) return;
+
+    setReadingResume(true);
+    try {
+      const resumeData = new FormData();
+      resumeData.append('resume', file);
+      const response = await fetch(`${API_URL}/api/resume/suggestions`, {
+        method: 'POST',
+        body: resumeData
+      });
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setSuggestions(data.suggestions);
+      }
+    } catch (err) {
+      console.error('Error reading resume:', err);
+    } finally {
+      setReadingResume(false);
+    }
+  };
+
+  const applySuggestions = ({ skills, experience, bio }) => {
+    setFormData((prev) => ({
+      ...prev,
+      skills: mergeSkills(prev.skills, skills),
+      experience: experience || prev.experience,
+      bio: bio || prev.bio
+    }));
+    setSuggestions(null);
+  };
 
   const handleChange = (e) => {
     const { name, value, files } = e.target;
@@ -31,17 +72,27 @@ export default function FreelancerSignUp() {
     } else if (name === "resume") {
       setFormData((prev) => ({ ...prev, resume: files[0] || null }));
       setResumeFileName(files[0]?.name || "");
+      readResume(files[0]);
     } else {
       setFormData((prev) => ({ ...prev, [name]: value }));
     }
+    setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
     setError('');
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setLoading(true);
     setError('');
 
+    // Same rules the API applies, so most mistakes never leave the page
+    const { errors } = validate(freelancerSignupSchema, formData);
+    if (!formData.profilePicture) errors.profilePicture = 'Profile picture is required';
+    if (!formData.resume) errors.resume = 'Resume is required';
+    setFieldErrors(errors);
+    if (hasErrors(errors)) return;
+
+    setLoading(true);
+
     try {
       // Create FormData object to handle file uploads
       const submitData = new FormData();
@@ -50,6 +101,7 @@ export default function FreelancerSignUp() {
       submitData.append('password', formData.password);
       submitData.append('skills', formData.skills);
       submitData.append('experience', formData.experience);
+      submitData.append('bio', formData.bio);
       submitData.append('userType', 'freelancer');
       
       if (formData.profilePicture) {
@@ -62,6 +114,7 @@ export default function FreelancerSignUp() {
       // API call to register freelancer
       const response = await fetch(`${API_URL}/api/register/freelancer`, {
         method: 'POST',
+        credentials: 'include', // Receive the httpOnly refresh cookie
         body: submitData // Don't set Content-Type header, browser will set it with boundary
       });
 
@@ -71,6 +124,8 @@ export default function FreelancerSignUp() {
         alert('Registration submitted successfully!');
         // Redirect to login page
         navigate('/login-form?type=freelancer');
+      } else if (data.errors) {
+        setFieldErrors(data.errors);
       } else {
         setError(data.message || 'Registration failed. Please try again.');
       }
@@ -112,7 +167,7 @@ export default function FreelancerSignUp() {
           </div>
         )}
         
-        <form onSubmit={handleSubmit}>
+        <form onSubmit={handleSubmit} noValidate>
           <div className="form-group">
             <label>Name *</label>
             <input 
@@ -123,6 +178,7 @@ export default function FreelancerSignUp() {
               required 
               disabled={loading}
             />
+            <FieldError message={fieldErrors.name} />
           </div>
 
           <div className="form-group">
@@ -135,6 +191,7 @@ export default function FreelancerSignUp() {
               required 
               disabled={loading}
             />
+            <FieldError message={fieldErrors.email} />
           </div>
 
           <div className="form-group">
@@ -146,8 +203,9 @@ export default function FreelancerSignUp() {
               onChange={handleChange} 
               required 
               disabled={loading}
-              minLength="6"
+              minLength={MIN_PASSWORD_LENGTH}
             />
+            <FieldError message={fieldErrors.password} />
           </div>
 
           <div className="form-group">
@@ -170,6 +228,7 @@ export default function FreelancerSignUp() {
                 {profileFileName && <span className="file-name">{profileFileName}</span>}
               </label>
             </div>
+            <FieldError message={fieldErrors.profilePicture} />
           </div>
 
           <div className="form-group">
@@ -192,8 +251,18 @@ export default function FreelancerSignUp() {
                 {resumeFileName && <span className="file-name">{resumeFileName}</span>}
               </label>
             </div>
+            <FieldError message={fieldErrors.resume} />
           </div>
 
+          {readingResume && <p className="resume-reading">Reading your resume for suggestions...</p>}
+          {suggestions && (
+            <ResumeSuggestions
+              suggestions={suggestions}
+              onApply={applySuggestions}
+              onDismiss={() => setSuggestions(null)}
+            />
+          )}
+
           <div className="form-group">
             <label>Skills/Expertise *</label>
             <input
@@ -205,6 +274,7 @@ export default function FreelancerSignUp() {
               required
               disabled={loading}
             />
+            <FieldError message={fieldErrors.skills} />
           </div>
 
           <div className="form-group">
@@ -223,6 +293,20 @@ export default function FreelancerSignUp() {
               <option value="5-10">5-10 years</option>
               <option value="10+">10+ years</option>
             </select>
+            <FieldError message={fieldErrors.experience} />
+          </div>
+
+          <div className="form-group">
+            <label>About Me</label>
+            <textarea
+              name="bio"
+              value={formData.bio}
+              onChange={handleChange}
+              rows="5"
+              placeholder="A short introduction for clients"
+              disabled={loading}
+            />
+            <FieldError message={fieldErrors.bio} />
           </div>
 
           <button 
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { API_URL, authFetch, logout } from '../api';
+import NotificationBell from '../components/notification_bell';
+import RoleSwitcher from '../components/role_switcher';
+import './freelancer_dashboard.css';
+import './job_board.css';
+
+const emptyProposalForm = {
+  coverLetter: '',
+  price: '',
+  deliveryDays: '',
+  attachment: null
+};
+
+export default function JobBoard() {
+  const navigate = useNavigate();
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeJobId, setActiveJobId] = useState(null);
+  const [proposalForm, setProposalForm] = useState(emptyProposalForm);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchJobs();
+  }, []);
+
+  const fetchJobs = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        navigate('/login');
+        return;
+      }
+
+      const response = await authFetch(`${API_URL}/api/jobs`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobs(data.jobs);
+      } else {
+        navigate('/login');
+      }
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openProposalForm = (jobId) => {
+    setActiveJobId(jobId);
+    setProposalForm(emptyProposalForm);
+    setError('');
+  };
+
+  const handleChange = (e) => {
+    const { name, value, files } = e.target;
+
+    if (name === 'attachment') {
+      setProposalForm(prev => ({ ...prev, attachment: files[0] || null }));
+    } else {
+      setProposalForm(prev => ({ ...prev, [name]: value }));
+    }
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const submitData = new FormData();
+      submitData.append('coverLetter', proposalForm.coverLetter);
+      submitData.append('price', proposalForm.price);
+      submitData.append('deliveryDays', proposalForm.deliveryDays);
+
+      if (proposalForm.attachment) {
+        submitData.append('attachment', proposalForm.attachment);
+      }
+
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/jobs/${activeJobId}/proposals`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        body: submitData
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setJobs(prev => prev.map(job => job._id === activeJobId ? { ...job, hasApplied: true } : job));
+        setActiveJobId(null);
+        alert('Proposal submitted successfully!');
+      } else {
+        setError(data.message || 'Failed to submit proposal');
+      }
+    } catch (err) {
+      console.error('Error submitting proposal:', err);
+      setError('An error occurred. Please try again later.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="dashboard-container">
+      <div className="navbar">
+        <a href="/">
+          <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
+        </a>
+        <div className="navbar-links">
+          <NotificationBell />
+          <RoleSwitcher />
+          <a href="/freelancer-dashboard">Dashboard</a>
+          <a href="/jobs">Find Work</a>
+          <a href="/orders">Orders</a>
+          <button onClick={async () => {
+            await logout();
+            navigate('/login');
+          }} className="logout-btn">Logout</button>
+        </div>
+      </div>
+
+      <div className="job-board">
+        <h2>Find Work</h2>
+
+        {jobs.length === 0 ? (
+          <p className="job-board-empty">There are no open jobs right now. Check back soon!</p>
+        ) : (
+          jobs.map(job => (
+            <div key={job._id} className="job-board-card">
+              <div className="job-board-header">
+                <div>
+                  <h3>{job.title}</h3>
+                  <span className="job-board-client">
+                    {job.client?.businessName || job.client?.name || 'Client'}
+                  </span>
+                </div>
+                <span className="job-board-budget">
+                  ${job.budget}{job.budgetType === 'hourly' ? '/hr' : ''}
+                </span>
+              </div>
+
+              <p className="job-board-description">{job.description}</p>
+
+              <div className="job-board-meta">
+                {job.skills && <span>Skills: {job.skills}</span>}
+                {job.deadline && <span>Due {new Date(job.deadline).toLocaleDateString()}</span>}
+                <span>Posted {new Date(job.created_at).toLocaleDateString()}</span>
+              </div>
+
+              {job.hasApplied ? (
+                <span className="job-board-applied">Proposal submitted</span>
+              ) : activeJobId === job._id ? (
+                <form onSubmit={handleSubmit} className="proposal-form">
+                  {error && <div className="proposal-error">{error}</div>}
+
+                  <label htmlFor="coverLetter">Cover Letter *</label>
+                  <textarea
+                    id="coverLetter"
+                    name="coverLetter"
+                    value={proposalForm.coverLetter}
+                    onChange={handleChange}
+                    rows="6"
+                    className="bio-textarea"
+                    placeholder="Explain why you're a great fit for this job..."
+                    required
+                  />
+
+                  <div className="proposal-form-row">
+                    <div>
+                      <label htmlFor="price">Your Price ($) *</label>
+                      <input
+                        type="number"
+                        id="price"
+                        name="price"
+                        min="0"
+                        value={proposalForm.price}
+                        onChange={handleChange}
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="deliveryDays">Delivery (days) *</label>
+                      <input
+                        type="number"
+                        id="deliveryDays"
+                        name="deliveryDays"
+                        min="1"
+                        value={proposalForm.deliveryDays}
+                        onChange={handleChange}
+                        required
+                      />
+                    </div>
+                  </div>
+
+                  <label htmlFor="attachment">Attachment (optional)</label>
+                  <input
+                    type="file"
+                    id="attachment"
+                    name="attachment"
+                    accept="image/*,.pdf,.doc,.docx"
+                    onChange={handleChange}
+                  />
+
+                  <div className="bio-actions">
+                    <button type="submit" className="btn-save" disabled={submitting}>
+                      {submitting ? 'Submitting...' : 'Submit Proposal'}
+                    </button>
+                    <button type="button" onClick={() => setActiveJobId(null)} className="btn-cancel">
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <button onClick={() => openProposalForm(job._id)} className="btn-edit">
+                  Submit a Proposal
+                </button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,31 @@
 import React, { useState, useEffect } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
+import { API_URL, authFetch, refreshAccessToken } from '../api';
 import "./login_page.css";
 
-// Backend API URL - change this for production
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+// 45 -> "45s", 600 -> "10m"
+const formatWait = (seconds) => seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)}m`;
+
+// Store the session and go to the dashboard for the signed-in role
+const completeLogin = (data, navigate) => {
+  // Store JWT token and user data in localStorage
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('user', JSON.stringify(data.user));
+  localStorage.setItem('isLoggedIn', 'true');
+
+  alert(data.message || 'Login successful!');
+
+  // Redirect based on user type
+  if (data.user.userType === 'client') {
+    navigate('/client-dashboard');
+  } else if (data.user.userType === 'freelancer') {
+    navigate('/freelancer-dashboard');
+  } else if (data.user.userType === 'admin') {
+    navigate('/admin');
+  } else {
+    navigate('/dashboard');
+  }
+};
 
 export default function LoginForm() {
   const [searchParams] = useSearchParams();
@@ -15,12 +37,67 @@ export default function LoginForm() {
   const [userType, setUserType] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Seconds left before the server will accept another attempt (after a 429)
+  const [waitSeconds, setWaitSeconds] = useState(0);
+  // Set once the password is accepted for an account with 2FA on
+  const [challengeToken, setChallengeToken] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  // Single sign-on provider ({ name }), when the server has one set up
+  const [sso, setSso] = useState(null);
 
   useEffect(() => {
     const type = searchParams.get('type');
     setUserType(type || '');
+
+    // Back from single sign-on (see /api/auth/oidc/callback)
+    const ssoError = searchParams.get('ssoError');
+    if (ssoError) {
+      setError(ssoError);
+    }
+    const challenge = searchParams.get('challenge');
+    if (challenge) {
+      setChallengeToken(challenge);
+    }
   }, [searchParams]);
 
+  useEffect(() => {
+    fetch(`${API_URL}/api/auth/oidc`)
+      .then(response => response.json())
+      .then(data => setSso(data.enabled ? data : null))
+      .catch(err => console.error('Error checking single sign-on:', err));
+  }, []);
+
+  // Single sign-on left a refresh cookie - trade it for a token and profile
+  useEffect(() => {
+    if (searchParams.get('sso') !== 'success') return;
+
+    (async () => {
+      setLoading(true);
+      try {
+        const token = await refreshAccessToken();
+        const response = token && await authFetch(`${API_URL}/api/me`);
+        const data = response && await response.json();
+
+        if (data?.success) {
+          completeLogin({ token, user: data.user }, navigate);
+        } else {
+          setError('Single sign-on failed. Please try again.');
+        }
+      } catch (err) {
+        console.error('Single sign-on error:', err);
+        setError('An error occurred. Please check your connection and try again.');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [searchParams, navigate]);
+
+  useEffect(() => {
+    if (waitSeconds <= 0) return;
+    const timer = setTimeout(() => setWaitSeconds(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [waitSeconds]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -31,6 +108,13 @@ export default function LoginForm() {
     setError('');
   };
 
+  // Both login steps answer 429s the same way
+  const handleRateLimited = (response, data) => {
+    // Too many attempts - hold the button until the server says to retry
+    setError(data.message || 'Too many login attempts. Please try again later.');
+    setWaitSeconds(data.retryAfter || Number(response.headers.get('Retry-After')) || 0);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -40,6 +124,7 @@ export default function LoginForm() {
       // API call to login
       const response = await fetch(`${API_URL}/api/login`, {
         method: 'POST',
+        credentials: 'include', // Receive the httpOnly refresh cookie
         headers: {
           'Content-Type': 'application/json',
         },
@@ -52,22 +137,13 @@ export default function LoginForm() {
 
       const data = await response.json();
 
-      if (response.ok && data.success) {
-        // Store JWT token and user data in localStorage
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user));
-        localStorage.setItem('isLoggedIn', 'true');
-        
-        alert('Login successful!');
-        
-        // Redirect based on user type
-        if (data.user.userType === 'client') {
-          navigate('/client-dashboard');
-        } else if (data.user.userType === 'freelancer') {
-          navigate('/freelancer-dashboard');
-        } else {
-          navigate('/dashboard');
-        }
+      if (response.ok && data.twoFactorRequired) {
+        // Password accepted - now ask for the authenticator code
+        setChallengeToken(data.challengeToken);
+      } else if (response.ok && data.success) {
+        completeLogin(data, navigate);
+      } else if (response.status === 429) {
+        handleRateLimited(response, data);
       } else {
         setError(data.message || 'Login failed. Please try again.');
       }
@@ -79,6 +155,52 @@ export default function LoginForm() {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/login/2fa`, {
+        method: 'POST',
+        credentials: 'include', // Receive the httpOnly refresh cookie
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          challengeToken,
+          code: twoFactorCode
+        })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        completeLogin(data, navigate);
+      } else if (response.status === 429) {
+        handleRateLimited(response, data);
+      } else if (data.code === 'TWO_FACTOR_CHALLENGE_EXPIRED') {
+        // Took too long - start over from the password
+        setChallengeToken('');
+        setTwoFactorCode('');
+        setError(data.message);
+      } else {
+        setError(data.message || 'Login failed. Please try again.');
+      }
+    } catch (err) {
+      console.error('Two-factor login error:', err);
+      setError('An error occurred. Please check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken('');
+    setTwoFactorCode('');
+    setError('');
+  };
+
   const getTitle = () => {
     if (userType === 'client') return 'Client Login';
     if (userType === 'freelancer') return 'Freelancer Login';
@@ -92,7 +214,9 @@ export default function LoginForm() {
       <div className="login-container">
         <div className="login-box">
           <h2 id="loginTitle">{getTitle()}</h2>
-          <p className="subtitle">Enter your credentials to continue</p>
+          <p className="subtitle">
+            {challengeToken ? 'Enter the code from your authenticator app' : 'Enter your credentials to continue'}
+          </p>
           
           {error && (
             <div style={{
@@ -108,42 +232,89 @@ export default function LoginForm() {
             </div>
           )}
           
-          <div>
-            <div className="form-group">
-              <label htmlFor="email">Email *</label>
-              <input
-                type="email"
-                id="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                required
-                disabled={loading}
-              />
-            </div>
+          {challengeToken ? (
+            <div>
+              <div className="form-group">
+                <label htmlFor="twoFactorCode">Authentication code *</label>
+                <input
+                  type="text"
+                  id="twoFactorCode"
+                  name="twoFactorCode"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value);
+                    setError('');
+                  }}
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <button
+                onClick={handleTwoFactorSubmit}
+                className="login-btn"
+                disabled={loading || waitSeconds > 0 || !twoFactorCode}
+              >
+                {loading ? 'Verifying...' : waitSeconds > 0 ? `Try again in ${formatWait(waitSeconds)}` : 'Verify'}
+              </button>
 
-            <div className="form-group">
-              <label htmlFor="password">Password *</label>
-              <input
-                type="password"
-                id="password"
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                required
-                disabled={loading}
-              />
+              <p className="subtitle">Lost your phone? Enter one of your recovery codes instead.</p>
             </div>
+          ) : (
+            <div>
+              <div className="form-group">
+                <label htmlFor="email">Email *</label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  required
+                  disabled={loading}
+                />
+              </div>
 
-            <button 
-              onClick={handleSubmit} 
-              className="login-btn"
-              disabled={loading}
-            >
-              {loading ? 'Logging in...' : 'Login'}
-            </button>
-          </div>
+              <div className="form-group">
+                <label htmlFor="password">Password *</label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                  disabled={loading}
+                />
+              </div>
 
+              <button 
+                onClick={handleSubmit} 
+                className="login-btn"
+                disabled={loading || waitSeconds > 0}
+              >
+                {loading ? 'Logging in...' : waitSeconds > 0 ? `Try again in ${formatWait(waitSeconds)}` : 'Login'}
+              </button>
+
+              {sso && (
+                <a
+                  href={`${API_URL}/api/auth/oidc/start${userType ? `?userType=${userType}` : ''}`}
+                  className="login-btn sso-btn"
+                >
+                  Sign in with {sso.name}
+                </a>
+              )}
+            </div>
+          )}
+
+          {challengeToken ? (
+            <button type="button" onClick={cancelTwoFactor} className="back-link">← Use a different account</button>
+          ) : (
+            <a href="/forgot-password" className="back-link">Forgot your password?</a>
+          )}
           <a href="/login" className="back-link">← Back to selection</a>
         </div>
       </div>
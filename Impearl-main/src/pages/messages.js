@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { connectRealtime } from '../realtime';
+import { API_URL, authFetch, logout } from '../api';
+import NotificationBell from '../components/notification_bell';
+import RoleSwitcher from '../components/role_switcher';
+import './client_dashboard.css';
+import './messages.css';
+
+export default function Messages() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [attachment, setAttachment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const activeIdRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const dashboardPath = user.userType === 'freelancer' ? '/freelancer-dashboard' : '/client-dashboard';
+
+  useEffect(() => {
+    init();
+
+    const disconnect = connectRealtime(handleRealtimeEvent);
+    return disconnect;
+  }, []);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`
+  });
+
+  const init = async () => {
+    try {
+      if (!localStorage.getItem('token')) {
+        navigate('/login');
+        return;
+      }
+
+      // ?with=<userId> opens (or starts) a conversation with that user
+      const withUserId = searchParams.get('with');
+      let startId = null;
+      if (withUserId) {
+        const response = await authFetch(`${API_URL}/api/conversations`, {
+          method: 'POST',
+          headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+          body: JSON.stringify({ userId: withUserId })
+        });
+        const data = await response.json();
+        if (response.ok) {
+          startId = data.conversation._id;
+        }
+      }
+
+      const response = await authFetch(`${API_URL}/api/conversations`, {
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setConversations(data.conversations);
+        const firstId = startId || data.conversations[0]?._id;
+        if (firstId) {
+          openConversation(firstId);
+        }
+      } else {
+        navigate('/login');
+      }
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRealtimeEvent = (event) => {
+    if (event.type === 'message:new') {
+      const { conversationId, message } = event;
+      const isOpen = activeIdRef.current === conversationId;
+      const isIncoming = message.sender !== user.id;
+
+      if (isOpen) {
+        setMessages(prev => prev.some(m => m._id === message._id) ? prev : [...prev, message]);
+        if (isIncoming) {
+          markRead(conversationId);
+        }
+      }
+
+      setConversations(prev => {
+        const existing = prev.find(c => c._id === conversationId);
+        if (!existing) {
+          // A brand new conversation - reload the list to get the other participant
+          refreshConversations();
+          return prev;
+        }
+        const updated = {
+          ...existing,
+          lastMessage: { body: message.body || 'Sent an attachment', sender: message.sender, sent_at: message.created_at },
+          unreadCount: isIncoming && !isOpen ? existing.unreadCount + 1 : existing.unreadCount
+        };
+        return [updated, ...prev.filter(c => c._id !== conversationId)];
+      });
+    } else if (event.type === 'message:read') {
+      if (activeIdRef.current === event.conversationId) {
+        setMessages(prev => prev.map(m => m.sender === user.id && !m.read_at ? { ...m, read_at: event.readAt } : m));
+      }
+    }
+  };
+
+  const refreshConversations = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/api/conversations`, { headers: authHeaders() });
+      const data = await response.json();
+      if (response.ok) {
+        setConversations(data.conversations);
+      }
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+    }
+  };
+
+  const markRead = async (conversationId) => {
+    try {
+      await authFetch(`${API_URL}/api/conversations/${conversationId}/read`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      setConversations(prev => prev.map(c => c._id === conversationId ? { ...c, unreadCount: 0 } : c));
+    } catch (error) {
+      console.error('Error marking conversation read:', error);
+    }
+  };
+
+  const openConversation = async (conversationId) => {
+    setActiveId(conversationId);
+    activeIdRef.current = conversationId;
+    setMessages([]);
+    setHasMore(false);
+
+    try {
+      const response = await authFetch(`${API_URL}/api/conversations/${conversationId}/messages`, {
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessages(data.messages);
+        setHasMore(data.hasMore);
+        markRead(conversationId);
+      }
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+    }
+  };
+
+  const loadOlder = async () => {
+    if (messages.length === 0) return;
+
+    try {
+      const before = encodeURIComponent(messages[0].created_at);
+      const response = await authFetch(`${API_URL}/api/conversations/${activeId}/messages?before=${before}`, {
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessages(prev => [...data.messages, ...prev]);
+        setHasMore(data.hasMore);
+      }
+    } catch (error) {
+      console.error('Error fetching older messages:', error);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim() && !attachment) return;
+
+    const formData = new FormData();
+    formData.append('body', draft);
+    if (attachment) {
+      formData.append('attachment', attachment);
+    }
+
+    try {
+      const response = await authFetch(`${API_URL}/api/conversations/${activeId}/messages`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessages(prev => prev.some(m => m._id === data.message._id) ? prev : [...prev, data.message]);
+        setDraft('');
+        setAttachment(null);
+        if (fileInputRef.current) {
+          fileInputRef.current.value = '';
+        }
+      } else {
+        alert(data.message || 'Failed to send message');
+      }
+    } catch (error) {
+      console.error('Error sending message:', error);
+      alert('Failed to send message');
+    }
+  };
+
+  const activeConversation = conversations.find(c => c._id === activeId);
+  const displayName = (participant) => participant?.businessName || participant?.name || 'Unknown';
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="dashboard-container">
+      <div className="navbar">
+        <a href="/">
+          <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
+        </a>
+        <div className="navbar-links">
+          <NotificationBell />
+          <RoleSwitcher />
+          <a href={dashboardPath}>Dashboard</a>
+          {user.userType === 'freelancer' && <a href="/jobs">Find Work</a>}
+          <a href="/orders">Orders</a>
+          <a href="/messages">Messages</a>
+          <a href="/payments">Payments</a>
+          <button onClick={async () => {
+            await logout();
+            navigate('/login');
+          }} className="logout-btn">Logout</button>
+        </div>
+      </div>
+
+      <div className="messages-page">
+        <div className="conversation-list">
+          <h3>Messages</h3>
+          {conversations.length === 0 ? (
+            <p className="messages-empty">No conversations yet.</p>
+          ) : (
+            conversations.map(conversation => (
+              <button
+                key={conversation._id}
+                onClick={() => openConversation(conversation._id)}
+                className={`conversation-item ${conversation._id === activeId ? 'active' : ''}`}
+              >
+                <div className="conversation-item-header">
+                  <strong>{displayName(conversation.otherParticipant)}</strong>
+                  {conversation.unreadCount > 0 && (
+                    <span className="unread-badge">{conversation.unreadCount}</span>
+                  )}
+                </div>
+                <span className="conversation-preview">{conversation.lastMessage?.body || 'No messages yet'}</span>
+              </button>
+            ))
+          )}
+        </div>
+
+        <div className="message-thread">
+          {activeConversation ? (
+            <>
+              <div className="message-thread-header">
+                <h3>{displayName(activeConversation.otherParticipant)}</h3>
+              </div>
+
+              <div className="message-list">
+                {hasMore && (
+                  <button onClick={loadOlder} className="btn-cancel load-older">Load older messages</button>
+                )}
+                {messages.map(message => {
+                  const isMine = message.sender === user.id;
+                  return (
+                    <div key={message._id} className={`message-bubble ${isMine ? 'mine' : 'theirs'}`}>
+                      {message.body && <p>{message.body}</p>}
+                      {message.attachment && (
+                        <a href={message.attachment} target="_blank" rel="noopener noreferrer">
+                          View attachment
+                        </a>
+                      )}
+                      <span className="message-meta">
+                        {new Date(message.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        {isMine && (message.read_at ? ' · Read' : ' · Sent')}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <form onSubmit={handleSend} className="message-composer">
+                <input
+                  type="text"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  placeholder="Write a message..."
+                />
+                <input
+                  type="file"
+                  ref={fileInputRef}
+                  accept="image/*,.pdf,.doc,.docx"
+                  onChange={(e) => setAttachment(e.target.files[0] || null)}
+                />
+                <button type="submit" className="btn-save">Send</button>
+              </form>
+            </>
+          ) : (
+            <p className="messages-empty">Select a conversation to start chatting.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { API_URL, authFetch, logout } from '../api';
+import NotificationBell from '../components/notification_bell';
+import RoleSwitcher from '../components/role_switcher';
+import './client_dashboard.css';
+import './orders.css';
+
+const categoryLabels = {
+  proposals: 'Proposals',
+  orders: 'Orders',
+  payments: 'Payments & escrow',
+  messages: 'Messages'
+};
+
+export default function NotificationSettings() {
+  const navigate = useNavigate();
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const dashboardPath = user.userType === 'freelancer' ? '/freelancer-dashboard' : '/client-dashboard';
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        navigate('/login');
+        return;
+      }
+
+      const response = await authFetch(`${API_URL}/api/notifications/preferences`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setPreferences(data.preferences);
+      } else {
+        navigate('/login');
+      }
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+    }
+  };
+
+  const togglePreference = (category, channel) => {
+    setPreferences(prev => ({
+      ...prev,
+      [category]: { ...prev[category], [channel]: !prev[category][channel] }
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/notifications/preferences`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ preferences })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setPreferences(data.preferences);
+        alert('Notification settings saved!');
+      } else {
+        alert(data.message || 'Failed to save settings');
+      }
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      alert('Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!preferences) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="dashboard-container">
+      <div className="navbar">
+        <a href="/">
+          <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
+        </a>
+        <div className="navbar-links">
+          <NotificationBell />
+          <RoleSwitcher />
+          <a href={dashboardPath}>Dashboard</a>
+          <a href="/orders">Orders</a>
+          <a href="/messages">Messages</a>
+          <button onClick={async () => {
+            await logout();
+            navigate('/login');
+          }} className="logout-btn">Logout</button>
+        </div>
+      </div>
+
+      <div className="orders-page">
+        <div className="orders-title">
+          <h2>Notification Settings</h2>
+          <a href="/settings/account" className="orders-balance">Account settings</a>
+        </div>
+
+        <div className="order-card">
+          <table className="preferences-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>In app</th>
+                <th>Email</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(categoryLabels).map(category => (
+                <tr key={category}>
+                  <td>{categoryLabels[category]}</td>
+                  {['inApp', 'email'].map(channel => (
+                    <td key={channel}>
+                      <input
+                        type="checkbox"
+                        checked={Boolean(preferences[category]?.[channel])}
+                        onChange={() => togglePreference(category, channel)}
+                        aria-label={`${categoryLabels[category]} ${channel === 'inApp' ? 'in app' : 'email'}`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="order-actions">
+            <button onClick={handleSave} className="btn-save" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,477 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { API_URL, authFetch, logout } from '../api';
+import NotificationBell from '../components/notification_bell';
+import RoleSwitcher from '../components/role_switcher';
+import OrderReview from '../components/order_review';
+import './client_dashboard.css';
+import './orders.css';
+
+const statusLabels = {
+  pending: 'Pending',
+  active: 'In Progress',
+  delivered: 'Delivered',
+  revision_requested: 'Revision Requested',
+  closing: 'Closing',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+// Button text for each status an order can be moved to
+const actionLabels = {
+  active: 'Start Work',
+  delivered: 'Mark as Delivered',
+  revision_requested: 'Request Revision',
+  completed: 'Approve & Complete',
+  cancelled: 'Cancel Order'
+};
+
+const milestoneStatusLabels = {
+  pending: 'Awaiting funding',
+  funded: 'Funded in escrow',
+  submitted: 'Submitted for review',
+  released: 'Paid',
+  refunding: 'Being refunded',
+  refunded: 'Refunded'
+};
+
+const emptyMilestoneForm = { title: '', amount: '', dueDate: '' };
+
+export default function Orders() {
+  const navigate = useNavigate();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [balances, setBalances] = useState({ available: 0, escrow: 0 });
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
+  const [milestones, setMilestones] = useState([]);
+  const [milestoneForm, setMilestoneForm] = useState(emptyMilestoneForm);
+  const [submittingMilestoneId, setSubmittingMilestoneId] = useState(null);
+  const [submission, setSubmission] = useState({ note: '', attachment: null });
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const dashboardPath = user.userType === 'freelancer' ? '/freelancer-dashboard' : '/client-dashboard';
+
+  useEffect(() => {
+    fetchOrders();
+    fetchBalances();
+  }, []);
+
+  const fetchOrders = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        navigate('/login');
+        return;
+      }
+
+      const response = await authFetch(`${API_URL}/api/orders`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setOrders(data.orders);
+      } else {
+        navigate('/login');
+      }
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchBalances = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) return;
+
+      const response = await authFetch(`${API_URL}/api/balance?limit=1`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setBalances(data.balances);
+      }
+    } catch (error) {
+      console.error('Error fetching balances:', error);
+    }
+  };
+
+  const toggleMilestones = async (orderId) => {
+    if (expandedOrderId === orderId) {
+      setExpandedOrderId(null);
+      return;
+    }
+
+    setExpandedOrderId(orderId);
+    setMilestones([]);
+    setMilestoneForm(emptyMilestoneForm);
+    setSubmittingMilestoneId(null);
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/orders/${orderId}/milestones`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMilestones(data.milestones);
+      }
+    } catch (error) {
+      console.error('Error fetching milestones:', error);
+    }
+  };
+
+  const replaceMilestone = (updated) => {
+    setMilestones(prev => prev.map(milestone => milestone._id === updated._id ? updated : milestone));
+  };
+
+  const handleAddMilestone = async (e) => {
+    e.preventDefault();
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/orders/${expandedOrderId}/milestones`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(milestoneForm)
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMilestones(prev => [...prev, data.milestone]);
+        setMilestoneForm(emptyMilestoneForm);
+      } else {
+        alert(data.message || 'Failed to add milestone');
+      }
+    } catch (error) {
+      console.error('Error adding milestone:', error);
+      alert('Failed to add milestone');
+    }
+  };
+
+  const handleMilestoneAction = async (milestone, action) => {
+    if (action === 'fund' && !window.confirm(`Pay $${milestone.amount} into escrow for "${milestone.title}"?`)) return;
+    if (action === 'release' && !window.confirm(`Release $${milestone.amount} to the freelancer?`)) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/milestones/${milestone._id}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        replaceMilestone(data.milestone);
+        fetchBalances();
+      } else {
+        alert(data.message || 'Failed to update milestone');
+      }
+    } catch (error) {
+      console.error('Error updating milestone:', error);
+      alert('Failed to update milestone');
+    }
+  };
+
+  const handleSubmitWork = async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append('note', submission.note);
+    if (submission.attachment) {
+      formData.append('attachment', submission.attachment);
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/milestones/${submittingMilestoneId}/submit`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        replaceMilestone(data.milestone);
+        setSubmittingMilestoneId(null);
+        setSubmission({ note: '', attachment: null });
+      } else {
+        alert(data.message || 'Failed to submit work');
+      }
+    } catch (error) {
+      console.error('Error submitting work:', error);
+      alert('Failed to submit work');
+    }
+  };
+
+  const handleStatusChange = async (orderId, status) => {
+    let note;
+    if (status === 'delivered' || status === 'revision_requested') {
+      note = window.prompt(status === 'delivered' ? 'Add a note about your delivery (optional):' : 'What needs to change?');
+      if (note === null) return;
+    } else if (status === 'cancelled' && !window.confirm('Cancel this order?')) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetch(`${API_URL}/api/orders/${orderId}/status`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ status, note })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setOrders(prev => prev.map(order => order._id === orderId ? data.order : order));
+        if (status === 'completed' || status === 'cancelled') {
+          fetchBalances();
+          if (expandedOrderId === orderId) {
+            setExpandedOrderId(null);
+          }
+        }
+      } else {
+        alert(data.message || 'Failed to update order');
+      }
+    } catch (error) {
+      console.error('Error updating order:', error);
+      alert('Failed to update order');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="dashboard-container">
+      <div className="navbar">
+        <a href="/">
+          <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
+        </a>
+        <div className="navbar-links">
+          <NotificationBell />
+          <RoleSwitcher />
+          <a href={dashboardPath}>Dashboard</a>
+          {user.userType === 'freelancer' && <a href="/jobs">Find Work</a>}
+          <a href="/orders">Orders</a>
+          <a href="/messages">Messages</a>
+          <a href="/payments">Payments</a>
+          <button onClick={async () => {
+            await logout();
+            navigate('/login');
+          }} className="logout-btn">Logout</button>
+        </div>
+      </div>
+
+      <div className="orders-page">
+        <div className="orders-title">
+          <h2>Orders</h2>
+          <a href="/payments" className="orders-balance">
+            {user.userType === 'freelancer'
+              ? `Available balance: $${balances.available}`
+              : `Held in escrow: $${balances.escrow}`}
+          </a>
+        </div>
+
+        {orders.length === 0 ? (
+          <p className="orders-empty">
+            {user.userType === 'freelancer'
+              ? 'You have no orders yet. Orders appear here once a client accepts one of your proposals.'
+              : 'You have no orders yet. Orders appear here once you accept a proposal on one of your jobs.'}
+          </p>
+        ) : (
+          orders.map(order => {
+            const otherParty = order.role === 'client' ? order.freelancer : order.client;
+            const latestNote = [...order.history].reverse().find(change => change.note);
+
+            return (
+              <div key={order._id} className="order-card">
+                <div className="order-header">
+                  <div>
+                    <h3>{order.title}</h3>
+                    <span className="order-party">
+                      {order.role === 'client' ? 'Freelancer' : 'Client'}: {otherParty?.businessName || otherParty?.name || 'Unknown'}
+                    </span>
+                  </div>
+                  <span className={`order-status order-status-${order.status}`}>
+                    {statusLabels[order.status] || order.status}
+                  </span>
+                </div>
+
+                <div className="order-meta">
+                  <span>${order.price}</span>
+                  {order.dueDate && <span>Due {new Date(order.dueDate).toLocaleDateString()}</span>}
+                  <span>Started {new Date(order.created_at).toLocaleDateString()}</span>
+                </div>
+
+                {latestNote && (
+                  <p className="order-note">“{latestNote.note}”</p>
+                )}
+
+                <div className="order-actions">
+                  <button onClick={() => toggleMilestones(order._id)} className="btn-edit">
+                    {expandedOrderId === order._id ? 'Hide Milestones' : 'Milestones'}
+                  </button>
+                  <button onClick={() => navigate(`/messages?with=${otherParty?._id}`)} className="btn-cancel">
+                    Message
+                  </button>
+                  {order.availableTransitions.map(status => (
+                    <button
+                      key={status}
+                      onClick={() => handleStatusChange(order._id, status)}
+                      className={status === 'cancelled' ? 'btn-cancel' : 'btn-save'}
+                    >
+                      {actionLabels[status] || status}
+                    </button>
+                  ))}
+                </div>
+
+                {order.status === 'completed' && (
+                  <OrderReview
+                    orderId={order._id}
+                    otherPartyName={otherParty?.businessName || otherParty?.name || 'the other party'}
+                  />
+                )}
+
+                {expandedOrderId === order._id && (
+                  <div className="milestones">
+                    {milestones.length === 0 ? (
+                      <p className="orders-empty">
+                        {order.role === 'client'
+                          ? 'Split the work into milestones and fund them into escrow to get started.'
+                          : 'The client has not added any milestones yet.'}
+                      </p>
+                    ) : (
+                      milestones.map(milestone => (
+                        <div key={milestone._id} className="milestone">
+                          <div className="milestone-header">
+                            <strong>{milestone.title}</strong>
+                            <span>${milestone.amount}</span>
+                          </div>
+                          <span className={`milestone-status milestone-status-${milestone.status}`}>
+                            {milestoneStatusLabels[milestone.status] || milestone.status}
+                          </span>
+                          {milestone.dueDate && (
+                            <span className="milestone-meta">Due {new Date(milestone.dueDate).toLocaleDateString()}</span>
+                          )}
+                          {milestone.status === 'submitted' && milestone.autoReleaseAt && (
+                            <span className="milestone-meta">
+                              Auto-releases {new Date(milestone.autoReleaseAt).toLocaleDateString()}
+                            </span>
+                          )}
+                          {milestone.submission?.note && (
+                            <p className="order-note">“{milestone.submission.note}”</p>
+                          )}
+                          {milestone.submission?.attachment && (
+                            <a href={milestone.submission.attachment} target="_blank" rel="noopener noreferrer" className="milestone-link">
+                              View submitted work
+                            </a>
+                          )}
+
+                          {order.role === 'client' && !['completed', 'cancelled'].includes(order.status) && (
+                            <div className="order-actions">
+                              {milestone.status === 'pending' && (
+                                <button onClick={() => handleMilestoneAction(milestone, 'fund')} className="btn-save">Fund Escrow</button>
+                              )}
+                              {milestone.status === 'submitted' && (
+                                <button onClick={() => handleMilestoneAction(milestone, 'request-changes')} className="btn-cancel">Request Changes</button>
+                              )}
+                              {['funded', 'submitted'].includes(milestone.status) && (
+                                <button onClick={() => handleMilestoneAction(milestone, 'release')} className="btn-save">Release Payment</button>
+                              )}
+                            </div>
+                          )}
+
+                          {order.role === 'freelancer' && milestone.status === 'funded' && ['active', 'revision_requested'].includes(order.status) && (
+                            submittingMilestoneId === milestone._id ? (
+                              <form onSubmit={handleSubmitWork} className="milestone-form">
+                                <textarea
+                                  value={submission.note}
+                                  onChange={(e) => setSubmission(prev => ({ ...prev, note: e.target.value }))}
+                                  placeholder="Describe what you're delivering..."
+                                  rows="3"
+                                  className="bio-textarea"
+                                />
+                                <input
+                                  type="file"
+                                  accept="image/*,.pdf,.doc,.docx"
+                                  onChange={(e) => setSubmission(prev => ({ ...prev, attachment: e.target.files[0] || null }))}
+                                />
+                                <div className="order-actions">
+                                  <button type="submit" className="btn-save">Submit Work</button>
+                                  <button type="button" onClick={() => setSubmittingMilestoneId(null)} className="btn-cancel">Cancel</button>
+                                </div>
+                              </form>
+                            ) : (
+                              <div className="order-actions">
+                                <button onClick={() => setSubmittingMilestoneId(milestone._id)} className="btn-save">Submit Work</button>
+                              </div>
+                            )
+                          )}
+                        </div>
+                      ))
+                    )}
+
+                    {order.role === 'client' && !['completed', 'cancelled'].includes(order.status) && (
+                      <form onSubmit={handleAddMilestone} className="milestone-form milestone-form-inline">
+                        <input
+                          type="text"
+                          placeholder="Milestone title"
+                          value={milestoneForm.title}
+                          onChange={(e) => setMilestoneForm(prev => ({ ...prev, title: e.target.value }))}
+                          required
+                        />
+                        <input
+                          type="number"
+                          placeholder="Amount ($)"
+                          min="0.01"
+                          step="0.01"
+                          value={milestoneForm.amount}
+                          onChange={(e) => setMilestoneForm(prev => ({ ...prev, amount: e.target.value }))}
+                          required
+                        />
+                        <input
+                          type="date"
+                          value={milestoneForm.dueDate}
+                          onChange={(e) => setMilestoneForm(prev => ({ ...prev, dueDate: e.target.value }))}
+                        />
+                        <button type="submit" className="btn-edit">Add Milestone</button>
+                      </form>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
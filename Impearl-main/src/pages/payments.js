@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { API_URL, authFetch, authFetchWithTwoFactor, logout } from '../api';
+import NotificationBell from '../components/notification_bell';
+import RoleSwitcher from '../components/role_switcher';
+import './client_dashboard.css';
+import './orders.css';
+
+const entryLabels = {
+  escrow_deposit: 'Escrow deposit',
+  escrow_release: 'Released from escrow',
+  escrow_refund: 'Escrow refund',
+  earning: 'Earning',
+  withdrawal: 'Withdrawal',
+  withdrawal_reversal: 'Withdrawal returned'
+};
+
+export default function Payments() {
+  const navigate = useNavigate();
+  const [balances, setBalances] = useState({ available: 0, escrow: 0 });
+  const [entries, setEntries] = useState([]);
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [loading, setLoading] = useState(true);
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const dashboardPath = user.userType === 'freelancer' ? '/freelancer-dashboard' : '/client-dashboard';
+
+  useEffect(() => {
+    fetchBalance();
+  }, []);
+
+  const fetchBalance = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        navigate('/login');
+        return;
+      }
+
+      const response = await authFetch(`${API_URL}/api/balance`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setBalances(data.balances);
+        setEntries(data.entries);
+      } else {
+        navigate('/login');
+      }
+    } catch (error) {
+      console.error('Error fetching balance:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWithdraw = async (e) => {
+    e.preventDefault();
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await authFetchWithTwoFactor(`${API_URL}/api/balance/withdraw`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ amount: withdrawAmount })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setBalances(data.balances);
+        setEntries(prev => [data.entry, ...prev]);
+        setWithdrawAmount('');
+      } else {
+        alert(data.message || 'Withdrawal failed');
+      }
+    } catch (error) {
+      console.error('Error withdrawing:', error);
+      alert('Withdrawal failed');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="dashboard-container">
+      <div className="navbar">
+        <a href="/">
+          <img src="/impearl_logo.PNG" alt="Impearl Logo" style={{ height: '65px' }} />
+        </a>
+        <div className="navbar-links">
+          <NotificationBell />
+          <RoleSwitcher />
+          <a href={dashboardPath}>Dashboard</a>
+          {user.userType === 'freelancer' && <a href="/jobs">Find Work</a>}
+          <a href="/orders">Orders</a>
+          <a href="/messages">Messages</a>
+          <a href="/payments">Payments</a>
+          <button onClick={async () => {
+            await logout();
+            navigate('/login');
+          }} className="logout-btn">Logout</button>
+        </div>
+      </div>
+
+      <div className="orders-page">
+        <h2>Payments</h2>
+
+        <div className="order-card">
+          <div className="order-meta">
+            <span>Available: <strong>${balances.available}</strong></span>
+            <span>Held in escrow: <strong>${balances.escrow}</strong></span>
+          </div>
+
+          {user.userType === 'freelancer' && (
+            <form onSubmit={handleWithdraw} className="milestone-form milestone-form-inline">
+              <input
+                type="number"
+                placeholder="Amount ($)"
+                min="0.01"
+                step="0.01"
+                max={balances.available}
+                value={withdrawAmount}
+                onChange={(e) => setWithdrawAmount(e.target.value)}
+                required
+              />
+              <button type="submit" className="btn-save" disabled={balances.available <= 0}>Withdraw</button>
+            </form>
+          )}
+        </div>
+
+        <div className="order-card">
+          <h3>Transactions</h3>
+          {entries.length === 0 ? (
+            <p className="orders-empty">No transactions yet.</p>
+          ) : (
+            entries.map(entry => (
+              <div key={entry._id} className="milestone">
+                <div className="milestone-header">
+                  <strong>{entryLabels[entry.type] || entry.type}</strong>
+                  <span>{entry.amount < 0 ? '-' : '+'}${Math.abs(entry.amount)}</span>
+                </div>
+                <span className="milestone-meta">
+                  {entry.description} · {entry.account} · {new Date(entry.created_at).toLocaleString()}
+                </span>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { API_URL } from '../api';
+import "./login_page.css";
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/password/reset`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          token,
+          password: formData.password
+        })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        // Any session in this browser was revoked along with the others
+        localStorage.clear();
+        alert(data.message);
+        navigate('/login');
+      } else {
+        setError(data.message || 'Password reset failed. Please try again.');
+      }
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError('An error occurred. Please check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="login-container">
+        <div className="login-box">
+          <h2>Reset Password</h2>
+          <p className="subtitle">Choose a new password for your account</p>
+
+          {!token ? (
+            <p className="subtitle">This reset link is missing its token. Please request a new one.</p>
+          ) : (
+            <>
+              {error && (
+                <div style={{
+                  padding: '12px',
+                  marginBottom: '20px',
+                  backgroundColor: '#fee',
+                  border: '1px solid #fcc',
+                  borderRadius: '5px',
+                  color: '#c33',
+                  textAlign: 'center'
+                }}>
+                  {error}
+                </div>
+              )}
+
+              <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                  <label htmlFor="password">New Password *</label>
+                  <input
+                    type="password"
+                    id="password"
+                    name="password"
+                    minLength={8}
+                    value={formData.password}
+                    onChange={handleChange}
+                    required
+                    disabled={loading}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="confirmPassword">Confirm New Password *</label>
+                  <input
+                    type="password"
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    minLength={8}
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    required
+                    disabled={loading}
+                  />
+                </div>
+
+                <button type="submit" className="login-btn" disabled={loading}>
+                  {loading ? 'Resetting...' : 'Reset Password'}
+                </button>
+              </form>
+            </>
+          )}
+
+          <a href="/forgot-password" className="back-link">Request a new link</a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { API_URL } from '../api';
+import "./login_page.css";
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    verify(searchParams.get('token'));
+  }, [searchParams]);
+
+  const verify = async (token) => {
+    if (!token) {
+      setStatus('error');
+      setMessage('This verification link is missing its token.');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/api/email/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token })
+      });
+
+      const data = await response.json();
+
+      setStatus(response.ok && data.success ? 'verified' : 'error');
+      setMessage(data.message);
+    } catch (err) {
+      console.error('Email verification error:', err);
+      setStatus('error');
+      setMessage('An error occurred. Please check your connection and try again.');
+    }
+  };
+
+  return (
+    <div>
+      <div className="login-container">
+        <div className="login-box">
+          <h2>Email Verification</h2>
+          <p className="subtitle">
+            {status === 'verifying' ? 'Verifying your email address...' : message}
+          </p>
+
+          {status === 'error' && (
+            <p className="subtitle">You can request a new link from your dashboard.</p>
+          )}
+
+          <a href="/login" className="back-link">Go to login</a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { API_URL, refreshAccessToken } from './api';
+
+// Same host as the API, over ws:// or wss://
+const WS_URL = API_URL.replace(/^http/, 'ws');
+
+// One socket is shared by every component on the page that wants live events
+const listeners = new Set();
+let socket = null;
+let retryTimer = null;
+let retryDelay = 1000;
+
+const openSocket = () => {
+  const token = localStorage.getItem('token');
+  if (!token || listeners.size === 0) return;
+
+  const current = new WebSocket(`${WS_URL}/ws?token=${encodeURIComponent(token)}`);
+  socket = current;
+
+  current.onopen = () => {
+    retryDelay = 1000;
+  };
+
+  current.onmessage = (e) => {
+    let event;
+    try {
+      event = JSON.parse(e.data);
+    } catch (error) {
+      console.error('Bad realtime event:', error);
+      return;
+    }
+    listeners.forEach(listener => listener(event));
+  };
+
+  current.onclose = (e) => {
+    // Ignore sockets we already replaced or closed on purpose
+    if (socket !== current) return;
+    socket = null;
+    if (listeners.size === 0) return;
+
+    // 4001 means the access token was rejected - get a fresh one first
+    if (e.code === 4001) {
+      refreshAccessToken().then(token => {
+        if (token && !socket && !retryTimer) openSocket();
+      });
+      return;
+    }
+
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      openSocket();
+    }, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, 30000);
+  };
+};
+
+// Call onEvent with each live event ({ type, ...payload }) for the signed-in
+// user. The connection reconnects after drops; call the returned function to
+// stop listening.
+export function connectRealtime(onEvent) {
+  listeners.add(onEvent);
+  if (!socket && !retryTimer) {
+    openSocket();
+  }
+
+  return () => {
+    listeners.delete(onEvent);
+    if (listeners.size === 0) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      if (socket) {
+        socket.close();
+        socket = null;
+      }
+    }
+  };
+}